@@ -0,0 +1,378 @@
+// api/detect-batch.js - Batch Detection Endpoint
+// Accepts many images (field "images") or one ZIP archive (field "archive") per request.
+// Images are NEVER stored - temp files are deleted as soon as their bytes are read,
+// unless the batch was sent with "donate" (see lib/donations).
+// Every image counts as one request against the rate limit, and a batch is only
+// accepted when all of its images fit in the remaining quota (images answered from
+// the result cache are given back afterwards).
+// Each image is normalized first (lib/preprocess.js), so bounding boxes are in the
+// pixel space of the upright, resized image given by imageWidth/imageHeight.
+// Images seen recently are answered from the result cache (lib/cache), marked "cached".
+// "ensemble" applies to every image in the batch (see lib/ensemble.js).
+import formidable from 'formidable';
+import fs from 'fs';
+import { logDetection } from '../lib/database.js';
+import { InferenceError, createDeadline } from '../lib/providers/index.js';
+import { runDetection, getConfiguredProvider, readFlag, inferenceErrorResponse, DetectionError } from '../lib/detection.js';
+import { createTrace, failureTypeOf } from '../lib/outcomes.js';
+import { checkRateLimit, peekRateLimit, releaseRateLimit, applyRateLimitHeaders, getRequestIP } from '../lib/rateLimit/index.js';
+import { applyCors } from '../lib/cors.js';
+import { deleteImageFile, sniffImageType } from '../lib/image.js';
+import { getPhotoMetadata } from '../lib/exif.js';
+import { readRegion } from '../lib/regions.js';
+import { signDetectionId } from '../lib/feedback.js';
+import { donateImage } from '../lib/donations/index.js';
+import { normalizeImage, getTargetSize } from '../lib/preprocess.js';
+import { checkQuality } from '../lib/quality.js';
+import { shouldTile } from '../lib/tiling.js';
+import { shouldEnsemble } from '../lib/ensemble.js';
+import { lookupCachedDetection, storeCachedDetection, cacheVariant } from '../lib/cache/index.js';
+import { readZipEntries, ZipError } from '../lib/zip.js';
+import { mapWithConcurrency, summarizeBatch } from '../lib/batch.js';
+
+// Batch settings
+const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB per image
+const MAX_ARCHIVE_SIZE = 100 * 1024 * 1024; // 100MB per upload
+const MAX_BATCH_IMAGES = parseInt(process.env.BATCH_MAX_IMAGES, 10) || 50;
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY, 10) || 4;
+// Leave headroom under maxDuration (vercel.json) to send the response
+const BATCH_TIME_BUDGET = parseInt(process.env.BATCH_TIME_BUDGET_MS, 10) || 50 * 1000;
+const ALLOWED_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'image/avif'];
+// Trace stages before any model call (lib/outcomes.js)
+const PRE_MODEL_STAGES = ['upload', 'preprocess', 'quality'];
+
+// Parse uploaded files
+function parseForm(req) {
+  return new Promise((resolve, reject) => {
+    const form = formidable({
+      maxFileSize: MAX_ARCHIVE_SIZE,
+      maxTotalFileSize: MAX_ARCHIVE_SIZE,
+      maxFiles: MAX_BATCH_IMAGES,
+      allowEmptyFiles: false,
+      minFileSize: 1,
+    });
+    
+    form.parse(req, (err, fields, files) => {
+      if (err) reject(err);
+      else resolve({ fields, files });
+    });
+  });
+}
+
+function asArray(value) {
+  if (!value) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function isZip(buffer) {
+  return buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50;
+}
+
+// Read every upload into memory, expanding ZIP archives, and delete the temp files
+function collectImages(files) {
+  const uploads = [...asArray(files.images), ...asArray(files.image), ...asArray(files.archive)];
+  const images = [];
+  
+  try {
+    for (const file of uploads) {
+      const buffer = fs.readFileSync(file.filepath);
+      deleteImageFile(file.filepath);
+      
+      if (isZip(buffer)) {
+        const entries = readZipEntries(buffer, {
+          maxEntries: MAX_BATCH_IMAGES,
+          maxEntrySize: MAX_FILE_SIZE,
+          maxTotalSize: MAX_ARCHIVE_SIZE
+        });
+        entries.forEach(entry => images.push({ filename: entry.name, buffer: entry.data }));
+      } else {
+        images.push({ filename: file.originalFilename || 'image', buffer });
+      }
+    }
+  } finally {
+    uploads.forEach(file => deleteImageFile(file.filepath));
+  }
+  
+  return images;
+}
+
+// 429 body; `message` explains a batch that is larger than the remaining quota
+function rateLimitError(rateLimit, message = 'Too many requests. Please try again later.') {
+  return {
+    error: message,
+    type: 'rate_limit_error',
+    remaining: rateLimit.remaining,
+    resetTime: new Date(rateLimit.resetTime).toISOString(),
+    retryAfter: rateLimit.retryAfter
+  };
+}
+
+// Typed error entry for one image
+function imageError(error) {
+  if (error instanceof DetectionError) {
+    return error.toJSON();
+  }
+  if (error instanceof InferenceError) {
+    return inferenceErrorResponse(error).body;
+  }
+  console.error('Batch image error:', error);
+  return {
+    error: 'An unexpected error occurred during detection',
+    type: 'server_error'
+  };
+}
+
+export default async function handler(req, res) {
+  const startTime = Date.now();
+  const requestTrace = createTrace();
+  let clientIP = null;
+  
+  // Every outcome is logged: request-level failures once, then one row per image
+  const logFailure = (failureType, { trace = requestTrace, imageMeta = null } = {}) => logDetection({
+    timestamp: new Date().toISOString(),
+    ip: clientIP || getRequestIP(req),
+    model1Class: trace.model1Class,
+    model1Confidence: trace.model1Confidence,
+    model1LatencyMs: trace.model1LatencyMs,
+    model2LatencyMs: trace.model2LatencyMs,
+    imageMeta,
+    success: false,
+    failureType,
+    failureStage: trace.stage
+  }).catch(err => console.error('Logging error:', err));
+  
+  try {
+    // CORS headers
+    applyCors(req, res);
+    
+    // Responses that don't use up a slot still report the quota
+    if (req.method !== 'POST') {
+      applyRateLimitHeaders(res, await peekRateLimit(req));
+    }
+    
+    // Handle preflight
+    if (req.method === 'OPTIONS') {
+      return res.status(200).end();
+    }
+    
+    // Only accept POST
+    if (req.method !== 'POST') {
+      await logFailure('method_error');
+      return res.status(405).json({
+        error: 'Method not allowed',
+        type: 'method_error'
+      });
+    }
+    
+    // Turn away clients with no quota left before they upload anything
+    requestTrace.stage = 'rate_limit';
+    const quota = await peekRateLimit(req);
+    clientIP = quota.clientIP;
+    applyRateLimitHeaders(res, quota);
+    
+    if (!quota.allowed) {
+      await logFailure('rate_limited');
+      return res.status(429).json(rateLimitError(quota));
+    }
+    
+    // Parse form data and load images into memory
+    requestTrace.stage = 'upload';
+    const { fields, files } = await parseForm(req);
+    const ensemble = shouldEnsemble(readFlag(fields, 'ensemble'));
+    const tiled = ensemble ? false : readFlag(fields, 'tiled');
+    const shareLocation = readFlag(fields, 'shareLocation') === true;
+    const donate = readFlag(fields, 'donate') === true;
+    const images = collectImages(files);
+    
+    if (images.length === 0) {
+      await logFailure('validation_error');
+      return res.status(400).json({
+        error: 'No image files provided',
+        type: 'validation_error'
+      });
+    }
+    
+    if (images.length > MAX_BATCH_IMAGES) {
+      await logFailure('validation_error');
+      return res.status(400).json({
+        error: `A batch can contain at most ${MAX_BATCH_IMAGES} images`,
+        type: 'validation_error'
+      });
+    }
+    
+    // Charge one slot per image - all of them or none
+    requestTrace.stage = 'rate_limit';
+    const rateLimit = await checkRateLimit(req, { cost: images.length });
+    applyRateLimitHeaders(res, rateLimit);
+    
+    if (!rateLimit.allowed) {
+      await logFailure('rate_limited');
+      return res.status(429).json(rateLimitError(rateLimit,
+        `This batch has ${images.length} images but only ${rateLimit.remaining} more can be checked right now. ` +
+        'Send fewer images or try again later.'));
+    }
+    
+    const provider = getConfiguredProvider();
+    const variant = cacheVariant({ provider, tiled: shouldTile(tiled), ensemble });
+    const deadline = createDeadline(BATCH_TIME_BUDGET, { now: startTime });
+    
+    console.log(`Processing batch of ${images.length} images (concurrency ${BATCH_CONCURRENCY})...`);
+    
+    // Per-image traces; images that time out are logged once after the batch, even
+    // if their worker finishes later
+    const traces = new Map();
+    const timedOut = new Set();
+    
+    const results = await mapWithConcurrency(images, {
+      concurrency: BATCH_CONCURRENCY,
+      deadline: deadline.expiresAt,
+      
+      worker: async (image, index) => {
+        const entry = { index, filename: image.filename };
+        const mimetype = sniffImageType(image.buffer);
+        const imageMeta = { size: image.buffer.length, type: mimetype };
+        const trace = createTrace();
+        trace.stage = 'upload';
+        traces.set(index, trace);
+        
+        if (!ALLOWED_TYPES.includes(mimetype)) {
+          await logFailure('validation_error', { trace, imageMeta });
+          return { ...entry, status: 'error', error: { error: 'Invalid file type. Only JPEG, PNG, WebP, HEIC and AVIF are allowed.', type: 'validation_error' } };
+        }
+        if (image.buffer.length > MAX_FILE_SIZE) {
+          await logFailure('validation_error', { trace, imageMeta });
+          return { ...entry, status: 'error', error: { error: 'File size exceeds 10MB limit', type: 'validation_error' } };
+        }
+        
+        try {
+          trace.stage = 'preprocess';
+          const normalized = await normalizeImage(image.buffer, { maxSize: getTargetSize({ tiled }) });
+          const cache = await lookupCachedDetection({ buffer: image.buffer, image: normalized, variant });
+          let detection = cache.detection;
+          if (!detection) {
+            trace.stage = 'quality';
+            await checkQuality(normalized.buffer);
+            // Out of time already: don't call the models (its slot is given back below)
+            if (timedOut.has(index)) return null;
+            detection = await runDetection(normalized, { provider, tiled, ensemble, trace, deadline });
+            await storeCachedDetection(cache.key, detection);
+          }
+          if (timedOut.has(index)) return null;
+          const photo = getPhotoMetadata(image.buffer, { shareLocation });
+          
+          // Log to database - the id links later farmer feedback to this image
+          const detectionId = await logDetection({
+            timestamp: new Date().toISOString(),
+            ip: clientIP,
+            model1Class: detection.model1.class,
+            model1Confidence: detection.model1.confidence,
+            model2Class: detection.model2.class,
+            model2Confidence: detection.model2.confidence,
+            model1LatencyMs: trace.model1LatencyMs,
+            model2LatencyMs: trace.model2LatencyMs,
+            imageMeta: {
+              ...imageMeta,
+              width: detection.imageWidth,
+              height: detection.imageHeight
+            },
+            photo,
+            region: readRegion(fields, photo),
+            cached: Boolean(cache.detection),
+            predictedClasses: detection.allPredictions.map(pred => pred.class)
+          }).catch(err => console.error('Logging error:', err));
+          
+          const donationId = donate
+            ? await donateImage({ buffer: normalized.buffer, mimetype: normalized.mimetype, detection, detectionId: detectionId ?? null, deadline })
+            : null;
+          
+          return {
+            ...entry,
+            status: 'ok',
+            result: {
+              ...detection,
+              detectionId: detectionId ?? null,
+              feedbackToken: signDetectionId(detectionId),
+              donated: Boolean(donationId),
+              cached: Boolean(cache.detection),
+              ...(cache.detection && { cacheMatch: cache.match })
+            }
+          };
+        } catch (error) {
+          if (!timedOut.has(index)) await logFailure(failureTypeOf(error), { trace, imageMeta });
+          return { ...entry, status: 'error', error: imageError(error) };
+        }
+      },
+      
+      onTimeout: (image, index) => {
+        timedOut.add(index);
+        return {
+          index,
+          filename: image.filename,
+          status: 'error',
+          error: {
+            error: 'Not processed within the time limit. Please resubmit this image.',
+            type: 'timeout_error',
+            retry: 'now'
+          }
+        };
+      }
+    });
+    
+    await Promise.all([...timedOut].map(index => logFailure('timeout_error', {
+      trace: traces.get(index) || { stage: 'batch' },
+      imageMeta: { size: images[index].buffer.length }
+    })));
+    
+    // Cached answers and images that timed out before reaching Model 1 cost no model
+    // calls, so they don't use up the quota
+    const cachedCount = results.filter(entry => entry?.result?.cached).length;
+    const unprocessedCount = [...timedOut]
+      .filter(index => !traces.has(index) || PRE_MODEL_STAGES.includes(traces.get(index).stage))
+      .length;
+    if (cachedCount + unprocessedCount) {
+      applyRateLimitHeaders(res, await releaseRateLimit(rateLimit, cachedCount + unprocessedCount));
+    }
+    
+    return res.status(200).json({
+      results,
+      summary: summarizeBatch(results),
+      processingTime: Date.now() - startTime,
+      timestamp: new Date().toISOString()
+    });
+  
+  } catch (error) {
+    console.error('Batch detection error:', error);
+    await logFailure(failureTypeOf(error));
+    
+    if (error instanceof DetectionError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    
+    if (error instanceof ZipError) {
+      return res.status(400).json({
+        error: error.message,
+        type: 'validation_error'
+      });
+    }
+    
+    if (error.message?.includes('maxFileSize') || error.message?.includes('maxTotalFileSize') || error.message?.includes('maxFiles')) {
+      return res.status(400).json({
+        error: `Upload exceeds the batch limits (${MAX_BATCH_IMAGES} files, 100MB total)`,
+        type: 'validation_error'
+      });
+    }
+    
+    return res.status(500).json({
+      error: 'An unexpected error occurred during batch detection',
+      type: 'server_error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+// Vercel config
+export const config = {
+  api: {
+    bodyParser: false, // Required for formidable
+  },
+};
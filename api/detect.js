@@ -1,49 +1,42 @@
-// api/detect.js - Main Detection Endpoint (Native Fetch - No Dependencies!)
-// Images are NEVER stored - deleted immediately after processing
+// api/detect.js - Main Detection Endpoint
+// Images are NEVER stored - deleted immediately after processing, unless the user
+// ticks "donate" for that upload (see lib/donations)
+// Detection pipeline lives in lib/detection.js; the backend is chosen by INFERENCE_PROVIDER
+// Photos are normalized first (lib/preprocess.js): the returned imageData, imageWidth,
+// imageHeight and every bounding box refer to that upright, resized JPEG
+// Repeat uploads are answered from the result cache (lib/cache) - "cached" in the
+// response says so, and such requests don't use up a rate-limit slot
+// Clients that accept text/event-stream get stage-by-stage progress events before
+// the result (see lib/sse.js)
+// The "ensemble" field (where ENSEMBLE_INFERENCE allows it) runs Model 2 as an
+// ensemble with test-time augmentation (lib/ensemble.js); detections then carry
+// agreement scores and "debug" holds each model's raw output
 import formidable from 'formidable';
 import fs from 'fs';
 import { logDetection } from '../lib/database.js';
-
-// Rate limiting (in-memory, resets on cold starts)
-const rateLimitMap = new Map();
-const RATE_LIMIT_WINDOW = 60 * 60 * 1000; // 1 hour
-const MAX_REQUESTS = 5; // 5 requests per hour
+import { InferenceError, createDeadline } from '../lib/providers/index.js';
+import { runDetection, getConfiguredProvider, readFlag, inferenceErrorResponse, DetectionError } from '../lib/detection.js';
+import { createTrace, failureTypeOf } from '../lib/outcomes.js';
+import { checkRateLimit, peekRateLimit, releaseRateLimit, applyRateLimitHeaders, getRequestIP } from '../lib/rateLimit/index.js';
+import { applyCors } from '../lib/cors.js';
+import { createResponder } from '../lib/sse.js';
+import { deleteImageFile, sniffImageType } from '../lib/image.js';
+import { normalizeImage, getTargetSize } from '../lib/preprocess.js';
+import { checkQuality } from '../lib/quality.js';
+import { shouldTile } from '../lib/tiling.js';
+import { shouldEnsemble } from '../lib/ensemble.js';
+import { lookupCachedDetection, storeCachedDetection, cacheVariant } from '../lib/cache/index.js';
+import { getPhotoMetadata } from '../lib/exif.js';
+import { readRegion } from '../lib/regions.js';
+import { signDetectionId } from '../lib/feedback.js';
+import { donateImage } from '../lib/donations/index.js';
 
 // Allowed file settings
 const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
-const ALLOWED_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
-const MIN_CONFIDENCE = 0.3;
-
-// Get client IP address
-function getClientIP(req) {
-  return req.headers['x-forwarded-for']?.split(',')[0].trim() || 
-         req.headers['x-real-ip'] || 
-         req.connection?.remoteAddress || 
-         'unknown';
-}
-
-// Check rate limit
-function checkRateLimit(ip) {
-  const now = Date.now();
-  const userRecord = rateLimitMap.get(ip);
-  
-  if (!userRecord) {
-    rateLimitMap.set(ip, { count: 1, resetTime: now + RATE_LIMIT_WINDOW });
-    return { allowed: true, remaining: MAX_REQUESTS - 1 };
-  }
-  
-  if (now > userRecord.resetTime) {
-    rateLimitMap.set(ip, { count: 1, resetTime: now + RATE_LIMIT_WINDOW });
-    return { allowed: true, remaining: MAX_REQUESTS - 1 };
-  }
-  
-  if (userRecord.count >= MAX_REQUESTS) {
-    return { allowed: false, remaining: 0, resetTime: userRecord.resetTime };
-  }
-  
-  userRecord.count++;
-  return { allowed: true, remaining: MAX_REQUESTS - userRecord.count };
-}
+// Leave headroom under maxDuration (vercel.json) to log and send the response
+const REQUEST_TIME_BUDGET = parseInt(process.env.DETECT_TIME_BUDGET_MS, 10) || 25 * 1000;
+// Checked against the file contents - phones often send HEIC as application/octet-stream
+const ALLOWED_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'image/avif'];
 
 // Parse uploaded file
 function parseForm(req) {
@@ -61,61 +54,39 @@ function parseForm(req) {
   });
 }
 
-// Convert image to base64
-function imageToBase64(filePath) {
-  const imageBuffer = fs.readFileSync(filePath);
-  return imageBuffer.toString('base64');
-}
-
-// Delete image file immediately
-function deleteImageFile(filePath) {
-  try {
-    if (filePath && fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath);
-      console.log('✓ Image deleted:', filePath);
-    }
-  } catch (error) {
-    console.error('Warning: Could not delete temp file:', error.message);
-  }
-}
-
-// Call Roboflow API using NATIVE FETCH (no dependencies!)
-async function callRoboflowAPI(base64Image, apiUrl, apiKey) {
-  const response = await fetch(`${apiUrl}?api_key=${apiKey}`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/x-www-form-urlencoded',
-    },
-    body: base64Image,
-  });
-  
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`Roboflow API error (${response.status}): ${errorText}`);
-  }
-  
-  return response.json();
-}
-
 // Main handler
 export default async function handler(req, res) {
   let uploadedFilePath = null; // Track file for cleanup
+  let clientIP = null;
+  let imageMeta = null;
+  const trace = createTrace();
+  const deadline = createDeadline(REQUEST_TIME_BUDGET);
+  // JSON, or Server-Sent Events when the client asks for a stream (lib/sse.js)
+  const reply = createResponder(req, res);
+  
+  // Every outcome is logged - failures with their type and the stage they reached
+  const logFailure = failureType => logDetection({
+    timestamp: new Date().toISOString(),
+    ip: clientIP || getRequestIP(req),
+    model1Class: trace.model1Class,
+    model1Confidence: trace.model1Confidence,
+    model1LatencyMs: trace.model1LatencyMs,
+    model2LatencyMs: trace.model2LatencyMs,
+    imageMeta,
+    success: false,
+    failureType,
+    failureStage: trace.stage
+  }).catch(err => console.error('Logging error:', err));
   
   try {
     // CORS headers
-    const allowedOrigins = [
-      process.env.ALLOWED_ORIGIN || 'http://localhost:3000',
-      'https://*.vercel.app', // Allow all Vercel preview deployments
-    ];
+    applyCors(req, res);
     
-    const origin = req.headers.origin;
-    if (origin && (allowedOrigins.includes(origin) || origin.includes('.vercel.app'))) {
-      res.setHeader('Access-Control-Allow-Origin', origin);
+    // Responses that don't use up a slot still report the quota
+    if (req.method !== 'POST') {
+      applyRateLimitHeaders(res, await peekRateLimit(req));
     }
     
-    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-    
     // Handle preflight
     if (req.method === 'OPTIONS') {
       return res.status(200).end();
@@ -123,37 +94,40 @@ export default async function handler(req, res) {
     
     // Only accept POST
     if (req.method !== 'POST') {
-      return res.status(405).json({ 
+      await logFailure('method_error');
+      return reply.send(405, { 
         error: 'Method not allowed',
         type: 'method_error' 
       });
     }
     
-    // Check rate limit
-    const clientIP = getClientIP(req);
-    const rateLimit = checkRateLimit(clientIP);
-    
-    res.setHeader('X-RateLimit-Limit', MAX_REQUESTS);
-    res.setHeader('X-RateLimit-Remaining', rateLimit.remaining);
+    // Check rate limit (sliding window, shared across instances)
+    trace.stage = 'rate_limit';
+    const rateLimit = await checkRateLimit(req);
+    clientIP = rateLimit.clientIP;
+    applyRateLimitHeaders(res, rateLimit);
     
     if (!rateLimit.allowed) {
       const resetDate = new Date(rateLimit.resetTime);
-      res.setHeader('X-RateLimit-Reset', resetDate.toISOString());
+      await logFailure('rate_limited');
       
-      return res.status(429).json({
+      return reply.send(429, {
         error: 'Too many requests. Please try again later.',
         type: 'rate_limit_error',
-        resetTime: resetDate.toISOString()
+        resetTime: resetDate.toISOString(),
+        retryAfter: rateLimit.retryAfter
       });
     }
     
     // Parse form data
-    const { files } = await parseForm(req);
+    trace.stage = 'upload';
+    const { fields, files } = await parseForm(req);
     
     // Validate image file
     const imageFile = files.image?.[0] || files.image;
     if (!imageFile) {
-      return res.status(400).json({
+      await logFailure('validation_error');
+      return reply.send(400, {
         error: 'No image file provided',
         type: 'validation_error'
       });
@@ -161,181 +135,139 @@ export default async function handler(req, res) {
     
     // Track file path for cleanup
     uploadedFilePath = imageFile.filepath;
-    
-    // Validate file type
-    if (!ALLOWED_TYPES.includes(imageFile.mimetype)) {
-      deleteImageFile(uploadedFilePath);
-      return res.status(400).json({
-        error: 'Invalid file type. Only JPEG, PNG, and WebP are allowed.',
-        type: 'validation_error'
-      });
-    }
+    imageMeta = { size: imageFile.size, type: imageFile.mimetype };
     
     // Validate file size
     if (imageFile.size > MAX_FILE_SIZE) {
       deleteImageFile(uploadedFilePath);
-      return res.status(400).json({
+      uploadedFilePath = null;
+      await logFailure('validation_error');
+      return reply.send(400, {
         error: 'File size exceeds 10MB limit',
         type: 'validation_error'
       });
     }
     
-    // Convert to base64
-    const base64Image = imageToBase64(uploadedFilePath);
-    
-    // Get API configuration
-    const MODEL1_URL = process.env.ROBOFLOW_MODEL1_URL;
-    const MODEL2_URL = process.env.ROBOFLOW_MODEL2_URL;
-    const API_KEY = process.env.ROBOFLOW_API_KEY;
-    
-    if (!MODEL1_URL || !MODEL2_URL || !API_KEY) {
-      console.error('Missing environment variables');
-      deleteImageFile(uploadedFilePath);
-      return res.status(500).json({
-        error: 'Server configuration error',
-        type: 'config_error'
-      });
-    }
-    
-    // Call Model 1 (Calamansi verification)
-    console.log('Calling Model 1 (verification)...');
-    const model1Response = await callRoboflowAPI(base64Image, MODEL1_URL, API_KEY);
-
-// Debugging: log everything
-console.log("Model 1 Raw Response:", JSON.stringify(model1Response, null, 2));
-
-// Instead of just taking the first prediction blindly:
-const predictions = model1Response.predictions || [];
-const bestPrediction = predictions.sort((a, b) => b.confidence - a.confidence)[0];
-
-if (!bestPrediction || bestPrediction.class.toLowerCase() !== "calamansi" || bestPrediction.confidence < 0.5) {
-  deleteImageFile(uploadedFilePath);
-  return res.status(400).json({
-    error: "Image does not appear to be a calamansi plant.",
-    type: "validation_error",
-    detected: bestPrediction?.class,
-    confidence: bestPrediction?.confidence
-  });
-}
-
-const topPrediction = predictions[0];
-
-console.log("Top Prediction:", topPrediction);
-
+    // Read image bytes
+    const imageBuffer = fs.readFileSync(uploadedFilePath);
+    reply.progress('upload', { size: imageBuffer.length });
     
-    const model1Prediction = model1Response.predictions?.[0] || model1Response.top;
-    if (!model1Prediction) {
+    // Validate file type
+    const sourceType = sniffImageType(imageBuffer);
+    if (!ALLOWED_TYPES.includes(sourceType)) {
       deleteImageFile(uploadedFilePath);
-      return res.status(500).json({
-        error: 'Model 1 returned no predictions',
-        type: 'model_error'
+      uploadedFilePath = null;
+      await logFailure('validation_error');
+      return reply.send(400, {
+        error: 'Invalid file type. Only JPEG, PNG, WebP, HEIC and AVIF are allowed.',
+        type: 'validation_error'
       });
     }
-    
-    const model1Class = model1Prediction.class || model1Prediction.className;
-    const model1Confidence = Math.round((model1Prediction.confidence || 0) * 100);
-    
-    // Verify it's a calamansi
-    const isCalamansi = model1Class?.toLowerCase().includes('calamansi');
-    if (!isCalamansi || model1Confidence < 50) {
-      deleteImageFile(uploadedFilePath);
-      return res.status(400).json({
-        error: 'Image does not appear to be a calamansi plant. Please upload a clear photo of a calamansi.',
-        type: 'validation_error',
-        detected: model1Class,
-        confidence: model1Confidence
+    imageMeta.type = sourceType;
+    
+    // Decode, orient, strip metadata and resize to the model input
+    trace.stage = 'preprocess';
+    // The ensemble runs on the whole image, so it turns tiling off
+    const ensemble = shouldEnsemble(readFlag(fields, 'ensemble'));
+    const tiled = ensemble ? false : readFlag(fields, 'tiled');
+    const image = await normalizeImage(imageBuffer, { maxSize: getTargetSize({ tiled }) });
+    
+    // Same photo analyzed recently? Answer from the cache and give the slot back
+    const provider = getConfiguredProvider();
+    const cache = await lookupCachedDetection({
+      buffer: imageBuffer,
+      image,
+      variant: cacheVariant({ provider, tiled: shouldTile(tiled), ensemble })
+    });
+    let detection = cache.detection;
+    
+    if (detection) {
+      console.log(`✓ Result served from cache (${cache.match} match)`);
+      const released = await releaseRateLimit(rateLimit);
+      if (!reply.headersSent) applyRateLimitHeaders(res, released);
+      reply.progress('validation', { width: image.width, height: image.height, cached: true });
+      reply.progress('verification', { model1: detection.model1 });
+      reply.progress('detections', {
+        model2: detection.model2,
+        allPredictions: detection.allPredictions,
+        detectionCount: detection.detectionCount
       });
+    } else {
+      // Reject blurry, badly exposed or far-away photos before spending model calls
+      trace.stage = 'quality';
+      await checkQuality(image.buffer);
+      reply.progress('validation', { width: image.width, height: image.height, cached: false });
+      
+      // Run Model 1 (verification) and Model 2 (disease detection)
+      detection = await runDetection(image, { provider, tiled, ensemble, trace, deadline, onProgress: reply.progress });
+      await storeCachedDetection(cache.key, detection);
     }
     
-    // Call Model 2 (Disease detection)
-    console.log('Calling Model 2 (disease detection)...');
-    const model2Response = await callRoboflowAPI(base64Image, MODEL2_URL, API_KEY);
-    
-    // Filter predictions by minimum confidence and sort by confidence
-const validPredictions = (model2Response.predictions || [])
-  .filter(pred => pred.confidence >= MIN_CONFIDENCE)
-  .sort((a, b) => b.confidence - a.confidence);
-
-if (validPredictions.length === 0) {
-  deleteImageFile(uploadedFilePath);
-  return res.status(500).json({
-    error: 'Model 2 returned no valid predictions',
-    type: 'model_error'
-  });
-}
-
-// Get the primary (highest confidence) detection
-const model2Prediction = validPredictions[0];
-    
-    const model2Class = model2Prediction.class;
-    const model2Confidence = Math.round(model2Prediction.confidence * 100);
-    const boundingBox = {
-      x: model2Prediction.x,
-      y: model2Prediction.y,
-      width: model2Prediction.width,
-      height: model2Prediction.height
-    };
-    
-    const imageWidth = model2Response.image?.width || 640;
-    const imageHeight = model2Response.image?.height || 640;
-    
-    // Include ALL predictions with their bounding boxes
-const allPredictions = validPredictions.map(pred => ({
-  class: pred.class,
-  confidence: Math.round(pred.confidence * 100),
-  boundingBox: {
-    x: pred.x,
-    y: pred.y,
-    width: pred.width,
-    height: pred.height
-  }
-}));
-
-console.log(`Found ${allPredictions.length} valid detections`);
+    const { model1, model2, imageWidth, imageHeight } = detection;
     
     // Prepare response
     const timestamp = new Date().toISOString();
     const responseData = {
-      model1: {
-        class: model1Class,
-        confidence: model1Confidence
-      },
-      model2: {
-        class: model2Class,
-        confidence: model2Confidence,
-        boundingBox: boundingBox
-      },
-      imageData: `data:${imageFile.mimetype};base64,${base64Image}`,
+      model1,
+      model2,
+      imageData: `data:${image.mimetype};base64,${image.buffer.toString('base64')}`,
       imageWidth: imageWidth,
       imageHeight: imageHeight,
-      allPredictions: allPredictions,
-      detectionCount: allPredictions.length,
-      timestamp: timestamp
+      allPredictions: detection.allPredictions,
+      detectionCount: detection.detectionCount,
+      severity: detection.severity,
+      // Ensemble mode: what ran, and every run's own predictions
+      ...(detection.ensemble && { ensemble: detection.ensemble, debug: detection.debug }),
+      timestamp: timestamp,
+      cached: Boolean(cache.detection),
+      ...(cache.detection && {
+        cacheMatch: cache.match,
+        cachedAt: new Date(cache.cachedAt).toISOString()
+      })
     };
     
-    // Log to database (async, don't wait)
-    logDetection({
+    // Location only with the user's consent (shareLocation, municipality or geohash
+    // fields), reduced to a coarse cell. Read from the original upload - the
+    // normalized copy has no metadata left.
+    const photo = getPhotoMetadata(imageBuffer, { shareLocation: readFlag(fields, 'shareLocation') === true });
+    
+    // Log to database - the id links later farmer feedback to this detection
+    const detectionId = await logDetection({
       timestamp,
       ip: clientIP,
-      model1Class,
-      model1Confidence,
-      model2Class,
-      model2Confidence,
+      model1Class: model1.class,
+      model1Confidence: model1.confidence,
+      model2Class: model2.class,
+      model2Confidence: model2.confidence,
+      model1LatencyMs: trace.model1LatencyMs,
+      model2LatencyMs: trace.model2LatencyMs,
       imageMeta: {
-        size: imageFile.size,
-        type: imageFile.mimetype,
+        ...imageMeta,
         width: imageWidth,
         height: imageHeight
-      }
+      },
+      photo,
+      region: readRegion(fields, photo),
+      cached: Boolean(cache.detection),
+      predictedClasses: detection.allPredictions.map(pred => pred.class)
     }).catch(err => console.error('Logging error:', err));
     
+    responseData.detectionId = detectionId ?? null;
+    responseData.feedbackToken = signDetectionId(detectionId);
+    
+    // Keep a copy for retraining only with explicit consent on this upload
+    const donationId = readFlag(fields, 'donate') === true
+      ? await donateImage({ buffer: image.buffer, mimetype: image.mimetype, detection, detectionId: responseData.detectionId, deadline })
+      : null;
+    responseData.donated = Boolean(donationId);
+    
     // DELETE IMAGE IMMEDIATELY (before sending response)
     deleteImageFile(uploadedFilePath);
     uploadedFilePath = null; // Mark as deleted
     
     // Return success
-    return res.status(200).json(responseData);
-    
+    return reply.send(200, responseData);
+  
   } catch (error) {
     console.error('Detection error:', error);
     
@@ -344,22 +276,27 @@ console.log(`Found ${allPredictions.length} valid detections`);
       deleteImageFile(uploadedFilePath);
     }
     
+    await logFailure(failureTypeOf(error));
+    
     // Handle specific errors
+    if (error instanceof DetectionError) {
+      return reply.send(error.status, error.toJSON());
+    }
+    
     if (error.message?.includes('maxFileSize')) {
-      return res.status(400).json({
+      return reply.send(400, {
         error: 'File size exceeds maximum limit',
         type: 'validation_error'
       });
     }
     
-    if (error.message?.includes('Roboflow')) {
-      return res.status(502).json({
-        error: 'AI model service is temporarily unavailable. Please try again.',
-        type: 'service_error'
-      });
+    if (error instanceof InferenceError) {
+      const { status, body } = inferenceErrorResponse(error);
+      if (body.retryAfter && !reply.headersSent) res.setHeader('Retry-After', body.retryAfter);
+      return reply.send(status, body);
     }
     
-    return res.status(500).json({
+    return reply.send(500, {
       error: 'An unexpected error occurred during detection',
       type: 'server_error',
       details: process.env.NODE_ENV === 'development' ? error.message : undefined
@@ -0,0 +1,56 @@
+// api/diseases.js - Disease knowledge base endpoint (public, read-only)
+// GET /api/diseases?locale=fil              -> all diseases
+// GET /api/diseases?class=canker&locale=ceb -> one disease (unknown classes get generic guidance)
+// Locale comes from ?locale= or Accept-Language: en, fil (Filipino/Tagalog), ceb, ilo
+import {
+  getDisease,
+  listDiseases,
+  listLocales,
+  resolveLocale,
+  DEFAULT_LOCALE
+} from '../lib/knowledgeBase.js';
+
+export default function handler(req, res) {
+  // Public content - any origin may read it
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Vary', 'Accept-Language');
+  
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+  
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      type: 'method_error'
+    });
+  }
+  
+  try {
+    const locale = resolveLocale(req.query.locale, req.headers['accept-language']);
+    res.setHeader('Content-Language', locale);
+    res.setHeader('Cache-Control', 'public, max-age=3600');
+    
+    if (req.query.class) {
+      return res.status(200).json({
+        locale,
+        fallbackLocale: DEFAULT_LOCALE,
+        disease: getDisease(req.query.class, locale)
+      });
+    }
+    
+    return res.status(200).json({
+      locale,
+      fallbackLocale: DEFAULT_LOCALE,
+      locales: listLocales(),
+      diseases: listDiseases(locale)
+    });
+  } catch (error) {
+    console.error('Knowledge base error:', error);
+    return res.status(500).json({
+      error: 'Could not load disease information',
+      type: 'server_error'
+    });
+  }
+}
@@ -0,0 +1,87 @@
+// api/donations.js - Donated training images (admin only)
+// GET /api/donations   summary of the donation store
+//   since  only donations made on or after this ISO date
+// The training set itself (COCO JSON + YOLO labels) is too big for a function
+// response - export it offline with `npm run export-donations` (scripts/export-donations.js).
+import { getDonationStore, listDonations, isDonationEnabled } from '../lib/donations/index.js';
+import { requireAdmin } from '../lib/auth.js';
+
+// Validate query parameters, returning { error } or the parsed options
+export function parseDonationQuery(query = {}) {
+  if (query.format !== undefined && query.format !== 'json') {
+    return { error: 'format must be json - export the training set with `npm run export-donations`' };
+  }
+  
+  const since = query.since ? new Date(query.since) : null;
+  if (since && Number.isNaN(since.getTime())) {
+    return { error: 'since must be a valid date' };
+  }
+  
+  return { since };
+}
+
+function summarize(donations) {
+  const classes = {};
+  donations.forEach(donation => donation.boxes.forEach(box => {
+    classes[box.class] = (classes[box.class] || 0) + 1;
+  }));
+  
+  return {
+    donations: donations.length,
+    boxes: Object.values(classes).reduce((sum, count) => sum + count, 0),
+    classes,
+    first: donations[0]?.createdAt || null,
+    last: donations[donations.length - 1]?.createdAt || null
+  };
+}
+
+export default async function handler(req, res) {
+  res.setHeader('Cache-Control', 'no-store');
+  
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      type: 'method_error'
+    });
+  }
+  
+  if (!requireAdmin(req, res)) return;
+  
+  const options = parseDonationQuery(req.query);
+  if (options.error) {
+    return res.status(400).json({
+      error: options.error,
+      type: 'validation_error'
+    });
+  }
+  
+  if (!isDonationEnabled()) {
+    return res.status(500).json({
+      error: 'Image donations are not enabled. Set DONATION_STORE to local or s3.',
+      type: 'config_error'
+    });
+  }
+  
+  let store;
+  let donations;
+  try {
+    store = getDonationStore();
+    donations = await listDonations(store);
+  } catch (error) {
+    console.error('Donation store error:', error.message);
+    return res.status(503).json({
+      error: 'The donation store is unavailable. Please try again later.',
+      type: 'storage_error'
+    });
+  }
+  
+  if (options.since) {
+    donations = donations.filter(donation => new Date(donation.createdAt) >= options.since);
+  }
+  
+  return res.status(200).json({
+    store: store.name,
+    ...summarize(donations),
+    generatedAt: new Date().toISOString()
+  });
+}
@@ -0,0 +1,91 @@
+// api/feedback.js - Farmer feedback on a diagnosis
+// POST /api/feedback
+//   { "detectionId": 123, "token": "<feedbackToken from /api/detect>",
+//     "boxes": [{ "index": 0, "correctClass": "scab" }] }
+// index follows allPredictions (0 = primary) and must exist on that detection; the
+// predicted class is read from the logged detection (a "predictedClass" sent along is
+// ignored). Sending a box again replaces its answer.
+import { saveFeedback, getDetectionPredictions } from '../lib/database.js';
+import { parseFeedback, withPredictedClasses, verifyFeedbackToken, isFeedbackConfigured } from '../lib/feedback.js';
+import { applyCors } from '../lib/cors.js';
+
+export default async function handler(req, res) {
+  applyCors(req, res);
+  
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+  
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      type: 'method_error'
+    });
+  }
+  
+  if (!isFeedbackConfigured()) {
+    console.error('FEEDBACK_SECRET is not configured');
+    return res.status(500).json({
+      error: 'Server configuration error',
+      type: 'config_error'
+    });
+  }
+  
+  const feedback = parseFeedback(req.body);
+  if (feedback.error) {
+    return res.status(400).json({
+      error: feedback.error,
+      type: 'validation_error'
+    });
+  }
+  
+  if (!verifyFeedbackToken(feedback.detectionId, feedback.token)) {
+    return res.status(403).json({
+      error: 'Invalid feedback token for this detection',
+      type: 'auth_error'
+    });
+  }
+  
+  const detection = await getDetectionPredictions(feedback.detectionId);
+  if (!detection) {
+    return res.status(503).json({
+      error: 'Feedback could not be saved. Please try again later.',
+      type: 'database_error'
+    });
+  }
+  
+  if (detection.notFound) {
+    return res.status(404).json({
+      error: 'Detection not found',
+      type: 'not_found_error'
+    });
+  }
+  
+  const checked = withPredictedClasses(feedback.boxes, detection.predictedClasses);
+  if (checked.error) {
+    return res.status(400).json({
+      error: checked.error,
+      type: 'validation_error'
+    });
+  }
+  
+  const result = await saveFeedback({ detectionId: feedback.detectionId, boxes: checked.boxes });
+  if (!result) {
+    return res.status(503).json({
+      error: 'Feedback could not be saved. Please try again later.',
+      type: 'database_error'
+    });
+  }
+  
+  if (result.notFound) {
+    return res.status(404).json({
+      error: 'Detection not found',
+      type: 'not_found_error'
+    });
+  }
+  
+  return res.status(200).json({
+    detectionId: feedback.detectionId,
+    saved: result.saved
+  });
+}
@@ -0,0 +1,89 @@
+// api/outbreaks.js - Regional outbreak alerts (public, read-only)
+// GET /api/outbreaks?window=14&disease=greening&to=2025-06-01
+//   window   recent window in days (default from config/outbreaks.json, max 90)
+//   disease  optional, one of the monitored diseases (default: all of them)
+//   to       end of the window (ISO date, default now)
+// Only aggregated counts per coarse geohash cell are returned - never single detections.
+import { getOutbreakCounts } from '../lib/database.js';
+import { loadOutbreakConfig, evaluateOutbreaks } from '../lib/outbreaks.js';
+
+const MAX_WINDOW_DAYS = 90;
+
+// Validate query parameters, returning { error } or the parsed options
+export function parseOutbreakQuery(query = {}, config = loadOutbreakConfig()) {
+  const windowDays = query.window === undefined ? config.windowDays : Number(query.window);
+  if (!Number.isInteger(windowDays) || windowDays < 1 || windowDays > MAX_WINDOW_DAYS) {
+    return { error: `window must be an integer between 1 and ${MAX_WINDOW_DAYS}` };
+  }
+  
+  const monitored = Object.keys(config.diseases);
+  const disease = query.disease ? String(query.disease).trim().toLowerCase() : null;
+  if (disease && !monitored.includes(disease)) {
+    return { error: `disease must be one of: ${monitored.join(', ')}` };
+  }
+  
+  const to = query.to ? new Date(query.to) : new Date();
+  if (Number.isNaN(to.getTime())) {
+    return { error: 'to must be a valid date' };
+  }
+  
+  return {
+    to,
+    windowDays,
+    baselineDays: config.baselineDays,
+    precision: config.precision,
+    diseases: disease ? [disease] : monitored
+  };
+}
+
+export default async function handler(req, res) {
+  // Public aggregate data - any origin may read it
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+  
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      type: 'method_error'
+    });
+  }
+  
+  const config = loadOutbreakConfig();
+  const options = parseOutbreakQuery(req.query, config);
+  if (options.error) {
+    return res.status(400).json({
+      error: options.error,
+      type: 'validation_error'
+    });
+  }
+  
+  const counts = await getOutbreakCounts(options);
+  if (!counts) {
+    return res.status(503).json({
+      error: 'Outbreak data is unavailable. Check the database configuration.',
+      type: 'database_error'
+    });
+  }
+  
+  const cells = evaluateOutbreaks(counts.rows, { ...config, windowDays: options.windowDays });
+  
+  res.setHeader('Cache-Control', 'public, max-age=300');
+  return res.status(200).json({
+    range: {
+      baselineFrom: counts.baselineStart.toISOString(),
+      from: counts.windowStart.toISOString(),
+      to: options.to.toISOString(),
+      windowDays: options.windowDays,
+      baselineDays: options.baselineDays
+    },
+    precision: options.precision,
+    thresholds: Object.fromEntries(options.diseases.map(name => [name, config.diseases[name]])),
+    alerts: cells.filter(cell => cell.alert).length,
+    cells,
+    generatedAt: new Date().toISOString()
+  });
+}
@@ -0,0 +1,33 @@
+// api/regions.js - Municipalities offered in the upload form (public, read-only)
+// GET /api/regions -> { municipalities: [{ code, name, province, latitude, longitude }] }
+// Coordinates are approximate town centres (used as landmarks on the outbreak map)
+import { listMunicipalities } from '../lib/regions.js';
+
+export default function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+  
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      type: 'method_error'
+    });
+  }
+  
+  try {
+    const municipalities = listMunicipalities();
+    
+    res.setHeader('Cache-Control', 'public, max-age=3600');
+    return res.status(200).json({ municipalities });
+  } catch (error) {
+    console.error('Regions error:', error);
+    return res.status(500).json({
+      error: 'Could not load the municipality list',
+      type: 'server_error'
+    });
+  }
+}
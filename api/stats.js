@@ -0,0 +1,216 @@
+// api/stats.js - Analytics endpoint (admin only)
+// GET /api/stats?days=7&interval=week&disease=canker&format=csv&report=timeseries
+//   days      1-365 (default 7), ignored when from/to are given
+//   from, to  ISO dates, e.g. 2025-01-01 (to is exclusive, default now)
+//   interval  day | week (time series bucket)
+//   disease   optional class filter for the success-based reports (totals, rates,
+//             traffic, rejections and latency always cover every request)
+//   tz        IANA time zone for the hourly breakdown and the day/week buckets
+//             (default STATS_TIMEZONE or Asia/Manila)
+//   format    json (default) | csv
+//   report    csv table: diseases | timeseries (default) | image_types | confidence |
+//             hourly | rejections | latency | agreement | confusion
+import { getAnalytics } from '../lib/database.js';
+import { requireAdmin } from '../lib/auth.js';
+import { toCSV } from '../lib/csv.js';
+
+const MAX_DAYS = 365;
+const INTERVALS = ['day', 'week'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CSV_REPORTS = {
+  diseases: {
+    rows: stats => stats.diseases,
+    columns: [
+      { key: 'disease', label: 'disease' },
+      { key: 'count', label: 'detections' },
+      { key: 'avgConfidence', label: 'avg_confidence' }
+    ]
+  },
+  timeseries: {
+    rows: stats => stats.timeSeries,
+    columns: [
+      { key: 'bucket', label: 'period_start' },
+      { key: 'disease', label: 'disease' },
+      { key: 'count', label: 'detections' },
+      { key: 'avgConfidence', label: 'avg_confidence' }
+    ]
+  },
+  image_types: {
+    rows: stats => stats.imageTypes,
+    columns: [
+      { key: 'imageType', label: 'image_type' },
+      { key: 'count', label: 'uploads' }
+    ]
+  },
+  confidence: {
+    rows: stats => stats.confidenceHistogram,
+    columns: [
+      { key: 'min', label: 'confidence_min' },
+      { key: 'max', label: 'confidence_max' },
+      { key: 'count', label: 'detections' }
+    ]
+  },
+  hourly: {
+    rows: stats => stats.hourlyTraffic,
+    columns: [
+      { key: 'hour', label: 'hour' },
+      { key: 'count', label: 'requests' }
+    ]
+  },
+  rejections: {
+    rows: stats => stats.rejectionReasons,
+    columns: [
+      { key: 'reason', label: 'reason' },
+      { key: 'kind', label: 'kind' },
+      { key: 'count', label: 'requests' }
+    ]
+  },
+  latency: {
+    rows: stats => stats.latency,
+    columns: [
+      { key: 'bucket', label: 'period_start' },
+      { key: 'model1P50', label: 'model1_p50_ms' },
+      { key: 'model1P95', label: 'model1_p95_ms' },
+      { key: 'model2P50', label: 'model2_p50_ms' },
+      { key: 'model2P95', label: 'model2_p95_ms' }
+    ]
+  },
+  agreement: {
+    rows: stats => stats.feedback.perClass,
+    columns: [
+      { key: 'class', label: 'predicted_class' },
+      { key: 'total', label: 'feedback_boxes' },
+      { key: 'agreed', label: 'confirmed' },
+      { key: 'agreementRate', label: 'agreement_rate' }
+    ]
+  },
+  confusion: {
+    rows: stats => stats.feedback.pairs,
+    columns: [
+      { key: 'predicted', label: 'predicted_class' },
+      { key: 'actual', label: 'farmer_class' },
+      { key: 'count', label: 'boxes' }
+    ]
+  }
+};
+
+function isValidTimeZone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+// Validate query parameters, returning { error } or the parsed options
+export function parseStatsQuery(query = {}) {
+  const interval = query.interval || 'day';
+  if (!INTERVALS.includes(interval)) {
+    return { error: `interval must be one of: ${INTERVALS.join(', ')}` };
+  }
+  
+  const format = query.format || 'json';
+  if (format !== 'json' && format !== 'csv') {
+    return { error: 'format must be json or csv' };
+  }
+  
+  const report = query.report || 'timeseries';
+  if (format === 'csv' && !CSV_REPORTS[report]) {
+    return { error: `report must be one of: ${Object.keys(CSV_REPORTS).join(', ')}` };
+  }
+  
+  const to = query.to ? parseDate(query.to) : new Date();
+  let from = parseDate(query.from);
+  if (to === undefined || from === undefined) {
+    return { error: 'from and to must be valid dates' };
+  }
+  
+  if (!from) {
+    const days = query.days === undefined ? 7 : Number(query.days);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) {
+      return { error: `days must be an integer between 1 and ${MAX_DAYS}` };
+    }
+    from = new Date(to.getTime() - days * DAY_MS);
+  }
+  
+  if (from >= to) {
+    return { error: 'from must be before to' };
+  }
+  if (to - from > MAX_DAYS * DAY_MS) {
+    return { error: `Date range cannot exceed ${MAX_DAYS} days` };
+  }
+  
+  const timezone = query.tz || process.env.STATS_TIMEZONE || 'Asia/Manila';
+  if (!isValidTimeZone(timezone)) {
+    return { error: 'tz must be a valid IANA time zone' };
+  }
+  
+  return {
+    from,
+    to,
+    interval,
+    timezone,
+    disease: query.disease ? String(query.disease).trim().toLowerCase() : null,
+    format,
+    report
+  };
+}
+
+export default async function handler(req, res) {
+  res.setHeader('Cache-Control', 'no-store');
+  
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      type: 'method_error'
+    });
+  }
+  
+  if (!requireAdmin(req, res)) return;
+  
+  const options = parseStatsQuery(req.query);
+  if (options.error) {
+    return res.status(400).json({
+      error: options.error,
+      type: 'validation_error'
+    });
+  }
+  
+  const stats = await getAnalytics(options);
+  if (!stats) {
+    return res.status(503).json({
+      error: 'Statistics are unavailable. Check the database configuration.',
+      type: 'database_error'
+    });
+  }
+  
+  const range = {
+    from: options.from.toISOString(),
+    to: options.to.toISOString(),
+    interval: options.interval,
+    timezone: options.timezone,
+    disease: options.disease
+  };
+  
+  if (options.format === 'csv') {
+    const report = CSV_REPORTS[options.report];
+    const filename = `cali-${options.report}-${range.from.slice(0, 10)}_${range.to.slice(0, 10)}.csv`;
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    return res.status(200).send(toCSV(report.rows(stats), report.columns));
+  }
+  
+  return res.status(200).json({
+    range,
+    ...stats,
+    generatedAt: new Date().toISOString()
+  });
+}
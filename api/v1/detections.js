@@ -0,0 +1,241 @@
+// api/v1/detections.js - Public detection API for partner apps (POST /api/v1/detections)
+// Contract: openapi/v1.json (served at /api/v1/openapi). Requests need an API key
+// (lib/apiKeys.js) and count against that key's quota; every authenticated request
+// is recorded in the key's usage log. Errors carry a stable `code`
+// (lib/publicApi) and the normalized image is only echoed back with includeImage.
+// Same pipeline as /api/detect: normalization, result cache, quality gate, both models.
+// Images are NEVER stored - deleted immediately after processing.
+import formidable from 'formidable';
+import fs from 'fs';
+import { logDetection } from '../../lib/database.js';
+import { createDeadline } from '../../lib/providers/index.js';
+import { runDetection, getConfiguredProvider } from '../../lib/detection.js';
+import { createTrace } from '../../lib/outcomes.js';
+import { checkRateLimit, peekRateLimit, releaseRateLimit, applyRateLimitHeaders, getRequestIP } from '../../lib/rateLimit/index.js';
+import { authenticateApiKey, checkAuthFailures, recordAuthFailure, logApiUsage } from '../../lib/apiKeys.js';
+import { applyApiCors } from '../../lib/cors.js';
+import { deleteImageFile, sniffImageType } from '../../lib/image.js';
+import { normalizeImage, getTargetSize } from '../../lib/preprocess.js';
+import { checkQuality } from '../../lib/quality.js';
+import { shouldTile } from '../../lib/tiling.js';
+import { shouldEnsemble } from '../../lib/ensemble.js';
+import { lookupCachedDetection, storeCachedDetection, cacheVariant } from '../../lib/cache/index.js';
+import { getPhotoMetadata } from '../../lib/exif.js';
+import { readRegion } from '../../lib/regions.js';
+import { signDetectionId } from '../../lib/feedback.js';
+import { apiError, apiErrorFor, readFormFields, toDetectionResource, checkResponse } from '../../lib/publicApi/index.js';
+
+const ENDPOINT = 'POST /v1/detections';
+const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
+// Leave headroom under maxDuration (vercel.json) to log and send the response
+const REQUEST_TIME_BUDGET = parseInt(process.env.DETECT_TIME_BUDGET_MS, 10) || 25 * 1000;
+// Checked against the file contents, not the declared type
+const ALLOWED_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'image/avif'];
+
+function parseForm(req) {
+  return new Promise((resolve, reject) => {
+    const form = formidable({
+      maxFileSize: MAX_FILE_SIZE,
+      allowEmptyFiles: false,
+      minFileSize: 1,
+    });
+    
+    form.parse(req, (err, fields, files) => {
+      if (err) reject(err);
+      else resolve({ fields, files });
+    });
+  });
+}
+
+export default async function handler(req, res) {
+  const startTime = Date.now();
+  let uploadedFilePath = null;
+  let apiKey = null;
+  let clientIP = null;
+  let imageMeta = null;
+  const trace = createTrace();
+  const deadline = createDeadline(REQUEST_TIME_BUDGET);
+  
+  // Usage log entry for the key (if the request got that far) with the outcome
+  const logUsage = (status, { code = null, cached = null, detectionId = null } = {}) => apiKey && logApiUsage({
+    apiKey,
+    endpoint: ENDPOINT,
+    status,
+    code,
+    latencyMs: Date.now() - startTime,
+    cached,
+    detectionId
+  });
+  
+  // Reply with an error body; requests with a valid key are also logged as failed
+  // detections, like /api/detect does (failureType from lib/outcomes.js)
+  const fail = async ({ status, body }, failureType) => {
+    if (body.retryAfter) res.setHeader('Retry-After', body.retryAfter);
+    if (apiKey) {
+      await Promise.all([
+        logUsage(status, { code: body.code }),
+        logDetection({
+          timestamp: new Date().toISOString(),
+          ip: clientIP || getRequestIP(req),
+          model1Class: trace.model1Class,
+          model1Confidence: trace.model1Confidence,
+          model1LatencyMs: trace.model1LatencyMs,
+          model2LatencyMs: trace.model2LatencyMs,
+          imageMeta,
+          success: false,
+          failureType,
+          failureStage: trace.stage
+        }).catch(err => console.error('Logging error:', err))
+      ]);
+    }
+    return res.status(status).json(checkResponse(body, 'Error'));
+  };
+  
+  try {
+    applyApiCors(req, res);
+    
+    // Preflights carry no API key, so there is no quota to report yet
+    if (req.method === 'OPTIONS') {
+      return res.status(200).end();
+    }
+    
+    // Clients that keep sending bad keys are turned away before another database lookup
+    const authFailures = await checkAuthFailures(req);
+    if (!authFailures.allowed) {
+      return fail(apiError('rate_limited', {
+        message: 'Too many requests with an invalid API key.',
+        retryAfter: authFailures.retryAfter
+      }));
+    }
+    
+    // Unauthenticated requests are not logged - they cost nothing and belong to no key
+    apiKey = await authenticateApiKey(req);
+    if (!apiKey) {
+      await recordAuthFailure(req);
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      return fail(apiError('unauthorized'));
+    }
+    
+    if (req.method !== 'POST') {
+      applyRateLimitHeaders(res, await peekRateLimit(req, { apiKey }));
+      res.setHeader('Allow', 'POST, OPTIONS');
+      return fail(apiError('method_not_allowed'), 'method_error');
+    }
+    
+    // Per-key quota (sliding window, shared across instances)
+    trace.stage = 'rate_limit';
+    const rateLimit = await checkRateLimit(req, { apiKey });
+    clientIP = rateLimit.clientIP;
+    applyRateLimitHeaders(res, rateLimit);
+    
+    if (!rateLimit.allowed) {
+      return fail(apiError('rate_limited', { retryAfter: rateLimit.retryAfter }), 'rate_limited');
+    }
+    
+    // Parse and validate the request against openapi/v1.json
+    trace.stage = 'upload';
+    const { fields, files } = await parseForm(req);
+    const imageFile = files.image?.[0] || files.image;
+    uploadedFilePath = imageFile?.filepath ?? null;
+    Object.values(files).flat()
+      .filter(file => file !== imageFile)
+      .forEach(file => deleteImageFile(file.filepath));
+    
+    const { values: options, errors } = readFormFields(fields, 'DetectionRequest');
+    const extraFiles = Object.keys(files).filter(name => name !== 'image');
+    errors.push(...extraFiles.map(name => `form.${name}: is not allowed`));
+    if (errors.length) {
+      return fail(apiError('invalid_request', { errors }), 'validation_error');
+    }
+    
+    if (!imageFile) {
+      return fail(apiError('image_missing'), 'validation_error');
+    }
+    
+    const imageBuffer = fs.readFileSync(uploadedFilePath);
+    const sourceType = sniffImageType(imageBuffer);
+    imageMeta = { size: imageBuffer.length, type: sourceType || imageFile.mimetype };
+    if (!ALLOWED_TYPES.includes(sourceType)) {
+      return fail(apiError('unsupported_format'), 'unsupported_format');
+    }
+    
+    // Decode, orient, strip metadata and resize to the model input
+    trace.stage = 'preprocess';
+    const ensemble = shouldEnsemble(options.ensemble);
+    const tiled = ensemble ? false : options.tiled;
+    const image = await normalizeImage(imageBuffer, { maxSize: getTargetSize({ tiled }) });
+    
+    // A cached answer costs no model calls, so it doesn't use up the key's quota
+    const provider = getConfiguredProvider();
+    const cache = await lookupCachedDetection({
+      buffer: imageBuffer,
+      image,
+      variant: cacheVariant({ provider, tiled: shouldTile(tiled), ensemble })
+    });
+    let detection = cache.detection;
+    
+    if (detection) {
+      console.log(`✓ Result served from cache (${cache.match} match)`);
+      applyRateLimitHeaders(res, await releaseRateLimit(rateLimit));
+    } else {
+      trace.stage = 'quality';
+      await checkQuality(image.buffer);
+      
+      detection = await runDetection(image, { provider, tiled, ensemble, trace, deadline });
+      await storeCachedDetection(cache.key, detection);
+    }
+    
+    const createdAt = new Date().toISOString();
+    const photo = getPhotoMetadata(imageBuffer, { shareLocation: options.shareLocation === true });
+    
+    const detectionId = await logDetection({
+      timestamp: createdAt,
+      ip: clientIP,
+      model1Class: detection.model1.class,
+      model1Confidence: detection.model1.confidence,
+      model2Class: detection.model2.class,
+      model2Confidence: detection.model2.confidence,
+      model1LatencyMs: trace.model1LatencyMs,
+      model2LatencyMs: trace.model2LatencyMs,
+      imageMeta: {
+        ...imageMeta,
+        width: detection.imageWidth,
+        height: detection.imageHeight
+      },
+      photo,
+      region: readRegion(fields, photo),
+      cached: Boolean(cache.detection),
+      predictedClasses: detection.allPredictions.map(pred => pred.class)
+    }).catch(err => console.error('Logging error:', err));
+    
+    const body = toDetectionResource(detection, {
+      id: detectionId,
+      createdAt,
+      cache,
+      feedbackToken: signDetectionId(detectionId),
+      image,
+      includeImage: options.includeImage === true
+    });
+    await logUsage(200, { cached: Boolean(cache.detection), detectionId: detectionId ?? null });
+    
+    deleteImageFile(uploadedFilePath);
+    uploadedFilePath = null;
+    
+    return res.status(200).json(checkResponse(body, 'Detection'));
+  
+  } catch (error) {
+    console.error('API detection error:', error);
+    const { status, body, failureType } = apiErrorFor(error);
+    return fail({ status, body }, failureType);
+  } finally {
+    // Early returns and errors
+    if (uploadedFilePath) deleteImageFile(uploadedFilePath);
+  }
+}
+
+// Vercel config
+export const config = {
+  api: {
+    bodyParser: false, // Required for formidable
+  },
+};
@@ -0,0 +1,30 @@
+// api/v1/openapi.js - OpenAPI contract of the public API (GET /api/v1/openapi)
+// Public, no API key needed - partners generate clients from it.
+import { getSpec } from '../../lib/publicApi/index.js';
+
+export default function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+  
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      error: 'Method not allowed.',
+      code: 'method_not_allowed'
+    });
+  }
+  
+  try {
+    res.setHeader('Cache-Control', 'public, max-age=3600');
+    return res.status(200).json(getSpec());
+  } catch (error) {
+    console.error('OpenAPI spec error:', error);
+    return res.status(500).json({
+      error: 'An unexpected error occurred.',
+      code: 'server_error'
+    });
+  }
+}
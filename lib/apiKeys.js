@@ -0,0 +1,207 @@
+// lib/apiKeys.js - API keys for the public /api/v1 API
+// Partner apps send their key as "Authorization: Bearer <key>" or "X-API-Key: <key>".
+// Keys are issued with `npm run api-keys -- issue <name>` (scripts/api-keys.js) and
+// only a SHA-256 is kept in Postgres - the key itself is shown once, when issued.
+// Issued keys look like "cali_<8 hex chars>_<secret>"; the first part (the prefix)
+// identifies the key in listings and usage logs. The static keys in
+// RATE_LIMIT_CONFIG.apiKeys (see lib/rateLimit) are accepted too, e.g. without a
+// database during development.
+//
+// API_KEY_MAX                requests per window for issued keys without their own quota (default 100)
+// API_KEY_WINDOW_MS          quota window for those keys (default 1 hour)
+// API_KEY_MAX_FAILURES       invalid keys a client IP may send per window before it is
+//                            turned away without a database lookup (default 10)
+// API_KEY_FAILURE_WINDOW_MS  window for those failures (default 15 minutes)
+// Every authenticated request is recorded in api_key_usage
+// (migrations/008_create_api_keys.sql).
+import crypto from 'crypto';
+import { getPool } from './database.js';
+import { loadRateLimitConfig, checkFailureLimit } from './rateLimit/index.js';
+
+const KEY_PATTERN = /^cali_[0-9a-f]{8}_[\w-]{20,}$/;
+const DEFAULT_MAX_REQUESTS = 100;
+const DEFAULT_WINDOW_MS = 60 * 60 * 1000; // 1 hour
+const DEFAULT_MAX_FAILURES = 10;
+const DEFAULT_FAILURE_WINDOW_MS = 15 * 60 * 1000; // 15 minutes
+// Revoking a key takes effect on every instance within this time
+const LOOKUP_TTL_MS = 60 * 1000;
+// Lookups (found or not) kept per instance; the least recently used go first
+const MAX_LOOKUPS = 1000;
+
+const lookups = new Map();
+
+export function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// The key sent with the request, or null
+export function readApiKey(req) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) return header.slice(7).trim() || null;
+  return req.headers['x-api-key']?.trim() || null;
+}
+
+function defaultQuota(env = process.env) {
+  return {
+    max: parseInt(env.API_KEY_MAX, 10) || DEFAULT_MAX_REQUESTS,
+    windowMs: parseInt(env.API_KEY_WINDOW_MS, 10) || DEFAULT_WINDOW_MS
+  };
+}
+
+function fromRow(row) {
+  const quota = defaultQuota();
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.key_prefix,
+    hash: row.key_hash,
+    max: row.quota_max ?? quota.max,
+    windowMs: row.quota_window_ms ?? quota.windowMs
+  };
+}
+
+function rememberLookup(hash, apiKey) {
+  const now = Date.now();
+  lookups.delete(hash);
+  if (lookups.size >= MAX_LOOKUPS) {
+    for (const [key, entry] of lookups) {
+      if (entry.expiresAt <= now) lookups.delete(key);
+    }
+  }
+  // Map order is use order, so the first entry is the least recently used
+  if (lookups.size >= MAX_LOOKUPS) lookups.delete(lookups.keys().next().value);
+  lookups.set(hash, { apiKey, expiresAt: now + LOOKUP_TTL_MS });
+}
+
+async function findIssuedKey(hash) {
+  const pool = getPool();
+  if (!pool) return null;
+  
+  const cached = lookups.get(hash);
+  if (cached && cached.expiresAt > Date.now()) {
+    lookups.delete(hash);
+    lookups.set(hash, cached);
+    return cached.apiKey;
+  }
+  
+  const { rows } = await pool.query(
+    'SELECT * FROM api_keys WHERE key_hash = $1 AND revoked_at IS NULL',
+    [hash]
+  );
+  const apiKey = rows[0] ? fromRow(rows[0]) : null;
+  rememberLookup(hash, apiKey);
+  return apiKey;
+}
+
+function findStaticKey(key, hash) {
+  const config = loadRateLimitConfig();
+  const quota = config.apiKeys[key];
+  if (!quota) return null;
+  
+  return {
+    id: null,
+    name: quota.name || 'static key',
+    prefix: `static:${hash.slice(0, 8)}`,
+    hash,
+    max: quota.max ?? config.max,
+    windowMs: quota.windowMs ?? config.windowMs
+  };
+}
+
+function failureLimit(env = process.env) {
+  return {
+    max: parseInt(env.API_KEY_MAX_FAILURES, 10) || DEFAULT_MAX_FAILURES,
+    windowMs: parseInt(env.API_KEY_FAILURE_WINDOW_MS, 10) || DEFAULT_FAILURE_WINDOW_MS
+  };
+}
+
+// Rate limit info for this client's failed authentications - when not `allowed`,
+// turn the request away instead of calling authenticateApiKey
+export function checkAuthFailures(req) {
+  return checkFailureLimit(req, 'auth', failureLimit());
+}
+
+// Count a request whose key was missing, unknown or revoked
+export function recordAuthFailure(req) {
+  return checkFailureLimit(req, 'auth', { ...failureLimit(), record: true });
+}
+
+// The key record for a request ({ id, name, prefix, hash, max, windowMs }), or null
+// when it has no key or an unknown/revoked one
+export async function authenticateApiKey(req) {
+  const key = readApiKey(req);
+  if (!key) return null;
+  
+  const hash = hashApiKey(key);
+  return (KEY_PATTERN.test(key) && await findIssuedKey(hash)) || findStaticKey(key, hash);
+}
+
+// Create a key. The returned `key` is the only time the secret is available.
+export async function issueApiKey({ name, max = null, windowMs = null }, pool = getPool()) {
+  const prefix = `cali_${crypto.randomBytes(4).toString('hex')}`;
+  const key = `${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+  
+  const { rows } = await pool.query(
+    `INSERT INTO api_keys (name, key_prefix, key_hash, quota_max, quota_window_ms)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [name, prefix, hashApiKey(key), max, windowMs]
+  );
+  return { ...fromRow(rows[0]), key };
+}
+
+// Issued keys with their request counts over the last `days` days
+export async function listApiKeys({ days = 30 } = {}, pool = getPool()) {
+  const { rows } = await pool.query(
+    `SELECT k.*,
+            COUNT(u.id)::int AS requests,
+            COUNT(u.id) FILTER (WHERE u.status >= 400)::int AS failed
+     FROM api_keys k
+     LEFT JOIN api_key_usage u
+       ON u.api_key_id = k.id AND u.created_at >= NOW() - make_interval(days => $1)
+     GROUP BY k.id
+     ORDER BY k.created_at`,
+    [days]
+  );
+  return rows.map(row => ({
+    ...fromRow(row),
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at,
+    requests: row.requests,
+    failed: row.failed
+  }));
+}
+
+// Revoke by id or prefix; returns the number of keys revoked
+export async function revokeApiKey(idOrPrefix, pool = getPool()) {
+  const byId = /^\d+$/.test(idOrPrefix);
+  const { rowCount } = await pool.query(
+    `UPDATE api_keys SET revoked_at = NOW()
+     WHERE ${byId ? 'id = $1' : 'key_prefix = $1'} AND revoked_at IS NULL`,
+    [byId ? parseInt(idOrPrefix, 10) : idOrPrefix]
+  );
+  return rowCount;
+}
+
+// Record one request made with a key. Never throws - usage logging must not fail a request.
+export async function logApiUsage({ apiKey, endpoint, status, code = null, latencyMs = null, cached = null, detectionId = null }) {
+  const pool = getPool();
+  if (!pool) {
+    console.log(`API usage: ${apiKey.prefix} ${endpoint} ${status}${code ? ` ${code}` : ''}`);
+    return;
+  }
+  
+  try {
+    await pool.query(
+      `INSERT INTO api_key_usage (api_key_id, key_prefix, endpoint, status, code, latency_ms, cached, detection_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [apiKey.id, apiKey.prefix, endpoint, status, code, latencyMs, cached, detectionId]
+    );
+    if (apiKey.id !== null) {
+      await pool.query('UPDATE api_keys SET last_used_at = NOW() WHERE id = $1', [apiKey.id]);
+    }
+  } catch (error) {
+    console.error('API usage logging error:', error.message);
+  }
+}
@@ -0,0 +1,36 @@
+// lib/auth.js - Admin token check for operator-only endpoints
+// Set ADMIN_TOKEN and send it as "Authorization: Bearer <token>"
+import crypto from 'crypto';
+
+function tokensMatch(provided, expected) {
+  const a = crypto.createHash('sha256').update(provided).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+// Returns true if the request carries the admin token, otherwise sends 401/500 and returns false
+export function requireAdmin(req, res) {
+  const expected = process.env.ADMIN_TOKEN;
+  if (!expected) {
+    console.error('ADMIN_TOKEN is not configured');
+    res.status(500).json({
+      error: 'Server configuration error',
+      type: 'config_error'
+    });
+    return false;
+  }
+  
+  const header = req.headers.authorization || '';
+  const provided = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+  
+  if (!provided || !tokensMatch(provided, expected)) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    res.status(401).json({
+      error: 'Unauthorized',
+      type: 'auth_error'
+    });
+    return false;
+  }
+  
+  return true;
+}
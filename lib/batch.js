@@ -0,0 +1,81 @@
+// lib/batch.js - Bounded-concurrency runner and summary for batch detections
+
+// Run worker(item, index) over items with at most `concurrency` in flight.
+// Items that can't finish before `deadline` (epoch ms) resolve to onTimeout(item, index).
+export async function mapWithConcurrency(items, { concurrency, deadline = Infinity, worker, onTimeout }) {
+  const results = new Array(items.length);
+  let next = 0;
+  
+  async function runWorker() {
+    while (next < items.length) {
+      const index = next++;
+      const remaining = deadline - Date.now();
+      
+      if (remaining === Infinity) {
+        results[index] = await worker(items[index], index);
+        continue;
+      }
+      
+      if (remaining <= 0) {
+        results[index] = onTimeout(items[index], index);
+        continue;
+      }
+      
+      let timer;
+      const timeout = new Promise(resolve => {
+        timer = setTimeout(() => resolve(onTimeout(items[index], index)), remaining);
+      });
+      
+      try {
+        results[index] = await Promise.race([worker(items[index], index), timeout]);
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+  }
+  
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+  return results;
+}
+
+// Disease prevalence across the successfully processed images
+export function summarizeBatch(results) {
+  const succeeded = results.filter(r => r.status === 'ok');
+  const errorsByType = {};
+  const imagesWithDisease = new Map();
+  const primaryDiagnoses = new Map();
+  
+  results.forEach(r => {
+    if (r.status !== 'ok') {
+      errorsByType[r.error.type] = (errorsByType[r.error.type] || 0) + 1;
+    }
+  });
+  
+  succeeded.forEach(r => {
+    const classes = new Set(r.result.allPredictions.map(pred => pred.class.toLowerCase()));
+    classes.forEach(disease => {
+      imagesWithDisease.set(disease, (imagesWithDisease.get(disease) || 0) + 1);
+    });
+    
+    const primary = r.result.model2.class.toLowerCase();
+    primaryDiagnoses.set(primary, (primaryDiagnoses.get(primary) || 0) + 1);
+  });
+  
+  const share = count => succeeded.length ? Math.round((count / succeeded.length) * 1000) / 1000 : 0;
+  
+  return {
+    total: results.length,
+    succeeded: succeeded.length,
+    failed: results.length - succeeded.length,
+    errorsByType,
+    // Share of processed images where the disease appears at all
+    prevalence: [...imagesWithDisease]
+      .map(([disease, images]) => ({ disease, images, share: share(images) }))
+      .sort((a, b) => b.images - a.images),
+    // Share of processed images where the disease is the primary diagnosis
+    primaryDiagnoses: [...primaryDiagnoses]
+      .map(([disease, images]) => ({ disease, images, share: share(images) }))
+      .sort((a, b) => b.images - a.images)
+  };
+}
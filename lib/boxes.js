@@ -0,0 +1,145 @@
+// lib/boxes.js - Bounding box geometry shared by providers and post-processing
+// Boxes use the Roboflow convention: x/y are the box centre, in pixels.
+
+function corners(box) {
+  return {
+    left: box.x - box.width / 2,
+    top: box.y - box.height / 2,
+    right: box.x + box.width / 2,
+    bottom: box.y + box.height / 2
+  };
+}
+
+function intersectionArea(a, b) {
+  const ca = corners(a);
+  const cb = corners(b);
+  const width = Math.min(ca.right, cb.right) - Math.max(ca.left, cb.left);
+  const height = Math.min(ca.bottom, cb.bottom) - Math.max(ca.top, cb.top);
+  return Math.max(0, width) * Math.max(0, height);
+}
+
+// Intersection over union
+export function iou(a, b) {
+  const intersection = intersectionArea(a, b);
+  const union = a.width * a.height + b.width * b.height - intersection;
+  return union > 0 ? intersection / union : 0;
+}
+
+// Intersection over the smaller box - catches a box cut off by a tile edge
+// lying inside its full-size duplicate, where IoU stays low
+export function intersectionOverSmaller(a, b) {
+  const smaller = Math.min(a.width * a.height, b.width * b.height);
+  return smaller > 0 ? intersectionArea(a, b) / smaller : 0;
+}
+
+// Smallest box containing both
+export function unionBox(a, b) {
+  const ca = corners(a);
+  const cb = corners(b);
+  const left = Math.min(ca.left, cb.left);
+  const top = Math.min(ca.top, cb.top);
+  const right = Math.max(ca.right, cb.right);
+  const bottom = Math.max(ca.bottom, cb.bottom);
+  return {
+    x: (left + right) / 2,
+    y: (top + bottom) / 2,
+    width: right - left,
+    height: bottom - top
+  };
+}
+
+// Greedy non-max suppression. Class-aware unless classAgnostic is set.
+export function nonMaxSuppression(predictions, { iouThreshold = 0.5, classAgnostic = false } = {}) {
+  const kept = [];
+  for (const pred of [...predictions].sort((a, b) => b.confidence - a.confidence)) {
+    const suppressed = kept.some(k =>
+      (classAgnostic || k.class === pred.class) && iou(k, pred) > iouThreshold
+    );
+    if (!suppressed) kept.push(pred);
+  }
+  return kept;
+}
+
+// Greedy merge for tiled output: same-class boxes that overlap (by IoU or by
+// intersection-over-smaller) are combined into their union with the highest confidence
+export function mergeOverlapping(predictions, { iouThreshold = 0.5, iosThreshold = 0.7 } = {}) {
+  const merged = [];
+  for (const pred of [...predictions].sort((a, b) => b.confidence - a.confidence)) {
+    const match = merged.find(m =>
+      m.class === pred.class &&
+      (iou(m, pred) > iouThreshold || intersectionOverSmaller(m, pred) > iosThreshold)
+    );
+    if (match) {
+      Object.assign(match, unionBox(match, pred));
+    } else {
+      merged.push({ ...pred });
+    }
+  }
+  return merged;
+}
+
+// Confidence-weighted average of a cluster's box corners
+function fuseBoxes(members) {
+  const total = members.reduce((sum, m) => sum + m.confidence * m.weight, 0) || 1;
+  const edges = { left: 0, top: 0, right: 0, bottom: 0 };
+  members.forEach(m => {
+    const share = (m.confidence * m.weight) / total;
+    const c = corners(m);
+    Object.keys(edges).forEach(edge => { edges[edge] += c[edge] * share; });
+  });
+  return {
+    x: (edges.left + edges.right) / 2,
+    y: (edges.top + edges.bottom) / 2,
+    width: edges.right - edges.left,
+    height: edges.bottom - edges.top
+  };
+}
+
+// Weighted box fusion for ensembles: `runs` is [{ predictions, weight }], one per model
+// or augmented view. Same-class boxes overlapping a cluster's fused box by more than
+// iouThreshold join it, and the cluster's box becomes their confidence-weighted average
+// instead of just the strongest one. agreement is the weighted share of runs that found
+// the box (votes counts them); the fused confidence is the weighted mean confidence
+// scaled by agreement, so a box only one run saw is down-weighted.
+// Boxless (classification) predictions are fused per class the same way.
+export function weightedBoxFusion(runs, { iouThreshold = 0.55, skipConfidence = 0 } = {}) {
+  const totalWeight = runs.reduce((sum, run) => sum + run.weight, 0);
+  if (!totalWeight) return [];
+  
+  const candidates = runs
+    .flatMap((run, index) => run.predictions
+      .filter(pred => pred.confidence >= skipConfidence)
+      .map(pred => ({ ...pred, run: index, weight: run.weight })))
+    .sort((a, b) => b.confidence - a.confidence);
+  
+  const clusters = [];
+  for (const pred of candidates) {
+    const hasBox = pred.width !== undefined;
+    const cluster = clusters.find(c =>
+      c.class === pred.class && c.hasBox === hasBox && (!hasBox || iou(c.box, pred) > iouThreshold)
+    );
+    if (cluster) {
+      cluster.members.push(pred);
+      if (hasBox) cluster.box = fuseBoxes(cluster.members);
+    } else {
+      clusters.push({ class: pred.class, hasBox, members: [pred], box: hasBox ? fuseBoxes([pred]) : null });
+    }
+  }
+  
+  return clusters
+    .map(({ class: className, members, box }) => {
+      // A run may put two boxes in one cluster; it still only votes once
+      const runWeights = new Map(members.map(m => [m.run, m.weight]));
+      const agreement = [...runWeights.values()].reduce((sum, w) => sum + w, 0) / totalWeight;
+      const weightSum = members.reduce((sum, m) => sum + m.weight, 0);
+      const confidence = members.reduce((sum, m) => sum + m.confidence * m.weight, 0) / weightSum;
+      return {
+        class: className,
+        confidence: confidence * agreement,
+        ...(box || { x: undefined, y: undefined, width: undefined, height: undefined }),
+        agreement,
+        votes: runWeights.size
+      };
+    })
+    .sort((a, b) => b.confidence - a.confidence);
+}
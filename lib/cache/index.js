@@ -0,0 +1,163 @@
+// lib/cache/index.js - Detection result cache keyed by image content
+// Farmers often re-submit the same photo; a repeat upload is answered from the cache
+// instead of two more model calls (and, in /api/detect, without using up a rate-limit
+// slot). Entries hold only the predictions returned by runDetection, keyed by a
+// SHA-256 of the uploaded bytes plus a variant: the provider and mode (single, tiled,
+// ensemble) and a hash of everything else that shapes the result - the provider's
+// models, config/postprocessing.json, the model input size and the tiling or ensemble
+// settings. Changing any of them starts over with fresh entries; old ones expire.
+//
+// RESULT_CACHE               "postgres" | "memory" | "off" (Postgres when DATABASE_URL is set)
+// RESULT_CACHE_TTL_MS        how long results are kept (default 24 hours)
+// RESULT_CACHE_PERCEPTUAL    "on" also matches near-identical photos by perceptual hash
+// RESULT_CACHE_MAX_DISTANCE  bits two perceptual hashes may differ by (default 4 of 64)
+import crypto from 'crypto';
+import { getPool } from '../database.js';
+import { createMemoryStore } from './memoryStore.js';
+import { createPostgresStore } from './postgresStore.js';
+import { perceptualHash } from './phash.js';
+import { loadPostprocessConfig } from '../postprocess.js';
+import { getModelInputSize } from '../preprocess.js';
+import { loadTilingConfig } from '../tiling.js';
+import { loadEnsembleConfig } from '../ensemble.js';
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const DEFAULT_MAX_DISTANCE = 4;
+
+let cachedConfig = null;
+let memoryStore = null;
+let postgresStore = null;
+
+export function loadCacheConfig(env = process.env) {
+  const mode = (env.RESULT_CACHE || (env.DATABASE_URL ? 'postgres' : 'memory')).toLowerCase();
+  return {
+    enabled: mode !== 'off',
+    store: mode,
+    ttlMs: parseInt(env.RESULT_CACHE_TTL_MS, 10) || DEFAULT_TTL_MS,
+    perceptual: (env.RESULT_CACHE_PERCEPTUAL || 'off').toLowerCase() === 'on',
+    maxDistance: parseInt(env.RESULT_CACHE_MAX_DISTANCE, 10) || DEFAULT_MAX_DISTANCE
+  };
+}
+
+function getConfig() {
+  if (!cachedConfig) cachedConfig = loadCacheConfig();
+  return cachedConfig;
+}
+
+function getMemoryStore() {
+  if (!memoryStore) memoryStore = createMemoryStore();
+  return memoryStore;
+}
+
+function getStore(config) {
+  if (config.store === 'postgres') {
+    const pool = getPool();
+    if (pool) {
+      if (!postgresStore) postgresStore = createPostgresStore(pool);
+      return postgresStore;
+    }
+  }
+  return getMemoryStore();
+}
+
+// Run a store call, falling back to the memory store when Postgres is unreachable
+async function withStore(config, callback) {
+  const store = getStore(config);
+  try {
+    return await callback(store);
+  } catch (error) {
+    if (store === memoryStore) throw error;
+    console.error('Result cache store error, falling back to memory:', error.message);
+    return callback(getMemoryStore());
+  }
+}
+
+export function hashContent(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// Everything besides the image bytes that changes what runDetection returns
+export function cacheVariant({ provider, tiled, ensemble }) {
+  const mode = ensemble ? 'ensemble' : tiled ? 'tiled' : 'single';
+  // Whether a mode is on by default doesn't change its output
+  const { mode: tilingMode, ...tiling } = loadTilingConfig();
+  const { mode: ensembleMode, ...ensembleSettings } = loadEnsembleConfig();
+  const settings = {
+    models: provider.fingerprint ?? null,
+    postprocess: loadPostprocessConfig(),
+    inputSize: getModelInputSize(),
+    ...(mode === 'tiled' && { tiling }),
+    ...(mode === 'ensemble' && { ensemble: ensembleSettings })
+  };
+  return `${provider.name}:${mode}:${hashContent(JSON.stringify(settings)).slice(0, 16)}`;
+}
+
+// A perceptual match may come from a copy of the photo at another size: bring its
+// boxes into this image's pixels
+function fitToImage(result, width, height) {
+  if (!width || !height || (result.imageWidth === width && result.imageHeight === height)) {
+    return result;
+  }
+
+  const sx = width / result.imageWidth;
+  const sy = height / result.imageHeight;
+  const scaleBox = box => box && {
+    x: box.x * sx,
+    y: box.y * sy,
+    width: box.width * sx,
+    height: box.height * sy
+  };
+
+  return {
+    ...result,
+    imageWidth: width,
+    imageHeight: height,
+    model2: { ...result.model2, boundingBox: scaleBox(result.model2.boundingBox) },
+    allPredictions: result.allPredictions.map(pred => ({ ...pred, boundingBox: scaleBox(pred.boundingBox) }))
+  };
+}
+
+// Look up a cached result for this upload. `buffer` is the original upload, `image`
+// the normalized one from lib/preprocess.js. Returns { detection, match, cachedAt,
+// key } where detection is null on a miss; pass key back to storeCachedDetection.
+export async function lookupCachedDetection({ buffer, image, variant }, config = getConfig()) {
+  const key = { contentHash: hashContent(buffer), variant, phash: null };
+  if (!config.enabled) return { detection: null, key };
+
+  try {
+    const exact = await withStore(config, store => store.get(key.contentHash, variant));
+    if (exact) {
+      return { detection: fitToImage(exact.result, image.width, image.height), match: 'exact', cachedAt: exact.createdAt, key };
+    }
+
+    if (config.perceptual) {
+      key.phash = await perceptualHash(image.buffer);
+      const similar = key.phash && await withStore(config, store =>
+        store.findSimilar(key.phash, variant, { maxDistance: config.maxDistance })
+      );
+      if (similar) {
+        return { detection: fitToImage(similar.result, image.width, image.height), match: 'similar', cachedAt: similar.createdAt, key };
+      }
+    }
+  } catch (error) {
+    // A broken cache must never fail a detection
+    console.error('Result cache lookup error:', error.message);
+  }
+
+  return { detection: null, key };
+}
+
+// Remember a successful detection (predictions only)
+export async function storeCachedDetection(key, detection, config = getConfig()) {
+  if (!config.enabled) return;
+
+  try {
+    await withStore(config, store => store.set(key.contentHash, key.variant, {
+      phash: key.phash,
+      result: detection,
+      ttlMs: config.ttlMs
+    }));
+  } catch (error) {
+    console.error('Result cache store error:', error.message);
+  }
+}
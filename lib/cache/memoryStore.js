@@ -0,0 +1,53 @@
+// lib/cache/memoryStore.js - In-memory result cache (per instance, resets on cold starts)
+// Used when no database is configured or as a fallback when Postgres is unreachable.
+import { hammingDistance } from './phash.js';
+
+const MAX_ENTRIES = 1000;
+
+export function createMemoryStore({ maxEntries = MAX_ENTRIES } = {}) {
+  // "<contentHash>:<variant>" -> { variant, phash, result, createdAt, expiresAt }.
+  // Map keeps insertion order, so the first key is the oldest entry.
+  const entries = new Map();
+
+  function live(entry, now) {
+    return entry && entry.expiresAt > now;
+  }
+
+  return {
+    name: 'memory',
+
+    async get(contentHash, variant, { now = Date.now() } = {}) {
+      const key = `${contentHash}:${variant}`;
+      const entry = entries.get(key);
+      if (!live(entry, now)) {
+        entries.delete(key);
+        return null;
+      }
+      return { result: entry.result, createdAt: entry.createdAt };
+    },
+
+    async findSimilar(phash, variant, { maxDistance, now = Date.now() }) {
+      let best = null;
+      for (const entry of entries.values()) {
+        if (entry.variant !== variant || entry.phash === null || !live(entry, now)) continue;
+        const distance = hammingDistance(entry.phash, phash);
+        if (distance <= maxDistance && (!best || distance < best.distance)) {
+          best = { entry, distance };
+        }
+      }
+      return best && { result: best.entry.result, createdAt: best.entry.createdAt, distance: best.distance };
+    },
+
+    async set(contentHash, variant, { phash = null, result, ttlMs, now = Date.now() }) {
+      const key = `${contentHash}:${variant}`;
+      entries.delete(key);
+      entries.set(key, { variant, phash, result, createdAt: now, expiresAt: now + ttlMs });
+
+      // Expired entries go first, then the oldest ones
+      for (const [oldKey, entry] of entries) {
+        if (entries.size <= maxEntries && live(entry, now)) break;
+        entries.delete(oldKey);
+      }
+    }
+  };
+}
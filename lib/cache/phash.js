@@ -0,0 +1,42 @@
+// lib/cache/phash.js - Perceptual hash for near-identical re-uploads
+// 64-bit difference hash (dHash): the image is shrunk to 9x8 grayscale and each bit
+// says whether a pixel is brighter than its right-hand neighbour. Re-compressed,
+// resized or re-shared copies of a photo land within a few bits of each other.
+
+async function loadSharp() {
+  try {
+    return (await import('sharp')).default;
+  } catch {
+    return null;
+  }
+}
+
+// Returns the hash as a 16-character hex string, or null when sharp is unavailable
+export async function perceptualHash(imageBuffer) {
+  const sharp = await loadSharp();
+  if (!sharp) return null;
+
+  const pixels = await sharp(imageBuffer)
+    .grayscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = 0n;
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      hash = (hash << 1n) | (pixels[y * 9 + x] > pixels[y * 9 + x + 1] ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(16, '0');
+}
+
+export function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+}
@@ -0,0 +1,53 @@
+// lib/cache/postgresStore.js - Result cache shared by all instances in Postgres
+// Rows hold the content hash, perceptual hash and predictions - never the image.
+// The result_cache table is created by migrations/006_create_result_cache.sql.
+
+export function createPostgresStore(pool) {
+  return {
+    name: 'postgres',
+
+    async get(contentHash, variant, { now = Date.now() } = {}) {
+      const { rows } = await pool.query(
+        `SELECT result, created_at FROM result_cache
+         WHERE content_hash = $1 AND variant = $2 AND expires_at > $3`,
+        [contentHash, variant, new Date(now)]
+      );
+      return rows[0] ? { result: rows[0].result, createdAt: rows[0].created_at.getTime() } : null;
+    },
+
+    // Hamming distance on the 64-bit hashes; bit strings keep it portable across versions
+    async findSimilar(phash, variant, { maxDistance, now = Date.now() }) {
+      const { rows } = await pool.query(
+        `SELECT result, created_at, distance FROM (
+           SELECT result, created_at,
+             length(replace(((('x' || phash)::bit(64)) # (('x' || $1)::bit(64)))::text, '0', '')) AS distance
+           FROM result_cache
+           WHERE variant = $2 AND phash IS NOT NULL AND expires_at > $3
+         ) candidates
+         WHERE distance <= $4
+         ORDER BY distance, created_at DESC
+         LIMIT 1`,
+        [phash, variant, new Date(now), maxDistance]
+      );
+      return rows[0]
+        ? { result: rows[0].result, createdAt: rows[0].created_at.getTime(), distance: rows[0].distance }
+        : null;
+    },
+
+    async set(contentHash, variant, { phash = null, result, ttlMs, now = Date.now() }) {
+      await pool.query(
+        `INSERT INTO result_cache (content_hash, variant, phash, result, created_at, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (content_hash, variant) DO UPDATE
+         SET phash = EXCLUDED.phash, result = EXCLUDED.result,
+             created_at = EXCLUDED.created_at, expires_at = EXCLUDED.expires_at`,
+        [contentHash, variant, phash, JSON.stringify(result), new Date(now), new Date(now + ttlMs)]
+      );
+
+      // Expired rows are only ever skipped, so prune now and then
+      if (Math.random() < 0.05) {
+        await pool.query('DELETE FROM result_cache WHERE expires_at <= $1', [new Date(now)]);
+      }
+    }
+  };
+}
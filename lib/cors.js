@@ -0,0 +1,53 @@
+// lib/cors.js - CORS headers for the detection endpoints
+// The browser-facing endpoints allow this app's own origins: ALLOWED_ORIGINS
+// (comma-separated; ALLOWED_ORIGIN is still read, default http://localhost:3000)
+// plus the deployment's own URL on Vercel (VERCEL_URL, VERCEL_BRANCH_URL), so a
+// preview can call its own API without opening it to every *.vercel.app site.
+// The public /api/v1 API is called by partner apps and servers with an API key,
+// so browsers only get in from the origins listed in API_CORS_ORIGINS
+// (comma-separated, "*" for any).
+
+function parseOrigins(value) {
+  return (value || '')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
+}
+
+function getAppOrigins() {
+  const env = process.env;
+  const origins = parseOrigins(env.ALLOWED_ORIGINS || env.ALLOWED_ORIGIN || 'http://localhost:3000');
+  // Vercel sets these to the bare host name of this deployment
+  [env.VERCEL_URL, env.VERCEL_BRANCH_URL].forEach(host => {
+    if (host) origins.push(`https://${host}`);
+  });
+  return origins;
+}
+
+export function applyCors(req, res) {
+  const origin = req.headers.origin;
+  if (origin && getAppOrigins().includes(origin)) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+  }
+  res.setHeader('Vary', 'Origin');
+  
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-API-Key');
+  res.setHeader('Access-Control-Expose-Headers', 'X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, Retry-After');
+}
+
+export function applyApiCors(req, res) {
+  const allowedOrigins = parseOrigins(process.env.API_CORS_ORIGINS);
+  
+  const origin = req.headers.origin;
+  if (allowedOrigins.includes('*')) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+  } else if (origin && allowedOrigins.includes(origin)) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Vary', 'Origin');
+  }
+  
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, X-API-Key');
+  res.setHeader('Access-Control-Expose-Headers', 'X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, Retry-After');
+}
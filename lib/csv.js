@@ -0,0 +1,14 @@
+// lib/csv.js - Minimal CSV writer for report downloads
+
+function escapeCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// columns: [{ key, label }]
+export function toCSV(rows, columns) {
+  const header = columns.map(col => escapeCell(col.label || col.key)).join(',');
+  const lines = rows.map(row => columns.map(col => escapeCell(row[col.key])).join(','));
+  return [header, ...lines].join('\r\n') + '\r\n';
+}
@@ -1,12 +1,17 @@
 // lib/database.js - Database helper for logging detections
 // NO IMAGES STORED - only metadata logged
+// Schema lives in migrations/. Applying them is a deploy step: run `npm run migrate`
+// against the production DATABASE_URL whenever a release adds one (`npm run
+// migrate:check` tells). Until then queries that need the new tables or columns fail,
+// are logged as a schema problem and their endpoints answer 503.
 import pg from 'pg';
+import { ERROR_TYPES } from './outcomes.js';
 const { Pool } = pg;
 
 let pool = null;
 
-// Initialize database connection
-function getPool() {
+// Initialize database connection (shared with other modules, e.g. rate limiting)
+export function getPool() {
   if (!pool && process.env.DATABASE_URL) {
     pool = new Pool({
       connectionString: process.env.DATABASE_URL,
@@ -18,7 +23,19 @@ function getPool() {
   return pool;
 }
 
+// Postgres error codes for a missing table / column - the schema is behind the code
+const SCHEMA_ERROR_CODES = ['42P01', '42703'];
+
+function logQueryError(label, error) {
+  if (SCHEMA_ERROR_CODES.includes(error.code)) {
+    console.error(`${label}: ${error.message}. The database schema is out of date - run \`npm run migrate\`.`);
+  } else {
+    console.error(`${label}:`, error.message);
+  }
+}
+
 // Log detection attempt (NO IMAGE DATA - only metadata)
+// Failed requests pass success: false with failureType and failureStage (lib/outcomes.js)
 export async function logDetection(data) {
   const db = getPool();
   if (!db) {
@@ -27,22 +44,30 @@ export async function logDetection(data) {
   }
   
   try {
-    const query = `
-      INSERT INTO detections (
-        timestamp,
-        ip_address,
-        model1_class,
-        model1_confidence,
-        model2_class,
-        model2_confidence,
-        image_size,
-        image_type,
-        image_width,
-        image_height,
-        success
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
-      RETURNING id
-    `;
+    const columns = [
+      'timestamp',
+      'ip_address',
+      'model1_class',
+      'model1_confidence',
+      'model2_class',
+      'model2_confidence',
+      'image_size',
+      'image_type',
+      'image_width',
+      'image_height',
+      'success',
+      'captured_at',
+      'camera_model',
+      'image_orientation',
+      'geohash',
+      'municipality',
+      'failure_type',
+      'failure_stage',
+      'model1_latency_ms',
+      'model2_latency_ms',
+      'cached',
+      'predicted_classes'
+    ];
     
     const values = [
       data.timestamp || new Date().toISOString(),
@@ -55,18 +80,143 @@ export async function logDetection(data) {
       data.imageMeta?.type || null,
       data.imageMeta?.width || null,
       data.imageMeta?.height || null,
-      true
+      data.success !== false,
+      // EXIF metadata and the opt-in region (see lib/regions.js)
+      data.photo?.capturedAt || null,
+      data.photo?.cameraModel || null,
+      data.photo?.orientation || null,
+      data.region?.geohash || null,
+      data.region?.municipality || null,
+      data.success === false ? data.failureType || 'server_error' : null,
+      data.success === false ? data.failureStage || null : null,
+      data.model1LatencyMs ?? null,
+      data.model2LatencyMs ?? null,
+      // Answered from the result cache (lib/cache) - no model calls were made
+      data.cached === true,
+      // Class of each box, checked against farmer feedback (lib/feedback.js)
+      data.predictedClasses || null
     ];
     
+    const placeholders = values.map((_, index) => `$${index + 1}`);
+    const query = `
+      INSERT INTO detections (${columns.join(', ')})
+      VALUES (${placeholders.join(', ')})
+      RETURNING id
+    `;
+    
     const result = await db.query(query, values);
-    console.log('✓ Detection logged to database (ID:', result.rows[0].id + ')');
+    if (data.success === false) {
+      console.log(`✓ Failed request logged to database (ID: ${result.rows[0].id}, ${data.failureType})`);
+    } else {
+      console.log('✓ Detection logged to database (ID:', result.rows[0].id + ')');
+    }
     return result.rows[0].id;
   } catch (error) {
-    console.error('Database logging error:', error.message);
+    logQueryError('Database logging error', error);
     // Don't throw - logging failure shouldn't break detection
   }
 }
 
+// Class of each box of a logged detection (allPredictions order), to check feedback
+// against. Rows logged before predicted_classes existed only know box 0 (model2_class).
+// Returns { predictedClasses }, { notFound: true } for an unknown detection, or null on error.
+export async function getDetectionPredictions(detectionId) {
+  const db = getPool();
+  if (!db) return null;
+  
+  try {
+    const { rows } = await db.query(
+      'SELECT model2_class, predicted_classes FROM detections WHERE id = $1',
+      [detectionId]
+    );
+    if (!rows.length) return { notFound: true };
+    
+    const { model2_class: primary, predicted_classes: classes } = rows[0];
+    return { predictedClasses: classes || (primary ? [primary] : []) };
+  } catch (error) {
+    logQueryError('Detection lookup error', error);
+    return null;
+  }
+}
+
+// Store (or update) feedback for the boxes of one detection.
+// Returns { saved }, { notFound: true } for an unknown detection, or null on error.
+export async function saveFeedback({ detectionId, boxes }) {
+  const db = getPool();
+  if (!db) return null;
+  
+  try {
+    const values = [detectionId];
+    const rows = boxes.map(box => {
+      values.push(box.index, box.predictedClass, box.correctClass);
+      const n = values.length;
+      return `($1, $${n - 2}, $${n - 1}, $${n})`;
+    });
+    
+    const result = await db.query(`
+      INSERT INTO detection_feedback (detection_id, box_index, predicted_class, correct_class)
+      VALUES ${rows.join(', ')}
+      ON CONFLICT (detection_id, box_index) DO UPDATE SET
+        predicted_class = EXCLUDED.predicted_class,
+        correct_class = EXCLUDED.correct_class,
+        created_at = NOW()
+    `, values);
+    
+    console.log(`✓ Feedback saved for detection ${detectionId} (${result.rowCount} box(es))`);
+    return { saved: result.rowCount };
+  } catch (error) {
+    // Foreign key violation - no such detection
+    if (error.code === '23503') return { notFound: true };
+    logQueryError('Feedback save error', error);
+    return null;
+  }
+}
+
+// Farmer corrections for the given detections: Map detectionId -> Map boxIndex -> correctClass.
+// Returns null without a database, so callers can fall back to the predictions, and
+// throws when the lookup fails - a training set must not silently lose its corrections.
+export async function getFeedbackCorrections(detectionIds) {
+  const db = getPool();
+  if (!db || !detectionIds.length) return null;
+  
+  try {
+    const { rows } = await db.query(`
+      SELECT detection_id, box_index, correct_class
+      FROM detection_feedback
+      WHERE detection_id = ANY($1)
+    `, [detectionIds]);
+    
+    const corrections = new Map();
+    rows.forEach(row => {
+      const id = Number(row.detection_id);
+      if (!corrections.has(id)) corrections.set(id, new Map());
+      corrections.get(id).set(row.box_index, row.correct_class);
+    });
+    return corrections;
+  } catch (error) {
+    logQueryError('Feedback lookup error', error);
+    throw error;
+  }
+}
+
+// Build the WHERE clause shared by analytics queries (always parameterized).
+// Pass disease only together with successOnly: model2_class is NULL on rejected
+// and failed rows, so a class filter would drop them from any other query.
+function buildFilter({ from, to, disease } = {}, { successOnly = false } = {}) {
+  const conditions = ['timestamp >= $1', 'timestamp < $2'];
+  const values = [from, to];
+  
+  if (successOnly) {
+    conditions.push('success = TRUE');
+  }
+  if (disease) {
+    values.push(disease);
+    conditions.push(`LOWER(model2_class) = LOWER($${values.length})`);
+  }
+  
+  return { where: conditions.join(' AND '), values };
+}
+
 // Get statistics (for your own monitoring)
 export async function getStats(days = 7) {
   const db = getPool();
@@ -81,15 +231,279 @@ export async function getStats(days = 7) {
       FROM detections
       WHERE 
         success = TRUE 
-        AND timestamp >= NOW() - INTERVAL '${days} days'
+        AND timestamp >= NOW() - make_interval(days => $1)
       GROUP BY model2_class
       ORDER BY total_detections DESC
     `;
     
-    const result = await db.query(query);
+    const result = await db.query(query, [days]);
     return result.rows;
   } catch (error) {
     console.error('Stats query error:', error);
     return null;
   }
-}
\ No newline at end of file
+}
+
+function roundMs(value) {
+  return value === null || value === undefined ? null : Math.round(value);
+}
+
+function rate(part, total) {
+  return total > 0 ? Math.round((part / total) * 1000) / 1000 : null;
+}
+
+// Per-class agreement and a predicted x corrected confusion matrix from feedback rows
+function summarizeFeedback(rows) {
+  const labels = [...new Set(rows.flatMap(row => [row.predicted_class, row.correct_class]))].sort();
+  const counts = labels.map(() => labels.map(() => 0));
+  const perClass = new Map();
+  let total = 0;
+  let agreed = 0;
+  
+  rows.forEach(row => {
+    counts[labels.indexOf(row.predicted_class)][labels.indexOf(row.correct_class)] += row.count;
+    
+    const entry = perClass.get(row.predicted_class) || { class: row.predicted_class, total: 0, agreed: 0 };
+    entry.total += row.count;
+    if (row.predicted_class === row.correct_class) entry.agreed += row.count;
+    perClass.set(row.predicted_class, entry);
+    
+    total += row.count;
+    if (row.predicted_class === row.correct_class) agreed += row.count;
+  });
+  
+  return {
+    total,
+    agreementRate: rate(agreed, total),
+    perClass: [...perClass.values()]
+      .map(entry => ({ ...entry, agreementRate: rate(entry.agreed, entry.total) }))
+      .sort((a, b) => b.total - a.total),
+    // counts[i][j]: boxes predicted as labels[i] that farmers said were labels[j]
+    confusionMatrix: { labels, counts },
+    pairs: rows.map(row => ({
+      predicted: row.predicted_class,
+      actual: row.correct_class,
+      count: row.count
+    }))
+  };
+}
+
+// Aggregates for the analytics API: per-disease counts, time series,
+// rejection and error rates and image type breakdown over [from, to).
+// The disease filter narrows the success-based panels (diseases, time series,
+// confidence, feedback); totals, traffic, rejections and latency cover all requests.
+// Day and week buckets start at midnight in `timezone`, like the hourly breakdown.
+export async function getAnalytics({ from, to, interval = 'day', disease = null, timezone = 'Asia/Manila' }) {
+  const db = getPool();
+  if (!db) return null;
+  
+  const all = buildFilter({ from, to });
+  const successful = buildFilter({ from, to, disease }, { successOnly: true });
+  
+  try {
+    const [
+      totals, diseases, timeSeries, imageTypes,
+      confidenceHistogram, hourlyTraffic, rejectionReasons, latency, feedback
+    ] = await Promise.all([
+      db.query(`
+        SELECT
+          COUNT(*)::int AS total,
+          COUNT(*) FILTER (WHERE success = TRUE)::int AS successful,
+          COUNT(*) FILTER (WHERE success = FALSE AND failure_type = ANY($${all.values.length + 1}))::int AS errors,
+          COUNT(*) FILTER (WHERE cached = TRUE)::int AS cached
+        FROM detections
+        WHERE ${all.where}
+      `, [...all.values, ERROR_TYPES]),
+      
+      // Prevalence counts each photo once: re-uploads answered from the cache repeat
+      // an earlier detection
+      db.query(`
+        SELECT
+          model2_class AS disease,
+          COUNT(*)::int AS count,
+          ROUND(AVG(model2_confidence)::numeric, 1)::float AS avg_confidence
+        FROM detections
+        WHERE ${successful.where} AND cached = FALSE
+        GROUP BY model2_class
+        ORDER BY count DESC
+      `, successful.values),
+      
+      db.query(`
+        SELECT
+          date_trunc($${successful.values.length + 1}, timestamp AT TIME ZONE $${successful.values.length + 2}) AT TIME ZONE $${successful.values.length + 2} AS bucket,
+          model2_class AS disease,
+          COUNT(*)::int AS count,
+          ROUND(AVG(model2_confidence)::numeric, 1)::float AS avg_confidence
+        FROM detections
+        WHERE ${successful.where} AND cached = FALSE
+        GROUP BY bucket, model2_class
+        ORDER BY bucket, model2_class
+      `, [...successful.values, interval, timezone]),
+      
+      db.query(`
+        SELECT
+          COALESCE(image_type, 'unknown') AS image_type,
+          COUNT(*)::int AS count
+        FROM detections
+        WHERE ${all.where}
+        GROUP BY image_type
+        ORDER BY count DESC
+      `, all.values),
+      
+      // 10 buckets of 10% (model2_confidence is stored as 0-100)
+      db.query(`
+        SELECT
+          LEAST(width_bucket(model2_confidence, 0, 100, 10), 10) AS bucket,
+          COUNT(*)::int AS count
+        FROM detections
+        WHERE ${successful.where} AND model2_confidence IS NOT NULL
+        GROUP BY bucket
+        ORDER BY bucket
+      `, successful.values),
+      
+      db.query(`
+        SELECT
+          EXTRACT(HOUR FROM timestamp AT TIME ZONE $${all.values.length + 1})::int AS hour,
+          COUNT(*)::int AS count
+        FROM detections
+        WHERE ${all.where}
+        GROUP BY hour
+        ORDER BY hour
+      `, [...all.values, timezone]),
+      
+      db.query(`
+        SELECT
+          COALESCE(failure_type, 'unknown') AS reason,
+          COUNT(*)::int AS count
+        FROM detections
+        WHERE ${all.where} AND success = FALSE
+        GROUP BY reason
+        ORDER BY count DESC
+      `, all.values),
+      
+      db.query(`
+        SELECT
+          date_trunc($${all.values.length + 1}, timestamp AT TIME ZONE $${all.values.length + 2}) AT TIME ZONE $${all.values.length + 2} AS bucket,
+          percentile_cont(0.5) WITHIN GROUP (ORDER BY model1_latency_ms) AS model1_p50,
+          percentile_cont(0.95) WITHIN GROUP (ORDER BY model1_latency_ms) AS model1_p95,
+          percentile_cont(0.5) WITHIN GROUP (ORDER BY model2_latency_ms) AS model2_p50,
+          percentile_cont(0.95) WITHIN GROUP (ORDER BY model2_latency_ms) AS model2_p95
+        FROM detections
+        WHERE ${all.where} AND model1_latency_ms IS NOT NULL
+        GROUP BY bucket
+        ORDER BY bucket
+      `, [...all.values, interval, timezone]),
+      
+      // Feedback on detections made in the range
+      db.query(`
+        SELECT
+          f.predicted_class,
+          f.correct_class,
+          COUNT(*)::int AS count
+        FROM detection_feedback f
+        JOIN detections ON detections.id = f.detection_id
+        WHERE ${successful.where}
+        GROUP BY f.predicted_class, f.correct_class
+      `, successful.values)
+    ]);
+    
+    const { total, successful: successCount, errors, cached } = totals.rows[0];
+    const rejected = total - successCount - errors;
+    const shareOfTotal = count => total > 0 ? Math.round((count / total) * 1000) / 1000 : 0;
+    
+    return {
+      totals: {
+        total,
+        successful: successCount,
+        rejected,
+        errors,
+        rejectionRate: shareOfTotal(rejected),
+        errorRate: shareOfTotal(errors),
+        // Successful detections answered from the result cache
+        cached,
+        cacheHitRate: successCount > 0 ? Math.round((cached / successCount) * 1000) / 1000 : 0
+      },
+      diseases: diseases.rows.map(row => ({
+        disease: row.disease,
+        count: row.count,
+        avgConfidence: row.avg_confidence
+      })),
+      timeSeries: timeSeries.rows.map(row => ({
+        bucket: new Date(row.bucket).toISOString(),
+        disease: row.disease,
+        count: row.count,
+        avgConfidence: row.avg_confidence
+      })),
+      imageTypes: imageTypes.rows.map(row => ({
+        imageType: row.image_type,
+        count: row.count
+      })),
+      confidenceHistogram: Array.from({ length: 10 }, (_, i) => ({
+        min: i * 10,
+        max: (i + 1) * 10,
+        count: confidenceHistogram.rows.find(row => row.bucket === i + 1)?.count || 0
+      })),
+      hourlyTraffic: Array.from({ length: 24 }, (_, hour) => ({
+        hour,
+        count: hourlyTraffic.rows.find(row => row.hour === hour)?.count || 0
+      })),
+      rejectionReasons: rejectionReasons.rows.map(row => ({
+        reason: row.reason,
+        kind: ERROR_TYPES.includes(row.reason) ? 'error' : 'rejection',
+        count: row.count
+      })),
+      latency: latency.rows.map(row => ({
+        bucket: new Date(row.bucket).toISOString(),
+        model1P50: roundMs(row.model1_p50),
+        model1P95: roundMs(row.model1_p95),
+        model2P50: roundMs(row.model2_p50),
+        model2P95: roundMs(row.model2_p95)
+      })),
+      feedback: summarizeFeedback(feedback.rows)
+    };
+  } catch (error) {
+    logQueryError('Analytics query error', error);
+    return null;
+  }
+}
+
+// Detections per region cell and disease for outbreak alerts: counts in the recent
+// window [to - windowDays, to) and in the baseline period just before it.
+// Uses the photo's capture time when known, otherwise the upload time. Results
+// answered from the cache are left out, so re-uploading a photo can't raise an alert.
+export async function getOutbreakCounts({ to, windowDays, baselineDays, precision, diseases }) {
+  const db = getPool();
+  if (!db) return null;
+  
+  const windowStart = new Date(to.getTime() - windowDays * 24 * 60 * 60 * 1000);
+  const baselineStart = new Date(windowStart.getTime() - baselineDays * 24 * 60 * 60 * 1000);
+  
+  try {
+    const { rows } = await db.query(`
+      SELECT
+        LEFT(geohash, $1) AS cell,
+        LOWER(model2_class) AS disease,
+        COUNT(*) FILTER (WHERE COALESCE(captured_at, timestamp) >= $2)::int AS current,
+        COUNT(*) FILTER (WHERE COALESCE(captured_at, timestamp) < $2)::int AS baseline,
+        ARRAY_REMOVE(ARRAY_AGG(DISTINCT municipality), NULL) AS municipalities
+      FROM detections
+      WHERE
+        success = TRUE
+        AND cached = FALSE
+        AND geohash IS NOT NULL
+        AND COALESCE(captured_at, timestamp) >= $3
+        AND COALESCE(captured_at, timestamp) < $4
+        AND LOWER(model2_class) = ANY($5)
+      GROUP BY cell, disease
+    `, [precision, windowStart, baselineStart, to, diseases]);
+    
+    return {
+      windowStart,
+      baselineStart,
+      rows
+    };
+  } catch (error) {
+    logQueryError('Outbreak query error', error);
+    return null;
+  }
+}
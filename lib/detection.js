@@ -0,0 +1,223 @@
+// lib/detection.js - Two-stage detection pipeline shared by the API endpoints
+// Model 1 verifies the photo shows calamansi, Model 2 detects diseases.
+// Works on an image already normalized by lib/preprocess.js; callers own upload
+// parsing, logging and cleanup.
+import { getProvider } from './providers/index.js';
+import { shouldTile, predictTiled } from './tiling.js';
+import { shouldEnsemble, predictEnsemble } from './ensemble.js';
+import { loadPostprocessConfig, postprocess } from './postprocess.js';
+import { estimateSeverity } from './severity.js';
+import { createTrace } from './outcomes.js';
+
+// Expected failure with an HTTP status, a client-facing error type and the more
+// specific failure type recorded in the detections log (see lib/outcomes.js)
+export class DetectionError extends Error {
+  constructor(message, { type, status = 400, details = {}, failureType = type } = {}) {
+    super(message);
+    this.name = 'DetectionError';
+    this.type = type;
+    this.status = status;
+    this.details = details;
+    this.failureType = failureType;
+  }
+  
+  toJSON() {
+    return { error: this.message, type: this.type, ...this.details };
+  }
+}
+
+// Get the configured inference provider or fail with a config_error
+export function getConfiguredProvider() {
+  let provider;
+  try {
+    provider = getProvider();
+  } catch (error) {
+    console.error(error.message);
+  }
+  
+  if (!provider || !provider.isConfigured()) {
+    console.error('Missing environment variables for inference provider');
+    throw new DetectionError('Server configuration error', { type: 'config_error', status: 500 });
+  }
+  
+  return provider;
+}
+
+// Client-facing answer for a failed model call (InferenceError): the status and a body
+// whose `retry` says whether trying again right away can help ("now") or the model
+// service is down or overloaded ("later", with retryAfter in seconds)
+export function inferenceErrorResponse(error) {
+  if (error.reason === 'circuit_open' || error.reason === 'rate_limited') {
+    const retryAfter = error.retryAfter || 60;
+    const wait = retryAfter <= 60 ? 'a minute' : `${Math.ceil(retryAfter / 60)} minutes`;
+    return {
+      status: 503,
+      body: {
+        error: `The AI model service is busy or down right now. Please try again in ${wait}.`,
+        type: 'service_error',
+        retry: 'later',
+        retryAfter
+      }
+    };
+  }
+  
+  if (error.reason === 'timeout') {
+    return {
+      status: 504,
+      body: {
+        error: 'The AI model took too long to respond. Please try again.',
+        type: 'timeout_error',
+        retry: 'now'
+      }
+    };
+  }
+  
+  return {
+    status: 502,
+    body: {
+      error: 'AI model service is temporarily unavailable. Please try again.',
+      type: 'service_error',
+      retry: 'now'
+    }
+  };
+}
+
+// Read an optional true/false form field (formidable gives arrays); undefined when absent
+export function readFlag(fields, name) {
+  const value = String(fields?.[name]?.[0] ?? fields?.[name] ?? '').toLowerCase();
+  if (['true', '1', 'yes', 'on'].includes(value)) return true;
+  if (['false', '0', 'no', 'off'].includes(value)) return false;
+  return undefined;
+}
+
+// Bring boxes reported for a differently sized copy (e.g. the mock provider's fixed
+// 640x640 frame) into the pixel space of the image the client draws on
+function scaleToImage(response, width, height) {
+  const reported = response.image;
+  if (!reported?.width || !reported?.height) return response;
+  if (reported.width === width && reported.height === height) return response;
+  
+  const sx = width / reported.width;
+  const sy = height / reported.height;
+  return {
+    ...response,
+    image: { width, height },
+    predictions: response.predictions.map(pred => ({
+      ...pred,
+      x: pred.x * sx,
+      y: pred.y * sy,
+      width: pred.width * sx,
+      height: pred.height * sy
+    }))
+  };
+}
+
+// Run both models on one image and build the response fields shared by all endpoints.
+// `image` is { buffer, width, height } from normalizeImage; width/height may be null
+// when sharp is unavailable, in which case the provider's reported size is used.
+// `tiled` is the request's flag for tiled Model 2 inference (true/false/undefined),
+// honoured only as far as TILED_INFERENCE allows (shouldTile in lib/tiling.js).
+// `ensemble` does the same for the model ensemble / TTA (lib/ensemble.js), which
+// takes precedence over tiling.
+// `trace` records the stage reached, Model 1's class and each model's latency, also
+// when this throws. `deadline` (createDeadline) bounds every model call and retry.
+// `onProgress(event, data)` hears each model's result as soon as it is known
+// ('verification', then 'detections'), e.g. to stream it (lib/sse.js).
+export async function runDetection({ buffer: imageBuffer, width, height }, { provider = getConfiguredProvider(), tiled, ensemble, trace = createTrace(), deadline, onProgress = () => {} } = {}) {
+  // Call Model 1 (Calamansi verification)
+  console.log(`Calling Model 1 (verification) via ${provider.name}...`);
+  trace.stage = 'model1';
+  let started = Date.now();
+  const model1Response = await provider.predict('verification', imageBuffer, { deadline });
+  trace.model1LatencyMs = Date.now() - started;
+  
+  const rules = loadPostprocessConfig();
+  const model1Predictions = postprocess(model1Response.predictions, rules.verification);
+  
+  // Verify it's a calamansi: the best prediction left after post-processing must be
+  // an accepted class (its confidence already passed the verification threshold)
+  const model1Prediction = model1Predictions[0];
+  const detected = model1Prediction || model1Response.predictions[0];
+  trace.model1Class = detected?.class ?? null;
+  trace.model1Confidence = detected ? Math.round(detected.confidence * 100) : null;
+  
+  if (!model1Prediction || !rules.verification.acceptClasses.includes(model1Prediction.class.toLowerCase())) {
+    throw new DetectionError('Image does not appear to be a calamansi plant. Please upload a clear photo of a calamansi.', {
+      type: 'validation_error',
+      failureType: 'not_calamansi',
+      details: {
+        detected: trace.model1Class ?? undefined,
+        confidence: trace.model1Confidence ?? undefined
+      }
+    });
+  }
+  
+  const model1 = {
+    class: model1Prediction.class,
+    confidence: Math.round(model1Prediction.confidence * 100)
+  };
+  onProgress('verification', { model1 });
+  
+  // Call Model 2 (Disease detection)
+  console.log(`Calling Model 2 (disease detection) via ${provider.name}...`);
+  trace.stage = 'model2';
+  started = Date.now();
+  const rawResponse =
+    (shouldEnsemble(ensemble) && await predictEnsemble(provider, imageBuffer, { width, height, deadline })) ||
+    (shouldTile(tiled) && await predictTiled(provider, imageBuffer, { deadline })) ||
+    await provider.predict('disease', imageBuffer, { deadline });
+  trace.model2LatencyMs = Date.now() - started;
+  const model2Response = width && height ? scaleToImage(rawResponse, width, height) : rawResponse;
+  
+  // Same post-processing rules as Model 1 (thresholds, NMS, cap), sorted by confidence
+  const validPredictions = postprocess(model2Response.predictions, rules.disease);
+  
+  if (validPredictions.length === 0) {
+    throw new DetectionError('Model 2 returned no valid predictions', { type: 'model_error', status: 500, failureType: 'no_predictions' });
+  }
+  
+  // Get the primary (highest confidence) detection
+  const model2Prediction = validPredictions[0];
+  
+  // Include ALL predictions with their bounding boxes
+  const allPredictions = validPredictions.map(pred => ({
+    class: pred.class,
+    confidence: Math.round(pred.confidence * 100),
+    boundingBox: {
+      x: pred.x,
+      y: pred.y,
+      width: pred.width,
+      height: pred.height
+    },
+    // Share of the ensemble runs that found this detection (ensemble mode only)
+    ...(pred.agreement !== undefined && { agreement: Number(pred.agreement.toFixed(2)), votes: pred.votes })
+  }));
+  
+  console.log(`Found ${allPredictions.length} valid detections`);
+  
+  const imageWidth = width || model2Response.image?.width || 640;
+  const imageHeight = height || model2Response.image?.height || 640;
+  
+  const model2 = {
+    class: model2Prediction.class,
+    confidence: Math.round(model2Prediction.confidence * 100),
+    boundingBox: allPredictions[0].boundingBox,
+    ...(allPredictions[0].agreement !== undefined && { agreement: allPredictions[0].agreement })
+  };
+  onProgress('detections', { model2, allPredictions, detectionCount: allPredictions.length });
+  
+  return {
+    model1,
+    model2,
+    imageWidth,
+    imageHeight,
+    allPredictions,
+    detectionCount: allPredictions.length,
+    severity: estimateSeverity(allPredictions, imageWidth, imageHeight),
+    ...(model2Response.tiles && { tiles: model2Response.tiles }),
+    ...(model2Response.ensemble && {
+      ensemble: model2Response.ensemble,
+      debug: { ensemble: model2Response.debug }
+    })
+  };
+}
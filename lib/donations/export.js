@@ -0,0 +1,154 @@
+// lib/donations/export.js - Donated images as a training set (COCO + YOLO)
+// Uses the Roboflow folder layout, so the tree (or a ZIP of it) can be uploaded
+// as-is or fed straight to a YOLO trainer. Written by `npm run export-donations`:
+//   train/images/<id>.jpg   train/labels/<id>.txt   train/_annotations.coco.json
+//   valid/images/<id>.jpg   valid/labels/<id>.txt   valid/_annotations.coco.json
+//   data.yaml
+// Splits are decided by hashing the donation id, so a donation stays in the same
+// split across exports and the validation set never leaks into training.
+import crypto from 'crypto';
+import { listDiseases, normalizeClassKey } from '../knowledgeBase.js';
+import { OTHER_CLASS } from '../feedback.js';
+
+export const DEFAULT_VAL_PERCENT = 20;
+
+const SPLITS = ['train', 'valid'];
+
+export function assignSplit(id, valPercent = DEFAULT_VAL_PERCENT) {
+  const bucket = crypto.createHash('sha256').update(String(id)).digest().readUInt32BE(0) % 100;
+  return bucket < valPercent ? 'valid' : 'train';
+}
+
+// Final boxes for one donation: farmer corrections win over predictions, and
+// boxes marked "other" (not a known class) are dropped
+export function labelBoxes(donation, corrections) {
+  return donation.boxes
+    .map((box, index) => {
+      const corrected = corrections?.get(index);
+      if (!corrected) return { ...box, source: 'predicted' };
+      return { ...box, class: normalizeClassKey(corrected), source: 'corrected' };
+    })
+    .filter(box => box.class && box.class !== OTHER_CLASS);
+}
+
+// Knowledge base classes first so ids stay stable, then anything else seen
+function buildClassList(donations) {
+  const classes = listDiseases().map(entry => entry.key);
+  const extra = new Set();
+  donations.forEach(({ boxes }) => boxes.forEach(box => {
+    if (!classes.includes(box.class)) extra.add(box.class);
+  }));
+  return [...classes, ...[...extra].sort()];
+}
+
+// Center-based pixel box -> clipped [left, top, width, height]
+function toCorners(box, width, height) {
+  const left = Math.max(0, box.x - box.width / 2);
+  const top = Math.max(0, box.y - box.height / 2);
+  const right = Math.min(width, box.x + box.width / 2);
+  const bottom = Math.min(height, box.y + box.height / 2);
+  return [left, top, Math.max(0, right - left), Math.max(0, bottom - top)];
+}
+
+const round = value => Math.round(value * 100) / 100;
+
+function yoloLabel(boxes, classes, width, height) {
+  return boxes
+    .map(box => {
+      const [left, top, w, h] = toCorners(box, width, height);
+      if (!w || !h) return null;
+      const values = [(left + w / 2) / width, (top + h / 2) / height, w / width, h / height];
+      return `${classes.indexOf(box.class)} ${values.map(value => value.toFixed(6)).join(' ')}`;
+    })
+    .filter(Boolean)
+    .join('\n');
+}
+
+function createCoco(classes, createdAt) {
+  return {
+    info: {
+      description: 'Cali AI donated calamansi images',
+      version: createdAt.slice(0, 10),
+      date_created: createdAt
+    },
+    licenses: [],
+    categories: classes.map((name, index) => ({ id: index + 1, name, supercategory: 'calamansi' })),
+    images: [],
+    annotations: []
+  };
+}
+
+// readImage(key) -> Buffer | null. writeFile(name, data) receives every file of the
+// tree one at a time, so images never pile up in memory.
+// corrections: Map detectionId -> Map boxIndex -> class. Returns the summary.
+export async function buildDataset(donations, { readImage, writeFile, corrections = null, valPercent = DEFAULT_VAL_PERCENT }) {
+  const createdAt = new Date().toISOString();
+  const labelled = donations.map(donation => ({
+    ...donation,
+    boxes: labelBoxes(donation, corrections?.get(donation.detectionId))
+  }));
+  const classes = buildClassList(labelled);
+
+  const coco = Object.fromEntries(SPLITS.map(split => [split, createCoco(classes, createdAt)]));
+  const summary = {
+    images: 0,
+    missingImages: 0,
+    boxes: 0,
+    correctedBoxes: 0,
+    splits: Object.fromEntries(SPLITS.map(split => [split, 0])),
+    classes: Object.fromEntries(classes.map(name => [name, 0]))
+  };
+
+  for (const donation of labelled) {
+    const image = await readImage(donation.image.key);
+    if (!image) {
+      summary.missingImages++;
+      continue;
+    }
+
+    const split = assignSplit(donation.id, valPercent);
+    const { width, height } = donation.image;
+    const fileName = donation.image.key.split('/').pop();
+
+    await writeFile(`${split}/images/${fileName}`, image);
+    await writeFile(`${split}/labels/${donation.id}.txt`, yoloLabel(donation.boxes, classes, width, height));
+
+    const splitCoco = coco[split];
+    const imageId = splitCoco.images.length + 1;
+    splitCoco.images.push({ id: imageId, file_name: fileName, width, height, date_captured: donation.createdAt });
+
+    donation.boxes.forEach(box => {
+      const bbox = toCorners(box, width, height).map(round);
+      if (!bbox[2] || !bbox[3]) return;
+      splitCoco.annotations.push({
+        id: splitCoco.annotations.length + 1,
+        image_id: imageId,
+        category_id: classes.indexOf(box.class) + 1,
+        bbox,
+        area: round(bbox[2] * bbox[3]),
+        segmentation: [],
+        iscrowd: 0
+      });
+      summary.boxes++;
+      summary.classes[box.class]++;
+      if (box.source === 'corrected') summary.correctedBoxes++;
+    });
+
+    summary.images++;
+    summary.splits[split]++;
+  }
+
+  for (const split of SPLITS) {
+    await writeFile(`${split}/_annotations.coco.json`, JSON.stringify(coco[split]));
+  }
+
+  await writeFile('data.yaml', [
+    'train: train/images',
+    'val: valid/images',
+    `nc: ${classes.length}`,
+    `names: ${JSON.stringify(classes)}`,
+    ''
+  ].join('\n'));
+
+  return summary;
+}
@@ -0,0 +1,149 @@
+// lib/donations/index.js - Opt-in image donations for retraining
+// Photos are only kept when the farmer ticks "donate" on that upload. Each
+// donation is the original image plus an annotation file:
+//   images/<id>.<ext>
+//   annotations/<id>.json  { id, createdAt, detectionId, consent, image, boxes }
+// Boxes are the model's predictions (center x/y, width/height in pixels, like
+// allPredictions). Farmer corrections from /api/feedback are applied at export time.
+//
+// DONATION_STORE picks the backend (donations are disabled when unset):
+//   local - DONATION_DIR (default ./donations)
+//   s3    - DONATION_S3_ENDPOINT, DONATION_S3_BUCKET, DONATION_S3_REGION (default
+//           us-east-1), DONATION_S3_ACCESS_KEY_ID, DONATION_S3_SECRET_ACCESS_KEY
+// DONATION_TIMEOUT_MS bounds storing one donation (default 5000), so a slow store
+// delays the detection response by at most that much.
+import crypto from 'crypto';
+import path from 'path';
+import { normalizeClassKey } from '../knowledgeBase.js';
+import { mapWithConcurrency } from '../batch.js';
+import { createLocalStore } from './localStore.js';
+import { createS3Store } from './s3Store.js';
+
+// Bump when the consent wording on the upload form changes
+export const CONSENT_VERSION = 1;
+
+// Annotation files fetched at once when listing donations
+const LIST_CONCURRENCY = 8;
+const DEFAULT_TIMEOUT_MS = 5000;
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/jpg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp'
+};
+
+const storeFactories = {
+  local: env => createLocalStore({ directory: env.DONATION_DIR || path.join(process.cwd(), 'donations') }),
+  s3: env => createS3Store({
+    endpoint: env.DONATION_S3_ENDPOINT,
+    bucket: env.DONATION_S3_BUCKET,
+    region: env.DONATION_S3_REGION,
+    accessKeyId: env.DONATION_S3_ACCESS_KEY_ID,
+    secretAccessKey: env.DONATION_S3_SECRET_ACCESS_KEY
+  })
+};
+
+let cachedStore = null;
+
+export function isDonationEnabled(env = process.env) {
+  return Boolean(env.DONATION_STORE);
+}
+
+// Get the configured store (cached across warm invocations), or null when disabled
+export function getDonationStore(env = process.env) {
+  if (!isDonationEnabled(env)) return null;
+  const name = env.DONATION_STORE.toLowerCase();
+
+  if (cachedStore?.name === name) {
+    return cachedStore;
+  }
+
+  const factory = storeFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown DONATION_STORE "${name}"`);
+  }
+
+  cachedStore = factory(env);
+  return cachedStore;
+}
+
+// Store a consented upload. Returns the donation id, or null when donations are
+// disabled or the store failed - a failed donation never fails the detection.
+// Gives up after DONATION_TIMEOUT_MS, or sooner when `deadline` (createDeadline)
+// has less time left.
+export async function donateImage({ buffer, mimetype, detection, detectionId = null, deadline = null }) {
+  const extension = EXTENSIONS[mimetype];
+  if (!extension) return null;
+
+  const timeoutMs = Math.min(
+    parseInt(process.env.DONATION_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS,
+    deadline ? deadline.remaining() : Infinity
+  );
+  if (timeoutMs <= 0) {
+    console.error('Donation skipped: no time left in the request');
+    return null;
+  }
+
+  try {
+    const signal = AbortSignal.timeout(timeoutMs);
+    const store = getDonationStore();
+    if (!store) return null;
+
+    const id = crypto.randomUUID();
+    const createdAt = new Date().toISOString();
+    const imageKey = `images/${id}.${extension}`;
+
+    const annotation = {
+      id,
+      createdAt,
+      detectionId,
+      consent: { version: CONSENT_VERSION, givenAt: createdAt },
+      image: {
+        key: imageKey,
+        type: mimetype,
+        width: detection.imageWidth,
+        height: detection.imageHeight
+      },
+      boxes: detection.allPredictions.map(pred => ({
+        class: normalizeClassKey(pred.class),
+        confidence: pred.confidence,
+        ...pred.boundingBox
+      }))
+    };
+
+    // Image first, so an annotation never points at a missing file
+    await store.put(imageKey, buffer, mimetype, { signal });
+    await store.put(`annotations/${id}.json`, JSON.stringify(annotation), 'application/json', { signal });
+
+    console.log(`✓ Image donated (${id}, ${annotation.boxes.length} box(es)) to ${store.name} store`);
+    return id;
+  } catch (error) {
+    console.error('Donation error:', error.message);
+    return null;
+  }
+}
+
+// All donation annotations, oldest first
+export async function listDonations(store = getDonationStore()) {
+  if (!store) return [];
+
+  const keys = (await store.list('annotations/')).filter(key => key.endsWith('.json'));
+  const donations = await mapWithConcurrency(keys, {
+    concurrency: LIST_CONCURRENCY,
+    worker: async key => {
+      const data = await store.get(key);
+      if (!data) return null;
+      try {
+        return JSON.parse(data.toString('utf8'));
+      } catch (error) {
+        console.error(`Skipping unreadable donation ${key}:`, error.message);
+        return null;
+      }
+    }
+  });
+
+  return donations
+    .filter(Boolean)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
@@ -0,0 +1,48 @@
+// lib/donations/localStore.js - Donation store on the local filesystem
+// Stand-in for S3 during development and on self-hosted servers. On Vercel only
+// /tmp is writable and it does not survive cold starts, so use S3 there.
+import fs from 'fs/promises';
+import path from 'path';
+
+export function createLocalStore({ directory }) {
+  const root = path.resolve(directory);
+
+  // Keys are generated by us, but never let one escape the donation directory
+  function resolveKey(key) {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid donation key "${key}"`);
+    }
+    return filePath;
+  }
+
+  return {
+    name: 'local',
+
+    async put(key, body, contentType, { signal } = {}) {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, body, { signal });
+    },
+
+    async get(key) {
+      try {
+        return await fs.readFile(resolveKey(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    // Keys directly under prefix (e.g. "annotations/")
+    async list(prefix) {
+      try {
+        const names = await fs.readdir(resolveKey(prefix));
+        return names.filter(name => !name.startsWith('.')).map(name => prefix + name).sort();
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+    }
+  };
+}
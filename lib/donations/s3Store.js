@@ -0,0 +1,130 @@
+// lib/donations/s3Store.js - Donation store on S3 or any S3-compatible service
+// (Cloudflare R2, MinIO, DigitalOcean Spaces...). Requests are signed with AWS
+// Signature Version 4 and use path-style URLs: <endpoint>/<bucket>/<key>.
+import crypto from 'crypto';
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// RFC 3986 encoding as SigV4 expects (encodeURIComponent leaves !'()* alone)
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function encodeKey(key) {
+  return key.split('/').map(encodeRfc3986).join('/');
+}
+
+function decodeXml(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+export function createS3Store({ endpoint, bucket, region = 'us-east-1', accessKeyId, secretAccessKey }) {
+  if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 donation store needs DONATION_S3_ENDPOINT, DONATION_S3_BUCKET, DONATION_S3_ACCESS_KEY_ID and DONATION_S3_SECRET_ACCESS_KEY');
+  }
+
+  const baseUrl = new URL(endpoint);
+
+  async function request(method, key, { query = {}, body = null, contentType, signal } = {}) {
+    const now = new Date();
+    const amzDate = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const day = amzDate.slice(0, 8);
+    const payloadHash = sha256(body || '');
+
+    const canonicalPath = `${baseUrl.pathname.replace(/\/$/, '')}/${encodeRfc3986(bucket)}/${encodeKey(key)}`;
+    const canonicalQuery = Object.keys(query)
+      .sort()
+      .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+      .join('&');
+
+    const headers = {
+      host: baseUrl.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate
+    };
+    if (contentType) headers['content-type'] = contentType;
+
+    const signedHeaders = Object.keys(headers).sort();
+    const canonicalRequest = [
+      method,
+      canonicalPath,
+      canonicalQuery,
+      ...signedHeaders.map(name => `${name}:${headers[name]}`),
+      '',
+      signedHeaders.join(';'),
+      payloadHash
+    ].join('\n');
+
+    const scope = `${day}/${region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+    const signingKey = ['s3', 'aws4_request'].reduce(
+      (key, part) => hmac(key, part),
+      hmac(hmac(`AWS4${secretAccessKey}`, day), region)
+    );
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    delete headers.host; // fetch sets it
+    headers.authorization = `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, ` +
+      `SignedHeaders=${signedHeaders.join(';')}, Signature=${signature}`;
+
+    const url = `${baseUrl.origin}${canonicalPath}${canonicalQuery ? `?${canonicalQuery}` : ''}`;
+    return fetch(url, { method, headers, body, signal });
+  }
+
+  async function failed(response, action) {
+    const text = await response.text().catch(() => '');
+    const code = /<Code>([^<]+)<\/Code>/.exec(text)?.[1] || response.statusText;
+    return new Error(`S3 ${action} failed (${response.status} ${code})`);
+  }
+
+  return {
+    name: 's3',
+
+    // `signal` aborts the upload (e.g. AbortSignal.timeout)
+    async put(key, body, contentType = 'application/octet-stream', { signal } = {}) {
+      const response = await request('PUT', key, { body, contentType, signal });
+      if (!response.ok) throw await failed(response, `PUT ${key}`);
+    },
+
+    async get(key) {
+      const response = await request('GET', key);
+      if (response.status === 404) return null;
+      if (!response.ok) throw await failed(response, `GET ${key}`);
+      return Buffer.from(await response.arrayBuffer());
+    },
+
+    // Keys directly under prefix (e.g. "annotations/"), following continuation tokens
+    async list(prefix) {
+      const keys = [];
+      let token = null;
+
+      do {
+        const query = { 'list-type': '2', prefix, delimiter: '/' };
+        if (token) query['continuation-token'] = token;
+
+        const response = await request('GET', '', { query });
+        if (!response.ok) throw await failed(response, `LIST ${prefix}`);
+
+        const xml = await response.text();
+        for (const match of xml.matchAll(/<Contents>[\s\S]*?<Key>([^<]+)<\/Key>[\s\S]*?<\/Contents>/g)) {
+          keys.push(decodeXml(match[1]));
+        }
+        const truncated = /<IsTruncated>true<\/IsTruncated>/.test(xml);
+        token = truncated ? decodeXml(/<NextContinuationToken>([^<]+)<\/NextContinuationToken>/.exec(xml)?.[1] || '') : null;
+      } while (token);
+
+      return keys.sort();
+    }
+  };
+}
@@ -0,0 +1,174 @@
+// lib/ensemble.js - Ensemble and test-time augmentation (TTA) for disease detection
+// Instead of trusting one Model 2 pass, every configured disease model runs on every
+// augmented view of the photo (flips, scales). Each run's boxes are mapped back to
+// the original image and fused with weighted box fusion (lib/boxes.js), so every
+// detection carries an agreement score next to its fused confidence - borderline
+// calls such as greening vs healthy only score high when the runs agree.
+// Augmented views need the optional "sharp" dependency; without it only the original
+// view is used.
+//
+// ENSEMBLE_INFERENCE        off (default, the per-request "ensemble" flag is ignored)
+//                           | on (only when the request asks with ensemble=true)
+//                           | auto (unless the request sets ensemble=false)
+// ENSEMBLE_AUGMENTATIONS    comma-separated views: none, hflip, vflip, scale:<factor>
+//                           (default "none,hflip")
+// ENSEMBLE_IOU_THRESHOLD    overlap for boxes to be fused (default 0.55)
+// ENSEMBLE_SKIP_CONFIDENCE  boxes below this are dropped before fusing (default 0.05)
+// ENSEMBLE_WEIGHTS          optional per-model weights, e.g. "disease=2,disease#1=1"
+// The disease models themselves come from the provider (see lib/providers/index.js).
+import { mapWithConcurrency } from './batch.js';
+import { weightedBoxFusion } from './boxes.js';
+import { InferenceError } from './providers/normalize.js';
+
+const ENSEMBLE_CONCURRENCY = 4;
+const ORIGINAL_VIEW = { name: 'none', scale: 1 };
+
+// "none,hflip,scale:0.75" -> [{ name, hflip, vflip, scale }]
+function parseAugmentations(value) {
+  const views = value.split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean)
+    .map(name => {
+      if (name === 'none') return ORIGINAL_VIEW;
+      if (name === 'hflip') return { name, hflip: true, scale: 1 };
+      if (name === 'vflip') return { name, vflip: true, scale: 1 };
+      const scale = /^scale:(\d*\.?\d+)$/.exec(name);
+      if (scale && parseFloat(scale[1]) > 0) return { name, scale: parseFloat(scale[1]) };
+      console.warn(`Unknown ensemble augmentation "${name}" ignored`);
+      return null;
+    })
+    .filter(Boolean);
+  return views.length ? views : [ORIGINAL_VIEW];
+}
+
+// "disease=2,disease#1=1" -> { disease: 2, 'disease#1': 1 }
+function parseWeights(value) {
+  return Object.fromEntries((value || '').split(',')
+    .map(pair => pair.split('=').map(part => part.trim()))
+    .filter(([model, weight]) => model && parseFloat(weight) > 0)
+    .map(([model, weight]) => [model, parseFloat(weight)]));
+}
+
+export function loadEnsembleConfig(env = process.env) {
+  const skipConfidence = parseFloat(env.ENSEMBLE_SKIP_CONFIDENCE);
+  return {
+    mode: (env.ENSEMBLE_INFERENCE || 'off').toLowerCase(),
+    augmentations: parseAugmentations(env.ENSEMBLE_AUGMENTATIONS || 'none,hflip'),
+    iouThreshold: parseFloat(env.ENSEMBLE_IOU_THRESHOLD) || 0.55,
+    skipConfidence: Number.isFinite(skipConfidence) ? skipConfidence : 0.05,
+    weights: parseWeights(env.ENSEMBLE_WEIGHTS)
+  };
+}
+
+// Should this request use the ensemble? `requested` is the per-request flag (true/false/undefined),
+// which only chooses within what the operator enabled - "off" always wins
+export function shouldEnsemble(requested, config = loadEnsembleConfig()) {
+  if (config.mode === 'on') return requested === true;
+  if (config.mode === 'auto') return requested !== false;
+  return false;
+}
+
+async function loadSharp() {
+  try {
+    return (await import('sharp')).default;
+  } catch {
+    return null;
+  }
+}
+
+// The augmented image sent to the model, and its size
+async function renderView(sharp, imageBuffer, view, width, height) {
+  if (view === ORIGINAL_VIEW) return { buffer: imageBuffer, width, height };
+  
+  let pipeline = sharp(imageBuffer);
+  if (view.hflip) pipeline = pipeline.flop(); // sharp: flop mirrors left-right, flip top-bottom
+  if (view.vflip) pipeline = pipeline.flip();
+  
+  const viewWidth = Math.max(1, Math.round(width * view.scale));
+  const viewHeight = Math.max(1, Math.round(height * view.scale));
+  if (view.scale !== 1) pipeline = pipeline.resize(viewWidth, viewHeight, { fit: 'fill' });
+  
+  return { buffer: await pipeline.jpeg({ quality: 92 }).toBuffer(), width: viewWidth, height: viewHeight };
+}
+
+// Boxes from view pixels back to original-image pixels
+function toOriginal(response, view, rendered, width, height) {
+  // The provider may report coordinates for a resized copy of the view
+  const reportedX = response.image?.width ? rendered.width / response.image.width : 1;
+  const reportedY = response.image?.height ? rendered.height / response.image.height : 1;
+  const scaleX = reportedX * (width / rendered.width);
+  const scaleY = reportedY * (height / rendered.height);
+  
+  return response.predictions.map(pred => {
+    if (pred.width === undefined) return pred;
+    const x = pred.x * scaleX;
+    const y = pred.y * scaleY;
+    return {
+      ...pred,
+      x: view.hflip ? width - x : x,
+      y: view.vflip ? height - y : y,
+      width: pred.width * scaleX,
+      height: pred.height * scaleY
+    };
+  });
+}
+
+// Run every disease model on every view and fuse the results. `width`/`height` are the
+// normalized image's size (null without sharp). Returns the normalized provider shape
+// plus `ensemble` (what ran) and `debug` (each run's own predictions, original pixels).
+// Failed runs are left out of the fusion; it only throws when all of them fail.
+export async function predictEnsemble(provider, imageBuffer, { width, height, deadline } = {}, config = loadEnsembleConfig()) {
+  const sharp = await loadSharp();
+  let views = config.augmentations;
+  if (!sharp || !width || !height) {
+    if (views.some(view => view !== ORIGINAL_VIEW)) {
+      console.warn('Ensemble augmentations need "sharp" and the image size, using the original view only');
+    }
+    views = [ORIGINAL_VIEW];
+  }
+  
+  const models = provider.ensembleModels || ['disease'];
+  const rendered = await Promise.all(views.map(view => renderView(sharp, imageBuffer, view, width, height)));
+  const jobs = models.flatMap(model => views.map((view, index) => ({ model, view, image: rendered[index] })));
+  console.log(`Ensemble: ${models.length} model(s) x ${views.length} view(s)`);
+  
+  const runs = await mapWithConcurrency(jobs, {
+    concurrency: ENSEMBLE_CONCURRENCY,
+    worker: async ({ model, view, image }) => {
+      const run = { model, view: view.name, weight: config.weights[model] ?? 1 };
+      try {
+        const response = await provider.predict(model, image.buffer, { deadline });
+        const imageWidth = width || response.image?.width;
+        const imageHeight = height || response.image?.height;
+        return {
+          ...run,
+          image: { width: imageWidth, height: imageHeight },
+          predictions: imageWidth && imageHeight
+            ? toOriginal(response, view, { width: image.width || imageWidth, height: image.height || imageHeight }, imageWidth, imageHeight)
+            : response.predictions
+        };
+      } catch (error) {
+        if (!(error instanceof InferenceError)) throw error;
+        console.warn(`Ensemble run ${model}/${view.name} failed: ${error.message}`);
+        return { ...run, error };
+      }
+    }
+  });
+  
+  const succeeded = runs.filter(run => !run.error);
+  if (!succeeded.length) throw runs[0].error;
+  
+  return {
+    predictions: weightedBoxFusion(succeeded, config),
+    image: succeeded[0].image,
+    ensemble: {
+      models,
+      views: views.map(view => view.name),
+      runs: runs.length,
+      failedRuns: runs.length - succeeded.length
+    },
+    debug: runs.map(({ model, view, weight, predictions, error }) => error
+      ? { model, view, weight, error: error.message }
+      : { model, view, weight, predictions })
+  };
+}
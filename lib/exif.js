@@ -0,0 +1,315 @@
+// lib/exif.js - Minimal EXIF reader for uploaded photos
+// Reads only what detection logging needs: capture time, GPS, camera model and
+// orientation. Supports JPEG (APP1), PNG (eXIf), WebP (EXIF chunk) and HEIC/AVIF
+// (Exif item in the ISO-BMFF meta box).
+// Never throws - malformed metadata just yields null fields.
+import { coarseLocation } from './geohash.js';
+
+const TAG_MAKE = 0x010f;
+const TAG_MODEL = 0x0110;
+const TAG_ORIENTATION = 0x0112;
+const TAG_DATETIME = 0x0132;
+const TAG_EXIF_IFD = 0x8769;
+const TAG_GPS_IFD = 0x8825;
+const TAG_DATETIME_ORIGINAL = 0x9003;
+const TAG_OFFSET_TIME_ORIGINAL = 0x9011;
+const TAG_GPS_LAT_REF = 0x0001;
+const TAG_GPS_LAT = 0x0002;
+const TAG_GPS_LON_REF = 0x0003;
+const TAG_GPS_LON = 0x0004;
+
+// Bytes per component for each TIFF field type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+// Cameras store local wall-clock time; assume Philippine time unless the photo says otherwise
+const DEFAULT_UTC_OFFSET = process.env.EXIF_DEFAULT_UTC_OFFSET || '+08:00';
+
+// ISO-BMFF boxes in buffer[start, end) as { type, start, end } of each payload
+function readBoxes(buffer, start = 0, end = buffer.length) {
+  const boxes = [];
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    let header = 8;
+    if (size === 1) {
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < header || offset + size > end) break;
+    boxes.push({ type, start: offset + header, end: offset + size });
+    offset += size;
+  }
+  return boxes;
+}
+
+// Big-endian unsigned field of 0, 2, 4 or 8 bytes (iloc sizes vary per file)
+function readUInt(buffer, offset, size) {
+  if (size === 0) return 0;
+  if (size === 2) return buffer.readUInt16BE(offset);
+  if (size === 4) return buffer.readUInt32BE(offset);
+  return Number(buffer.readBigUInt64BE(offset));
+}
+
+// Id of the item of type "Exif" in the iinf box
+function findExifItemId(buffer, iinf) {
+  const version = buffer[iinf.start];
+  const entriesStart = iinf.start + 4 + (version === 0 ? 2 : 4);
+  
+  for (const infe of readBoxes(buffer, entriesStart, iinf.end)) {
+    const infeVersion = buffer[infe.start];
+    if (infe.type !== 'infe' || infeVersion < 2) continue;
+    const idSize = infeVersion === 2 ? 2 : 4;
+    const typeStart = infe.start + 4 + idSize + 2;
+    if (buffer.toString('ascii', typeStart, typeStart + 4) === 'Exif') {
+      return readUInt(buffer, infe.start + 4, idSize);
+    }
+  }
+  return null;
+}
+
+// File offset and length of an item from the iloc box
+function findItemLocation(buffer, iloc, itemId) {
+  const version = buffer[iloc.start];
+  let offset = iloc.start + 4;
+  const offsetSize = buffer[offset] >> 4;
+  const lengthSize = buffer[offset] & 0x0f;
+  const baseOffsetSize = buffer[offset + 1] >> 4;
+  const indexSize = version === 0 ? 0 : buffer[offset + 1] & 0x0f;
+  const idSize = version < 2 ? 2 : 4;
+  const itemCount = readUInt(buffer, offset + 2, idSize);
+  offset += 2 + idSize;
+  
+  for (let i = 0; i < itemCount; i++) {
+    const id = readUInt(buffer, offset, idSize);
+    offset += idSize;
+    const constructionMethod = version === 0 ? 0 : buffer.readUInt16BE(offset) & 0x0f;
+    if (version > 0) offset += 2;
+    offset += 2; // data_reference_index
+    const baseOffset = readUInt(buffer, offset, baseOffsetSize);
+    offset += baseOffsetSize;
+    const extentCount = buffer.readUInt16BE(offset);
+    offset += 2;
+    
+    if (id === itemId) {
+      // Phones store EXIF as one extent addressed by file offset (construction method 0)
+      if (constructionMethod !== 0 || extentCount !== 1) return null;
+      return {
+        offset: baseOffset + readUInt(buffer, offset + indexSize, offsetSize),
+        length: readUInt(buffer, offset + indexSize + offsetSize, lengthSize)
+      };
+    }
+    offset += extentCount * (indexSize + offsetSize + lengthSize);
+  }
+  return null;
+}
+
+// HEIC / AVIF: the Exif item starts with the offset of the TIFF header after it
+function findHeifTiff(buffer) {
+  const meta = readBoxes(buffer).find(box => box.type === 'meta');
+  if (!meta) return null;
+  
+  // meta is a full box: skip its version and flags
+  const children = readBoxes(buffer, meta.start + 4, meta.end);
+  const iinf = children.find(box => box.type === 'iinf');
+  const iloc = children.find(box => box.type === 'iloc');
+  if (!iinf || !iloc) return null;
+  
+  const itemId = findExifItemId(buffer, iinf);
+  const location = itemId === null ? null : findItemLocation(buffer, iloc, itemId);
+  if (!location || location.length < 4 || location.offset + location.length > buffer.length) return null;
+  
+  const item = buffer.subarray(location.offset, location.offset + location.length);
+  return item.subarray(4 + item.readUInt32BE(0));
+}
+
+// Locate the TIFF block that holds the EXIF data
+function findTiff(buffer) {
+  if (buffer.length < 12) return null;
+  
+  // JPEG: walk the segments up to the start of the image data
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 4 <= buffer.length && buffer[offset] === 0xff) {
+      const marker = buffer[offset + 1];
+      if (marker === 0xda || marker === 0xd9) break;
+      
+      const length = buffer.readUInt16BE(offset + 2);
+      if (marker === 0xe1 && buffer.toString('ascii', offset + 4, offset + 10) === 'Exif\0\0') {
+        return buffer.subarray(offset + 10, offset + 2 + length);
+      }
+      offset += 2 + length;
+    }
+    return null;
+  }
+  
+  // PNG: eXIf chunk holds the TIFF block directly
+  if (buffer.readUInt32BE(0) === 0x89504e47) {
+    let offset = 8;
+    while (offset + 12 <= buffer.length) {
+      const length = buffer.readUInt32BE(offset);
+      const type = buffer.toString('ascii', offset + 4, offset + 8);
+      if (type === 'eXIf') return buffer.subarray(offset + 8, offset + 8 + length);
+      if (type === 'IDAT' || type === 'IEND') break;
+      offset += 12 + length;
+    }
+    return null;
+  }
+  
+  // WebP: RIFF chunks, EXIF sometimes keeps the JPEG-style "Exif" prefix
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    let offset = 12;
+    while (offset + 8 <= buffer.length) {
+      const type = buffer.toString('ascii', offset, offset + 4);
+      const length = buffer.readUInt32LE(offset + 4);
+      if (type === 'EXIF') {
+        const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+        return chunk.toString('ascii', 0, 6) === 'Exif\0\0' ? chunk.subarray(6) : chunk;
+      }
+      offset += 8 + length + (length % 2);
+    }
+  }
+  
+  // HEIC / AVIF: ISO-BMFF, starting with an ftyp box
+  if (buffer.toString('ascii', 4, 8) === 'ftyp') {
+    return findHeifTiff(buffer);
+  }
+  
+  return null;
+}
+
+function createReader(tiff) {
+  const order = tiff.toString('ascii', 0, 2);
+  if (order !== 'II' && order !== 'MM') return null;
+  const little = order === 'II';
+  
+  const u16 = offset => little ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset);
+  const u32 = offset => little ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset);
+  
+  if (u16(2) !== 42) return null;
+  
+  function readValue({ type, count, valueOffset }) {
+    const size = TYPE_SIZES[type];
+    if (!size || size * count > tiff.length) return null;
+    const start = size * count > 4 ? u32(valueOffset) : valueOffset;
+    if (start + size * count > tiff.length) return null;
+    
+    if (type === 2) {
+      return tiff.toString('latin1', start, start + count).replace(/\0.*$/s, '').trim();
+    }
+    
+    const values = [];
+    for (let i = 0; i < count; i++) {
+      const at = start + i * size;
+      if (type === 3) values.push(u16(at));
+      else if (type === 4 || type === 9) values.push(u32(at));
+      else if (type === 5 || type === 10) {
+        const denominator = u32(at + 4);
+        values.push(denominator ? u32(at) / denominator : 0);
+      } else values.push(tiff[at]);
+    }
+    return values;
+  }
+  
+  // Map of tag -> value for one IFD
+  function readIfd(offset) {
+    const tags = new Map();
+    if (!offset || offset + 2 > tiff.length) return tags;
+    
+    const count = u16(offset);
+    for (let i = 0; i < count; i++) {
+      const entry = offset + 2 + i * 12;
+      if (entry + 12 > tiff.length) break;
+      tags.set(u16(entry), readValue({ type: u16(entry + 2), count: u32(entry + 4), valueOffset: entry + 8 }));
+    }
+    return tags;
+  }
+  
+  return { readIfd, firstIfd: u32(4) };
+}
+
+// "2024:05:17 14:03:22" (+ optional "+08:00") -> ISO string
+function parseExifDate(value, offset) {
+  const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(value || '');
+  if (!match || match[1] === '0000') return null;
+  
+  const utcOffset = /^[+-]\d{2}:\d{2}$/.test(offset || '') ? offset : DEFAULT_UTC_OFFSET;
+  const date = new Date(`${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}${utcOffset}`);
+  if (Number.isNaN(date.getTime())) return null;
+  
+  // Ignore obviously wrong camera clocks
+  if (date.getTime() > Date.now() + 24 * 60 * 60 * 1000 || date.getFullYear() < 2000) return null;
+  return date.toISOString();
+}
+
+// [degrees, minutes, seconds] + "N"/"S"/"E"/"W" -> signed decimal degrees
+function toDegrees(parts, ref) {
+  if (!Array.isArray(parts) || parts.length < 3) return null;
+  const degrees = parts[0] + parts[1] / 60 + parts[2] / 3600;
+  return ref === 'S' || ref === 'W' ? -degrees : degrees;
+}
+
+function readGps(tags) {
+  const latitude = toDegrees(tags.get(TAG_GPS_LAT), tags.get(TAG_GPS_LAT_REF));
+  const longitude = toDegrees(tags.get(TAG_GPS_LON), tags.get(TAG_GPS_LON_REF));
+  
+  if (latitude === null || longitude === null) return null;
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+  // 0,0 is what many phones write when they had no fix
+  if (latitude === 0 && longitude === 0) return null;
+  
+  return { latitude, longitude };
+}
+
+// Returns { capturedAt, cameraModel, orientation, gps: { latitude, longitude } }
+// (fields are null when missing) or null when the image has no EXIF block
+export function readExif(buffer) {
+  try {
+    const tiff = findTiff(buffer);
+    const reader = tiff && createReader(tiff);
+    if (!reader) return null;
+    
+    const ifd0 = reader.readIfd(reader.firstIfd);
+    const exifIfd = reader.readIfd(ifd0.get(TAG_EXIF_IFD)?.[0]);
+    const gpsIfd = reader.readIfd(ifd0.get(TAG_GPS_IFD)?.[0]);
+    
+    const text = value => typeof value === 'string' ? value : '';
+    const make = text(ifd0.get(TAG_MAKE));
+    const model = text(ifd0.get(TAG_MODEL));
+    // Some models already repeat the make ("Canon" + "Canon EOS 80D")
+    const cameraModel = model.toLowerCase().startsWith(make.toLowerCase())
+      ? model
+      : `${make} ${model}`.trim();
+    
+    const orientation = ifd0.get(TAG_ORIENTATION)?.[0];
+    
+    return {
+      capturedAt: parseExifDate(
+        text(exifIfd.get(TAG_DATETIME_ORIGINAL)) || text(ifd0.get(TAG_DATETIME)),
+        text(exifIfd.get(TAG_OFFSET_TIME_ORIGINAL))
+      ),
+      cameraModel: cameraModel ? cameraModel.slice(0, 100) : null,
+      orientation: orientation >= 1 && orientation <= 8 ? orientation : null,
+      gps: readGps(gpsIfd)
+    };
+  } catch (error) {
+    console.error('EXIF parse error:', error.message);
+    return null;
+  }
+}
+
+// What gets logged with a detection. GPS is only kept (as a coarse geohash cell)
+// when the user opted in on the upload form.
+export function getPhotoMetadata(buffer, { shareLocation = false } = {}) {
+  const exif = readExif(buffer);
+  if (!exif) return null;
+  
+  return {
+    capturedAt: exif.capturedAt,
+    cameraModel: exif.cameraModel,
+    orientation: exif.orientation,
+    geohash: shareLocation ? coarseLocation(exif.gps) : null
+  };
+}
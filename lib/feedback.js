@@ -0,0 +1,89 @@
+// lib/feedback.js - Farmer feedback on a diagnosis (confirm or correct each box)
+// Detection responses carry a feedback token (HMAC of the detection id with
+// FEEDBACK_SECRET), so only whoever received the result can comment on it.
+import crypto from 'crypto';
+import { listDiseases, normalizeClassKey } from './knowledgeBase.js';
+
+export const MAX_FEEDBACK_BOXES = 50;
+
+// Extra answer for "none of these / not sure"
+export const OTHER_CLASS = 'other';
+
+function getSecret() {
+  return process.env.FEEDBACK_SECRET || null;
+}
+
+export function isFeedbackConfigured() {
+  return Boolean(getSecret());
+}
+
+// Token for a logged detection, or null when feedback is not configured
+export function signDetectionId(detectionId) {
+  const secret = getSecret();
+  if (!secret || detectionId === null || detectionId === undefined) return null;
+  return crypto.createHmac('sha256', secret).update(String(detectionId)).digest('hex');
+}
+
+export function verifyFeedbackToken(detectionId, token) {
+  const expected = signDetectionId(detectionId);
+  if (!expected || typeof token !== 'string' || token.length !== expected.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expected));
+}
+
+// Classes a farmer can pick (knowledge base keys plus "other")
+export function feedbackClasses() {
+  return [...listDiseases().map(entry => entry.key), OTHER_CLASS];
+}
+
+// Validate a POST /api/feedback body, returning { error } or { detectionId, token, boxes }.
+// Boxes are { index, correctClass } - the predicted class comes from the logged
+// detection (withPredictedClasses), never from the client.
+export function parseFeedback(body) {
+  if (!body || typeof body !== 'object') {
+    return { error: 'Request body must be JSON' };
+  }
+  
+  const detectionId = Number(body.detectionId);
+  if (!Number.isInteger(detectionId) || detectionId < 1) {
+    return { error: 'detectionId must be a positive integer' };
+  }
+  
+  if (!Array.isArray(body.boxes) || body.boxes.length === 0 || body.boxes.length > MAX_FEEDBACK_BOXES) {
+    return { error: `boxes must be an array of 1 to ${MAX_FEEDBACK_BOXES} items` };
+  }
+  
+  const allowed = feedbackClasses();
+  const boxes = [];
+  
+  for (const box of body.boxes) {
+    const index = Number(box?.index);
+    if (!Number.isInteger(index) || index < 0 || index >= MAX_FEEDBACK_BOXES) {
+      return { error: 'Each box needs an index between 0 and 49' };
+    }
+    if (boxes.some(existing => existing.index === index)) {
+      return { error: `Box ${index} appears more than once` };
+    }
+    
+    const correctClass = normalizeClassKey(box.correctClass);
+    if (!allowed.includes(correctClass)) {
+      return { error: `correctClass must be one of: ${allowed.join(', ')}` };
+    }
+    
+    boxes.push({ index, correctClass });
+  }
+  
+  return { detectionId, token: body.token, boxes };
+}
+
+// Add what the model predicted for each box, from the detection's predictedClasses
+// (getDetectionPredictions). Returns { error } for a box the detection doesn't have.
+export function withPredictedClasses(boxes, predictedClasses) {
+  const missing = boxes.find(box => box.index >= predictedClasses.length);
+  if (missing) {
+    return { error: `Box ${missing.index} does not exist - this detection has ${predictedClasses.length} box(es)` };
+  }
+  
+  return {
+    boxes: boxes.map(box => ({ ...box, predictedClass: normalizeClassKey(predictedClasses[box.index]) }))
+  };
+}
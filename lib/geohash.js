@@ -0,0 +1,80 @@
+// lib/geohash.js - Coarse location cells for outbreak tracking
+// Precise farm locations are never stored: GPS is reduced to a geohash cell
+// (precision 5 is roughly 5km x 5km, about the size of a municipality).
+
+const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+const DEFAULT_PRECISION = 5;
+const MAX_PRECISION = 6; // ~1.2km x 0.6km - anything finer could single out a farm
+
+export function encodeGeohash(latitude, longitude, precision = DEFAULT_PRECISION) {
+  let latRange = [-90, 90];
+  let lonRange = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let value = 0;
+  let even = true;
+  
+  while (hash.length < precision) {
+    const range = even ? lonRange : latRange;
+    const coordinate = even ? longitude : latitude;
+    const mid = (range[0] + range[1]) / 2;
+    
+    value <<= 1;
+    if (coordinate >= mid) {
+      value |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+    
+    even = !even;
+    if (++bits === 5) {
+      hash += BASE32[value];
+      bits = 0;
+      value = 0;
+    }
+  }
+  
+  return hash;
+}
+
+// Center and size of a geohash cell, e.g. for drawing it on a map
+export function decodeGeohash(hash) {
+  const latRange = [-90, 90];
+  const lonRange = [-180, 180];
+  let even = true;
+  
+  for (const char of hash) {
+    const value = BASE32.indexOf(char);
+    if (value === -1) return null;
+    
+    for (let bit = 4; bit >= 0; bit--) {
+      const range = even ? lonRange : latRange;
+      const mid = (range[0] + range[1]) / 2;
+      if ((value >> bit) & 1) range[0] = mid;
+      else range[1] = mid;
+      even = !even;
+    }
+  }
+  
+  return {
+    latitude: (latRange[0] + latRange[1]) / 2,
+    longitude: (lonRange[0] + lonRange[1]) / 2,
+    latitudeError: (latRange[1] - latRange[0]) / 2,
+    longitudeError: (lonRange[1] - lonRange[0]) / 2
+  };
+}
+
+// Precision used for stored locations (LOCATION_GEOHASH_PRECISION, capped at MAX_PRECISION)
+export function getLocationPrecision() {
+  const configured = parseInt(process.env.LOCATION_GEOHASH_PRECISION, 10);
+  if (!Number.isFinite(configured) || configured < 1) return DEFAULT_PRECISION;
+  return Math.min(configured, MAX_PRECISION);
+}
+
+// GPS from EXIF -> coarse cell, or null when there is no usable fix
+export function coarseLocation(gps) {
+  if (!gps) return null;
+  return encodeGeohash(gps.latitude, gps.longitude, getLocationPrecision());
+}
@@ -0,0 +1,51 @@
+// lib/image.js - Image helpers shared by the detection endpoints
+import fs from 'fs';
+
+// Identify the image format from its magic bytes (don't trust client MIME types)
+export function sniffImageType(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+  
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (buffer.readUInt32BE(0) === 0x89504e47 && buffer.readUInt32BE(4) === 0x0d0a1a0a) {
+    return 'image/png';
+  }
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  if (buffer.toString('ascii', 4, 8) === 'ftyp') {
+    return sniffHeifBrand(buffer);
+  }
+  
+  return null;
+}
+
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis'];
+const AVIF_BRANDS = ['avif', 'avis'];
+
+// HEIF container (ISO BMFF "ftyp" box): AVIF and HEIC share it and are told apart by
+// the major or compatible brands. "mif1" alone is the generic HEIF brand.
+function sniffHeifBrand(buffer) {
+  const boxSize = Math.min(buffer.readUInt32BE(0), buffer.length, 256);
+  const brands = [buffer.toString('ascii', 8, 12)];
+  for (let offset = 16; offset + 4 <= boxSize; offset += 4) {
+    brands.push(buffer.toString('ascii', offset, offset + 4));
+  }
+  
+  if (brands.some(brand => AVIF_BRANDS.includes(brand))) return 'image/avif';
+  if (brands.some(brand => HEIC_BRANDS.includes(brand) || brand === 'mif1' || brand === 'msf1')) return 'image/heic';
+  return null;
+}
+
+// Delete image file immediately
+export function deleteImageFile(filePath) {
+  try {
+    if (filePath && fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+      console.log('✓ Image deleted:', filePath);
+    }
+  } catch (error) {
+    console.error('Warning: Could not delete temp file:', error.message);
+  }
+}
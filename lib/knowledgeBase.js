@@ -0,0 +1,90 @@
+// lib/knowledgeBase.js - Disease knowledge base (data/knowledge-base/<locale>.json)
+// English is the source of truth; other locales fall back to English field by field
+// so a partially translated entry is still complete. References are shared.
+import fs from 'fs';
+
+const DATA_DIR = new URL('../data/knowledge-base/', import.meta.url);
+
+export const DEFAULT_LOCALE = 'en';
+export const SUPPORTED_LOCALES = ['en', 'fil', 'ceb', 'ilo'];
+
+// Language tags that map onto a supported locale
+const LOCALE_ALIASES = {
+  tl: 'fil',
+  tgl: 'fil',
+  fil: 'fil',
+  ceb: 'ceb',
+  bis: 'ceb',
+  ilo: 'ilo',
+  en: 'en'
+};
+
+const ENTRY_FIELDS = ['name', 'summary', 'symptoms', 'causes', 'treatment', 'prevention'];
+
+const cache = new Map();
+
+function readJSON(filename) {
+  if (!cache.has(filename)) {
+    cache.set(filename, JSON.parse(fs.readFileSync(new URL(filename, DATA_DIR), 'utf8')));
+  }
+  return cache.get(filename);
+}
+
+// Model class names vary in case and separators ("Black-Spot", "black_spot")
+export function normalizeClassKey(value) {
+  return String(value || '').toLowerCase().replace(/[-_]+/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Pick a supported locale from an explicit request or an Accept-Language header
+export function resolveLocale(requested, acceptLanguage = '') {
+  const candidates = [
+    requested,
+    ...String(acceptLanguage)
+      .split(',')
+      .map(part => part.split(';')[0])
+  ];
+  
+  for (const candidate of candidates) {
+    const base = String(candidate || '').trim().toLowerCase().split('-')[0];
+    if (LOCALE_ALIASES[base]) return LOCALE_ALIASES[base];
+  }
+  return DEFAULT_LOCALE;
+}
+
+function buildEntry(key, locale) {
+  const english = readJSON(`${DEFAULT_LOCALE}.json`);
+  const translated = readJSON(`${locale}.json`);
+  const references = readJSON('references.json');
+  
+  const known = Boolean(english.diseases[key]);
+  const base = known ? english.diseases[key] : english.unknown;
+  const localized = (known ? translated.diseases[key] : translated.unknown) || {};
+  
+  const entry = { key: known ? key : 'unknown', known, locale };
+  ENTRY_FIELDS.forEach(field => {
+    entry[field] = localized[field] ?? base[field];
+  });
+  entry.references = known ? references[key] || [] : [];
+  entry.reviewed = translated.reviewed !== false;
+  
+  return entry;
+}
+
+// Entry for one class (unknown classes get the generic guidance)
+export function getDisease(classKey, locale = DEFAULT_LOCALE) {
+  return buildEntry(normalizeClassKey(classKey), SUPPORTED_LOCALES.includes(locale) ? locale : DEFAULT_LOCALE);
+}
+
+// Every known entry for a locale
+export function listDiseases(locale = DEFAULT_LOCALE) {
+  const english = readJSON(`${DEFAULT_LOCALE}.json`);
+  const resolved = SUPPORTED_LOCALES.includes(locale) ? locale : DEFAULT_LOCALE;
+  return Object.keys(english.diseases).map(key => buildEntry(key, resolved));
+}
+
+export function listLocales() {
+  return SUPPORTED_LOCALES.map(locale => {
+    const data = readJSON(`${locale}.json`);
+    return { locale, language: data.language, reviewed: data.reviewed !== false };
+  });
+}
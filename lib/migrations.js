@@ -0,0 +1,122 @@
+// lib/migrations.js - Versioned SQL migrations for the Postgres database
+// Migrations live in migrations/ as <version>_<name>.sql and run in version order,
+// each inside its own transaction. Applied versions are recorded in schema_migrations
+// together with a checksum, so editing an already-applied file is reported.
+// Run them with `npm run migrate` (see scripts/migrate.js).
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'migrations');
+
+// Any constant works - it just keeps two deploys from migrating at the same time
+const MIGRATION_LOCK_ID = 4216001;
+
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.sql$/;
+
+export class MigrationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MigrationError';
+  }
+}
+
+// Read migrations/ -> [{ version, name, file, sql, checksum }] sorted by version
+export function loadMigrations(directory = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(directory)
+    .filter(file => file.endsWith('.sql'))
+    .map(file => {
+      const match = FILE_PATTERN.exec(file);
+      if (!match) {
+        throw new MigrationError(`Migration file "${file}" must be named <version>_<name>.sql`);
+      }
+      
+      const sql = fs.readFileSync(path.join(directory, file), 'utf8');
+      return {
+        version: parseInt(match[1], 10),
+        name: match[2],
+        file,
+        sql,
+        checksum: crypto.createHash('sha256').update(sql).digest('hex')
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+  
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new MigrationError(`Duplicate migration version ${migration.version} (${migrations[index - 1].file}, ${migration.file})`);
+    }
+  });
+  
+  return migrations;
+}
+
+function ensureTrackingTable(db) {
+  return db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(200) NOT NULL,
+      checksum CHAR(64) NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+}
+
+// Compare migrations on disk with what the database has recorded.
+// Returns { applied, pending, changed, unknown }:
+//   applied  recorded versions with their applied_at time
+//   pending  migrations not applied yet
+//   changed  applied migrations whose file was edited afterwards
+//   unknown  versions recorded in the database but missing on disk
+export async function getMigrationStatus(db, migrations = loadMigrations()) {
+  await ensureTrackingTable(db);
+  const { rows } = await db.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+  const recorded = new Map(rows.map(row => [row.version, row]));
+  
+  return {
+    applied: rows.map(row => ({ version: row.version, name: row.name, appliedAt: row.applied_at })),
+    pending: migrations.filter(migration => !recorded.has(migration.version)),
+    changed: migrations.filter(migration =>
+      recorded.has(migration.version) && recorded.get(migration.version).checksum !== migration.checksum
+    ),
+    unknown: rows.filter(row => !migrations.some(migration => migration.version === row.version))
+  };
+}
+
+// Apply pending migrations in order. Stops at the first failure; everything applied
+// before it stays applied. Returns the migrations that were applied.
+export async function runMigrations(pool, { migrations = loadMigrations(), log = console.log } = {}) {
+  const client = await pool.connect();
+  const applied = [];
+  
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    
+    // Status is read under the lock so a concurrent run can't apply the same version
+    const { pending } = await getMigrationStatus(client, migrations);
+    
+    for (const migration of pending) {
+      try {
+        await client.query('BEGIN');
+        await client.query(migration.sql);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+          [migration.version, migration.name, migration.checksum]
+        );
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw new MigrationError(`Migration ${migration.file} failed: ${error.message}`);
+      }
+      
+      log(`✓ Applied migration ${migration.file}`);
+      applied.push(migration);
+    }
+    
+    return applied;
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+    client.release();
+  }
+}
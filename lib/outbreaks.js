@@ -0,0 +1,95 @@
+// lib/outbreaks.js - Outbreak alerts per region cell
+// Compares recent detections in each geohash cell with that cell's own baseline.
+// Driven by config/outbreaks.json (override the path with OUTBREAK_CONFIG_PATH):
+//   windowDays    recent window that is checked for clusters
+//   baselineDays  period before the window used as the normal level
+//   precision     geohash length used to group cells (capped by the stored precision)
+//   defaults      { minCases, ratioThreshold } for every monitored disease
+//   diseases      { "<class>": { minCases, ratioThreshold } } - only these are monitored
+// A cell is flagged for a disease when the window has at least minCases detections
+// and more than ratioThreshold times the baseline rate for the same number of days.
+import fs from 'fs';
+import { decodeGeohash, getLocationPrecision } from './geohash.js';
+
+const DEFAULT_CONFIG_URL = new URL('../config/outbreaks.json', import.meta.url);
+
+const DISEASE_DEFAULTS = { minCases: 3, ratioThreshold: 2 };
+
+let cachedConfig = null;
+
+export function loadOutbreakConfig(env = process.env) {
+  if (cachedConfig) return cachedConfig;
+  
+  const source = env.OUTBREAK_CONFIG_PATH || DEFAULT_CONFIG_URL;
+  const raw = JSON.parse(fs.readFileSync(source, 'utf8'));
+  const defaults = { ...DISEASE_DEFAULTS, ...raw.defaults };
+  
+  cachedConfig = {
+    windowDays: raw.windowDays || 14,
+    baselineDays: raw.baselineDays || 84,
+    precision: Math.min(raw.precision || 5, getLocationPrecision()),
+    diseases: Object.fromEntries(
+      Object.entries(raw.diseases || {}).map(([name, settings]) => [
+        name.toLowerCase(),
+        { ...defaults, ...settings }
+      ])
+    )
+  };
+  return cachedConfig;
+}
+
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+// rows: [{ cell, disease, current, baseline, municipalities }] from getOutbreakCounts
+export function evaluateOutbreaks(rows, { windowDays, baselineDays, diseases }) {
+  const cells = new Map();
+  
+  rows.forEach(row => {
+    const settings = diseases[row.disease];
+    if (!settings) return;
+    
+    // Expected detections in a window of the same length, from the baseline rate
+    const expected = (row.baseline / baselineDays) * windowDays;
+    const ratio = expected > 0 ? row.current / expected : null;
+    const alert = row.current >= settings.minCases &&
+      (expected === 0 || row.current > expected * settings.ratioThreshold);
+    
+    if (!cells.has(row.cell)) {
+      const box = decodeGeohash(row.cell);
+      cells.set(row.cell, {
+        cell: row.cell,
+        center: box && { latitude: round(box.latitude, 4), longitude: round(box.longitude, 4) },
+        bounds: box && {
+          south: round(box.latitude - box.latitudeError, 4),
+          west: round(box.longitude - box.longitudeError, 4),
+          north: round(box.latitude + box.latitudeError, 4),
+          east: round(box.longitude + box.longitudeError, 4)
+        },
+        municipalities: [],
+        alert: false,
+        diseases: []
+      });
+    }
+    
+    const cell = cells.get(row.cell);
+    (row.municipalities || []).forEach(code => {
+      if (!cell.municipalities.includes(code)) cell.municipalities.push(code);
+    });
+    cell.diseases.push({
+      disease: row.disease,
+      current: row.current,
+      baseline: row.baseline,
+      expected: round(expected),
+      ratio: ratio === null ? null : round(ratio),
+      alert
+    });
+    cell.alert = cell.alert || alert;
+  });
+  
+  // Flagged cells first, then by the number of recent detections
+  const total = cell => cell.diseases.reduce((sum, d) => sum + d.current, 0);
+  return [...cells.values()].sort((a, b) => (b.alert - a.alert) || (total(b) - total(a)));
+}
@@ -0,0 +1,44 @@
+// lib/outcomes.js - Outcome of each detection request, for the detections log
+// Every request to the detection endpoints is logged, successful or not. Failed
+// ones get a failure_type and the stage they reached:
+//   request    before anything else (e.g. wrong HTTP method)
+//   rate_limit quota check
+//   upload     form parsing and file validation
+//   preprocess decoding, orienting and resizing the photo (lib/preprocess.js)
+//   quality    blur, exposure and subject-size checks (lib/quality.js)
+//   model1     calamansi verification
+//   model2     disease detection and post-processing
+//   batch      still waiting for a worker when a batch ran out of time
+// Rejections come from the request or the photo; errors are on our side (or the
+// inference provider's) and make up the error rate in /api/stats.
+import { InferenceError } from './providers/normalize.js';
+import { ZipError } from './zip.js';
+
+export const REJECTION_TYPES = ['method_error', 'rate_limited', 'validation_error', 'unreadable_image', 'unsupported_format', 'quality_error', 'not_calamansi', 'no_predictions'];
+export const ERROR_TYPES = ['inference_error', 'config_error', 'server_error', 'timeout_error', 'circuit_open'];
+
+// Filled in as the request moves through the pipeline (see runDetection)
+export function createTrace() {
+  return {
+    stage: 'request',
+    model1Class: null,
+    model1Confidence: null,
+    model1LatencyMs: null,
+    model2LatencyMs: null
+  };
+}
+
+// Map a thrown error to a failure type
+export function failureTypeOf(error) {
+  if (error?.failureType) return error.failureType; // DetectionError
+  if (error instanceof InferenceError) {
+    if (error.reason === 'timeout') return 'timeout_error';
+    if (error.reason === 'circuit_open') return 'circuit_open';
+    return 'inference_error';
+  }
+  if (error instanceof ZipError) return 'validation_error';
+  // formidable reports size limits and malformed uploads with 4xx codes
+  if (error?.httpCode >= 400 && error.httpCode < 500) return 'validation_error';
+  if (error?.message?.includes('maxFileSize')) return 'validation_error';
+  return 'server_error';
+}
@@ -0,0 +1,102 @@
+// lib/postprocess.js - Prediction post-processing shared by Model 1 and Model 2
+// Order: per-class calibration -> per-class confidence threshold -> class-aware NMS
+// -> max detections. Driven by config/postprocessing.json (override the path with
+// POSTPROCESS_CONFIG_PATH). Each stage ("verification", "disease") supports:
+//   minConfidence    default threshold (0-1) after calibration
+//   classThresholds  { "<class>": threshold } overrides
+//   calibration      { "<class>": { "method": "temperature", "temperature": T }
+//                    | { "method": "platt", "a": A, "b": B } }
+//   nms              { iouThreshold, classAgnostic } (skipped for boxless predictions)
+//   maxDetections    cap after sorting by confidence
+//   acceptClasses    (verification only) classes that count as calamansi
+import fs from 'fs';
+import { nonMaxSuppression } from './boxes.js';
+
+const DEFAULT_CONFIG_URL = new URL('../config/postprocessing.json', import.meta.url);
+
+const STAGE_DEFAULTS = {
+  minConfidence: 0.3,
+  classThresholds: {},
+  calibration: {},
+  nms: { iouThreshold: 0.5, classAgnostic: false },
+  maxDetections: 25,
+  acceptClasses: []
+};
+
+let cachedConfig = null;
+
+function lowerKeys(object = {}) {
+  return Object.fromEntries(Object.entries(object).map(([key, value]) => [key.toLowerCase(), value]));
+}
+
+function normalizeStage(stage = {}) {
+  return {
+    ...STAGE_DEFAULTS,
+    ...stage,
+    classThresholds: lowerKeys(stage.classThresholds),
+    calibration: lowerKeys(stage.calibration),
+    nms: { ...STAGE_DEFAULTS.nms, ...stage.nms },
+    acceptClasses: (stage.acceptClasses || []).map(name => name.toLowerCase())
+  };
+}
+
+export function loadPostprocessConfig(env = process.env) {
+  if (cachedConfig) return cachedConfig;
+  
+  const source = env.POSTPROCESS_CONFIG_PATH || DEFAULT_CONFIG_URL;
+  const raw = JSON.parse(fs.readFileSync(source, 'utf8'));
+  
+  cachedConfig = {
+    verification: normalizeStage(raw.verification),
+    disease: normalizeStage(raw.disease)
+  };
+  return cachedConfig;
+}
+
+const EPSILON = 1e-6;
+
+function logit(p) {
+  const clamped = Math.min(1 - EPSILON, Math.max(EPSILON, p));
+  return Math.log(clamped / (1 - clamped));
+}
+
+function sigmoid(z) {
+  return 1 / (1 + Math.exp(-z));
+}
+
+// Map a raw confidence through the class's calibration, if any
+export function calibrate(confidence, calibration) {
+  if (!calibration) return confidence;
+  
+  if (calibration.method === 'temperature' && calibration.temperature > 0) {
+    return sigmoid(logit(confidence) / calibration.temperature);
+  }
+  if (calibration.method === 'platt') {
+    return sigmoid((calibration.a ?? 1) * logit(confidence) + (calibration.b ?? 0));
+  }
+  return confidence;
+}
+
+// Apply one stage's rules to normalized predictions (confidence 0-1).
+// Calibrated predictions keep the model's value in rawConfidence.
+export function postprocess(predictions, stage) {
+  const calibrated = predictions.map(pred => {
+    const calibration = stage.calibration[pred.class.toLowerCase()];
+    return calibration
+      ? { ...pred, confidence: calibrate(pred.confidence, calibration), rawConfidence: pred.confidence }
+      : pred;
+  });
+  
+  const passed = calibrated.filter(pred => {
+    const threshold = stage.classThresholds[pred.class.toLowerCase()] ?? stage.minConfidence;
+    return pred.confidence >= threshold;
+  });
+  
+  const withBoxes = passed.filter(pred => pred.width !== undefined);
+  const withoutBoxes = passed.filter(pred => pred.width === undefined);
+  const suppressed = [...nonMaxSuppression(withBoxes, stage.nms), ...withoutBoxes];
+  
+  return suppressed
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, stage.maxDetections);
+}
@@ -0,0 +1,98 @@
+// lib/preprocess.js - Image normalization before inference
+// Uploads are decoded (JPEG, PNG, WebP and AVIF with sharp; HEIC with the optional
+// heic-decode package), turned upright from their EXIF orientation, stripped of all
+// metadata and scaled down so the longer side fits the model input. The result is a
+// JPEG, and detection boxes, imageWidth and imageHeight all refer to it - it is also
+// the image sent back to the client to draw on.
+//
+// MODEL_INPUT_SIZE  longer side for single-pass inference (default 640)
+// Tiled inference keeps up to TILE_MAX_IMAGE_SIZE instead (see lib/tiling.js), so
+// tiles still see small lesions at close to native resolution.
+// Without sharp, JPEG/PNG/WebP are passed through unchanged and HEIC/AVIF are rejected.
+import { DetectionError } from './detection.js';
+import { sniffImageType } from './image.js';
+import { shouldTile, loadTilingConfig } from './tiling.js';
+
+export const NORMALIZED_TYPE = 'image/jpeg';
+
+const DEFAULT_MODEL_INPUT_SIZE = 640;
+const JPEG_QUALITY = 90;
+const PASSTHROUGH_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+export function getModelInputSize(env = process.env) {
+  return parseInt(env.MODEL_INPUT_SIZE, 10) || DEFAULT_MODEL_INPUT_SIZE;
+}
+
+// Longer side to keep: the model input size, or more when the image will be tiled
+export function getTargetSize({ tiled } = {}) {
+  return shouldTile(tiled) ? loadTilingConfig().maxImageSize : getModelInputSize();
+}
+
+async function loadOptional(name) {
+  try {
+    return (await import(name)).default;
+  } catch {
+    return null;
+  }
+}
+
+function unreadable() {
+  return new DetectionError('Could not read this image. The file may be corrupted.', {
+    type: 'validation_error',
+    failureType: 'unreadable_image'
+  });
+}
+
+function unsupported(type) {
+  return new DetectionError(`${type === 'image/heic' ? 'HEIC' : 'AVIF'} photos are not supported by this server. Please upload a JPEG, PNG or WebP image.`, {
+    type: 'validation_error',
+    failureType: 'unsupported_format'
+  });
+}
+
+// HEIC needs an HEVC decoder, which the prebuilt sharp binaries don't ship
+async function decodeHeic(sharp, heicDecode, buffer) {
+  if (!heicDecode) {
+    // Only works with a libvips built with HEVC support
+    return sharp(buffer).rotate();
+  }
+  
+  // libheif applies the HEIF rotation and mirroring itself, so no EXIF step here
+  const { width, height, data } = await heicDecode({ buffer });
+  return sharp(Buffer.from(data.buffer, data.byteOffset, data.byteLength), {
+    raw: { width, height, channels: 4 }
+  });
+}
+
+// Returns { buffer, mimetype, width, height, sourceType }. width/height are null when
+// sharp is unavailable and the original bytes are used as-is.
+export async function normalizeImage(buffer, { maxSize = getModelInputSize() } = {}) {
+  const sourceType = sniffImageType(buffer);
+  if (!sourceType) throw unreadable();
+  
+  const sharp = await loadOptional('sharp');
+  if (!sharp) {
+    if (!PASSTHROUGH_TYPES.includes(sourceType)) throw unsupported(sourceType);
+    return { buffer, mimetype: sourceType, width: null, height: null, sourceType };
+  }
+  
+  const heicDecode = sourceType === 'image/heic' ? await loadOptional('heic-decode') : null;
+  
+  try {
+    const pipeline = sourceType === 'image/heic'
+      ? await decodeHeic(sharp, heicDecode, buffer)
+      : sharp(buffer).rotate(); // no angle = apply EXIF orientation
+    
+    const { data, info } = await pipeline
+      .resize({ width: maxSize, height: maxSize, fit: 'inside', withoutEnlargement: true })
+      .flatten({ background: '#ffffff' }) // transparent PNG/WebP areas become white, not black
+      .jpeg({ quality: JPEG_QUALITY })
+      .toBuffer({ resolveWithObject: true });
+    
+    return { buffer: data, mimetype: NORMALIZED_TYPE, width: info.width, height: info.height, sourceType };
+  } catch (error) {
+    console.error(`Image normalization failed (${sourceType}):`, error.message);
+    if (sourceType === 'image/heic' && !heicDecode) throw unsupported(sourceType);
+    throw unreadable();
+  }
+}
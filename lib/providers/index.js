@@ -0,0 +1,46 @@
+// lib/providers/index.js - Inference provider selection
+// INFERENCE_PROVIDER picks the backend:
+//   roboflow (default) - ROBOFLOW_MODEL1_URL, ROBOFLOW_MODEL2_URL, ROBOFLOW_API_KEY
+//   onnx               - ONNX_MODEL1_PATH, ONNX_MODEL2_PATH (+ optional *_LABELS, ONNX_INPUT_SIZE)
+//   mock               - optional MOCK_FIXTURES_PATH
+// Extra disease models for ensemble mode (lib/ensemble.js) are listed in
+// ROBOFLOW_ENSEMBLE_URLS / ONNX_ENSEMBLE_PATHS / MOCK_ENSEMBLE_SIZE; providers expose
+// them as models "disease#1", "disease#2", ... in ensembleModels.
+// Providers expose predict('verification' | 'disease', imageBuffer, { signal }) and
+// return the normalized shape described in normalize.js. Their `fingerprint` names
+// the models in use (URLs, paths, decoding settings - never credentials) so cached
+// results from other models aren't reused (lib/cache). getProvider() wraps them in
+// the resilience layer (timeouts, retries, circuit breaker), whose predict() takes
+// { deadline } instead.
+import { createRoboflowProvider } from './roboflow.js';
+import { createOnnxProvider } from './onnx.js';
+import { createMockProvider } from './mock.js';
+import { withResilience, loadResilienceConfig } from './resilience.js';
+
+export { InferenceError } from './normalize.js';
+export { createDeadline } from './resilience.js';
+
+const providerFactories = {
+  roboflow: createRoboflowProvider,
+  onnx: createOnnxProvider,
+  mock: createMockProvider
+};
+
+let cachedProvider = null;
+
+// Get the configured provider (cached across warm invocations)
+export function getProvider(env = process.env) {
+  const name = (env.INFERENCE_PROVIDER || 'roboflow').toLowerCase();
+
+  if (cachedProvider?.name === name) {
+    return cachedProvider;
+  }
+
+  const factory = providerFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown INFERENCE_PROVIDER "${name}"`);
+  }
+
+  cachedProvider = withResilience(factory(env), loadResilienceConfig(env));
+  return cachedProvider;
+}
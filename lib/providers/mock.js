@@ -0,0 +1,118 @@
+// lib/providers/mock.js - Deterministic fixture provider for tests and offline demos
+// Same image bytes always produce the same predictions. Set MOCK_FIXTURES_PATH to a JSON
+// file shaped like { "verification": <Roboflow response>, "disease": <Roboflow response> }
+// to return fixed responses instead of the generated ones.
+// MOCK_LATENCY_MS delays every call and MOCK_ERROR_STATUS makes every call fail with
+// that HTTP status, to try out timeouts, retries and the circuit breaker.
+// MOCK_ENSEMBLE_SIZE adds that many extra disease models ("disease#1", ...) whose
+// boxes are Model 2's, nudged by a few pixels, for trying out ensemble mode.
+import crypto from 'crypto';
+import fs from 'fs';
+import { InferenceError, normalizeResponse } from './normalize.js';
+import { isRetryableStatus } from './resilience.js';
+
+const MOCK_IMAGE_SIZE = 640;
+const MOCK_DISEASE_CLASSES = ['black spot', 'canker', 'greening', 'healthy calamansi', 'scab', 'thrips'];
+
+function loadFixtures(fixturesPath) {
+  if (!fixturesPath) return null;
+  try {
+    return JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+  } catch (error) {
+    throw new InferenceError(`Could not load mock fixtures: ${error.message}`, { provider: 'mock' });
+  }
+}
+
+// Generated response derived from the image hash
+function generateResponse(model, imageBuffer) {
+  const digest = crypto.createHash('sha256').update(imageBuffer).digest();
+
+  if (model === 'verification') {
+    return {
+      predictions: [{ class: 'calamansi', confidence: 0.9 + digest[0] / 2550 }],
+      image: { width: MOCK_IMAGE_SIZE, height: MOCK_IMAGE_SIZE }
+    };
+  }
+
+  const count = 1 + (digest[1] % 3);
+  const predictions = [];
+  for (let i = 0; i < count; i++) {
+    const byte = (offset) => digest[(2 + i * 5 + offset) % digest.length];
+    predictions.push({
+      class: MOCK_DISEASE_CLASSES[byte(0) % MOCK_DISEASE_CLASSES.length],
+      confidence: 0.4 + byte(1) / 510,
+      x: 120 + byte(2) * 1.5,
+      y: 120 + byte(3) * 1.5,
+      width: 60 + byte(4) / 2,
+      height: 60 + byte(4) / 3
+    });
+  }
+  return { predictions, image: { width: MOCK_IMAGE_SIZE, height: MOCK_IMAGE_SIZE } };
+}
+
+// Resolves after ms, or rejects like fetch when the call is aborted first
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(new DOMException('The operation was aborted', 'AbortError'));
+    }, { once: true });
+  });
+}
+
+// Model 2's response with boxes shifted by up to 8px and confidences by up to 0.1,
+// derived from the model name so every extra model differs a little
+function jitterResponse(raw, model, imageBuffer) {
+  const digest = crypto.createHash('sha256').update(model).update(imageBuffer).digest();
+  return {
+    ...raw,
+    predictions: raw.predictions.map((pred, i) => {
+      const byte = (offset) => digest[(i * 3 + offset) % digest.length];
+      return {
+        ...pred,
+        confidence: Math.min(1, Math.max(0, pred.confidence + (byte(0) - 128) / 1280)),
+        ...(pred.x !== undefined && { x: pred.x + (byte(1) - 128) / 16, y: pred.y + (byte(2) - 128) / 16 })
+      };
+    })
+  };
+}
+
+export function createMockProvider(env = process.env) {
+  const fixtures = loadFixtures(env.MOCK_FIXTURES_PATH);
+  const latencyMs = parseInt(env.MOCK_LATENCY_MS, 10) || 0;
+  const errorStatus = parseInt(env.MOCK_ERROR_STATUS, 10) || null;
+  const ensembleSize = parseInt(env.MOCK_ENSEMBLE_SIZE, 10) || 0;
+  const ensembleModels = ['disease', ...Array.from({ length: ensembleSize }, (_, i) => `disease#${i + 1}`)];
+
+  return {
+    name: 'mock',
+    ensembleModels,
+    fingerprint: { fixtures: env.MOCK_FIXTURES_PATH || null, ensembleModels },
+
+    isConfigured() {
+      return true;
+    },
+
+    async predict(model, imageBuffer, { signal } = {}) {
+      if (model !== 'verification' && !ensembleModels.includes(model)) {
+        throw new InferenceError(`Mock model "${model}" is not defined`, { provider: 'mock' });
+      }
+      if (latencyMs) await delay(latencyMs, signal);
+      if (errorStatus) {
+        throw new InferenceError(`Mock API error (${errorStatus})`, {
+          provider: 'mock',
+          status: errorStatus,
+          retryable: isRetryableStatus(errorStatus),
+          reason: errorStatus === 429 ? 'rate_limited' : errorStatus >= 500 ? 'unavailable' : 'error'
+        });
+      }
+      if (model.startsWith('disease#')) {
+        const base = fixtures?.disease || generateResponse('disease', imageBuffer);
+        return normalizeResponse(fixtures?.[model] || jitterResponse(base, model, imageBuffer));
+      }
+      const raw = fixtures?.[model] || generateResponse(model, imageBuffer);
+      return normalizeResponse(raw);
+    }
+  };
+}
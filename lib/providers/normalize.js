@@ -0,0 +1,62 @@
+// lib/providers/normalize.js - Shared prediction shape for every inference provider
+// Normalized response:
+//   {
+//     predictions: [{ class, confidence, x, y, width, height }], // confidence is 0-1
+//     image: { width, height }
+//   }
+// Classification models leave x/y/width/height undefined.
+
+// Thrown by providers when the model backend fails (network, runtime, bad output).
+// retryable marks failures worth another attempt (network errors, timeouts, 408/429/5xx);
+// reason is "timeout" | "unavailable" | "rate_limited" | "circuit_open" | "error" and
+// retryAfter (seconds) is set when the backend or circuit breaker says how long to wait.
+export class InferenceError extends Error {
+  constructor(message, { provider, status, retryable = false, reason = 'error', retryAfter = null } = {}) {
+    super(message);
+    this.name = 'InferenceError';
+    this.provider = provider;
+    this.status = status;
+    this.retryable = retryable;
+    this.reason = reason;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Normalize a single prediction object
+export function normalizePrediction(pred) {
+  return {
+    class: pred.class ?? pred.className ?? pred.label ?? 'unknown',
+    confidence: Number(pred.confidence ?? pred.score ?? 0),
+    x: pred.x,
+    y: pred.y,
+    width: pred.width,
+    height: pred.height
+  };
+}
+
+// Normalize a raw Roboflow-style response (detection or classification)
+export function normalizeResponse(raw) {
+  let predictions = [];
+
+  if (Array.isArray(raw?.predictions)) {
+    // Object detection, or single-label classification
+    predictions = raw.predictions.map(normalizePrediction);
+  } else if (raw?.predictions && typeof raw.predictions === 'object') {
+    // Multi-label classification: { className: { confidence } }
+    predictions = Object.entries(raw.predictions).map(([className, value]) =>
+      normalizePrediction({ class: className, confidence: value?.confidence ?? value })
+    );
+  } else if (raw?.top) {
+    predictions = [normalizePrediction({ class: raw.top, confidence: raw.confidence })];
+  }
+
+  predictions.sort((a, b) => b.confidence - a.confidence);
+
+  return {
+    predictions,
+    image: {
+      width: raw?.image?.width,
+      height: raw?.image?.height
+    }
+  };
+}
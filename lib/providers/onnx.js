@@ -0,0 +1,153 @@
+// lib/providers/onnx.js - Local CPU inference with onnxruntime-node
+// For offline / on-prem deployments. Runs models exported from Roboflow or
+// Ultralytics (YOLOv8 detection: [1, 4 + classes, anchors]; classification: [1, classes]).
+// onnxruntime-node and sharp are optional dependencies, loaded only when this provider is used.
+import { InferenceError } from './normalize.js';
+import { nonMaxSuppression } from '../boxes.js';
+
+const DEFAULT_INPUT_SIZE = 640;
+const DEFAULT_MIN_SCORE = 0.25;
+const DEFAULT_IOU_THRESHOLD = 0.5;
+
+// Sessions are cached per model path so warm invocations skip model loading
+const sessionCache = new Map();
+
+async function loadModule(name) {
+  try {
+    return await import(name);
+  } catch (error) {
+    throw new InferenceError(`ONNX provider requires "${name}" to be installed`, { provider: 'onnx' });
+  }
+}
+
+async function getSession(modelPath) {
+  if (!sessionCache.has(modelPath)) {
+    const ort = await loadModule('onnxruntime-node');
+    const session = ort.InferenceSession.create(modelPath, { executionProviders: ['cpu'] });
+    sessionCache.set(modelPath, session);
+    // Don't keep a failed load around
+    session.catch(() => sessionCache.delete(modelPath));
+  }
+  return sessionCache.get(modelPath);
+}
+
+// Decode, resize and convert to a normalized CHW float tensor
+async function imageToTensor(imageBuffer, inputSize) {
+  const { default: sharp } = await loadModule('sharp');
+  const ort = await loadModule('onnxruntime-node');
+
+  const metadata = await sharp(imageBuffer).metadata();
+  const { data } = await sharp(imageBuffer)
+    .resize(inputSize, inputSize, { fit: 'fill' })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const pixels = inputSize * inputSize;
+  const floats = new Float32Array(3 * pixels);
+  for (let i = 0; i < pixels; i++) {
+    floats[i] = data[i * 3] / 255;
+    floats[pixels + i] = data[i * 3 + 1] / 255;
+    floats[2 * pixels + i] = data[i * 3 + 2] / 255;
+  }
+
+  return {
+    tensor: new ort.Tensor('float32', floats, [1, 3, inputSize, inputSize]),
+    width: metadata.width,
+    height: metadata.height
+  };
+}
+
+function decodeDetections(output, labels, options) {
+  const [, channels, anchors] = output.dims;
+  const data = output.data;
+  const classCount = channels - 4;
+  const scaleX = options.width / options.inputSize;
+  const scaleY = options.height / options.inputSize;
+  const predictions = [];
+
+  for (let i = 0; i < anchors; i++) {
+    let bestClass = -1;
+    let bestScore = 0;
+    for (let c = 0; c < classCount; c++) {
+      const score = data[(4 + c) * anchors + i];
+      if (score > bestScore) {
+        bestScore = score;
+        bestClass = c;
+      }
+    }
+    if (bestScore < options.minScore) continue;
+
+    predictions.push({
+      class: labels[bestClass] || `class_${bestClass}`,
+      confidence: bestScore,
+      x: data[i] * scaleX,
+      y: data[anchors + i] * scaleY,
+      width: data[2 * anchors + i] * scaleX,
+      height: data[3 * anchors + i] * scaleY
+    });
+  }
+
+  // Roboflow's hosted API does NMS server-side; match it here
+  return nonMaxSuppression(predictions, { iouThreshold: options.iouThreshold });
+}
+
+function decodeClassification(output, labels) {
+  return Array.from(output.data).map((score, c) => ({
+    class: labels[c] || `class_${c}`,
+    confidence: score
+  }));
+}
+
+function parseLabels(value) {
+  return (value || '').split(',').map(label => label.trim()).filter(Boolean);
+}
+
+export function createOnnxProvider(env = process.env) {
+  const models = {
+    verification: { path: env.ONNX_MODEL1_PATH, labels: parseLabels(env.ONNX_MODEL1_LABELS) },
+    disease: { path: env.ONNX_MODEL2_PATH, labels: parseLabels(env.ONNX_MODEL2_LABELS) }
+  };
+  // Comma-separated extra disease models for ensemble mode (same labels as Model 2)
+  (env.ONNX_ENSEMBLE_PATHS || '').split(',').map(path => path.trim()).filter(Boolean)
+    .forEach((path, index) => {
+      models[`disease#${index + 1}`] = { path, labels: models.disease.labels };
+    });
+  const inputSize = parseInt(env.ONNX_INPUT_SIZE, 10) || DEFAULT_INPUT_SIZE;
+  const minScore = parseFloat(env.ONNX_MIN_SCORE) || DEFAULT_MIN_SCORE;
+  const iouThreshold = parseFloat(env.ONNX_IOU_THRESHOLD) || DEFAULT_IOU_THRESHOLD;
+
+  return {
+    name: 'onnx',
+    ensembleModels: Object.keys(models).filter(model => model.startsWith('disease')),
+    fingerprint: { models, inputSize, minScore, iouThreshold },
+
+    isConfigured() {
+      return Boolean(models.verification.path && models.disease.path);
+    },
+
+    async predict(model, imageBuffer) {
+      const { path, labels } = models[model] || {};
+      if (!path) {
+        throw new InferenceError(`ONNX model "${model}" is not configured`, { provider: 'onnx' });
+      }
+
+      try {
+        const session = await getSession(path);
+        const { tensor, width, height } = await imageToTensor(imageBuffer, inputSize);
+        const outputs = await session.run({ [session.inputNames[0]]: tensor });
+        const output = outputs[session.outputNames[0]];
+
+        const predictions = output.dims.length === 3
+          ? decodeDetections(output, labels, { width, height, inputSize, minScore, iouThreshold })
+          : decodeClassification(output, labels);
+
+        predictions.sort((a, b) => b.confidence - a.confidence);
+        return { predictions, image: { width, height } };
+      } catch (error) {
+        if (error instanceof InferenceError) throw error;
+        throw new InferenceError(`ONNX inference error: ${error.message}`, { provider: 'onnx' });
+      }
+    }
+  };
+}
@@ -0,0 +1,203 @@
+// lib/providers/resilience.js - Timeouts, retries and a circuit breaker for model calls
+// withResilience() wraps any provider so that each predict() call:
+//   - is cut off after MODEL_TIMEOUT_MS, or sooner when the request deadline is closer
+//   - is retried with jittered exponential backoff when the failure is retryable
+//     (network errors, timeouts, 408/425/429/5xx) and the deadline leaves room for it
+//   - fails fast while that model's circuit breaker is open
+// Breakers live per instance and per model, so warm invocations share them.
+//
+// MODEL_TIMEOUT_MS           per-call timeout (default 10000)
+// MODEL_RETRIES              extra attempts after the first one (default 2)
+// MODEL_RETRY_BASE_MS        first backoff step, doubled on each retry (default 250)
+// MODEL_RETRY_MAX_MS         backoff cap (default 4000)
+// BREAKER_FAILURE_THRESHOLD  consecutive retryable failures that open a breaker (default 5)
+// BREAKER_RESET_MS           how long a breaker stays open before one trial call (default 30000)
+import { InferenceError } from './normalize.js';
+
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+// Not worth starting a model call with less time than this left
+const MIN_CALL_MS = 500;
+
+export function loadResilienceConfig(env = process.env) {
+  const integer = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+  };
+
+  return {
+    timeoutMs: integer(env.MODEL_TIMEOUT_MS, 10000),
+    retries: integer(env.MODEL_RETRIES, 2),
+    retryBaseMs: integer(env.MODEL_RETRY_BASE_MS, 250),
+    retryMaxMs: integer(env.MODEL_RETRY_MAX_MS, 4000),
+    failureThreshold: integer(env.BREAKER_FAILURE_THRESHOLD, 5) || 1,
+    resetMs: integer(env.BREAKER_RESET_MS, 30000)
+  };
+}
+
+export function isRetryableStatus(status) {
+  return RETRYABLE_STATUSES.includes(status);
+}
+
+// Retry-After header (delay in seconds or an HTTP date) -> seconds, or null
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, Math.ceil(seconds));
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - now) / 1000));
+}
+
+// Time left for the whole request (e.g. under maxDuration in vercel.json); model calls
+// and retries never outlive it
+export function createDeadline(budgetMs, { now = Date.now() } = {}) {
+  const expiresAt = now + budgetMs;
+  return {
+    expiresAt,
+    remaining: () => Math.max(0, expiresAt - Date.now())
+  };
+}
+
+// closed -> open after failureThreshold consecutive failures -> half-open after resetMs,
+// when a single trial call decides between closed and open again
+export function createCircuitBreaker({ failureThreshold, resetMs }) {
+  let failures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+
+  return {
+    // 0 when a call may go ahead, otherwise milliseconds until it might
+    check(now = Date.now()) {
+      if (openedAt === null) return 0;
+      const wait = openedAt + resetMs - now;
+      if (wait > 0) return wait;
+      if (trialInFlight) return Math.min(resetMs, 1000);
+      trialInFlight = true;
+      return 0;
+    },
+
+    success() {
+      failures = 0;
+      openedAt = null;
+      trialInFlight = false;
+    },
+
+    // Give back a half-open trial that never reached the backend (or ended in our
+    // own bug) - says nothing about its health, so the failure count stays
+    release() {
+      trialInFlight = false;
+    },
+
+    failure(now = Date.now()) {
+      failures++;
+      if (trialInFlight || failures >= failureThreshold) {
+        if (openedAt === null) console.warn(`Circuit breaker opened after ${failures} consecutive failures`);
+        openedAt = now;
+      }
+      trialInFlight = false;
+    },
+
+    get state() {
+      if (openedAt === null) return 'closed';
+      return Date.now() - openedAt >= resetMs ? 'half-open' : 'open';
+    }
+  };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Full jitter: anywhere between 0 and the exponential step, so instances that failed
+// together don't retry together. The backend's Retry-After wins when it is longer.
+function backoffDelay(attempt, retryAfter, config) {
+  const step = Math.min(config.retryMaxMs, config.retryBaseMs * 2 ** attempt);
+  const jittered = Math.round(Math.random() * step);
+  return retryAfter ? Math.max(retryAfter * 1000, jittered) : jittered;
+}
+
+// One call, abandoned after timeoutMs even if the provider ignores the abort signal
+async function callWithTimeout(provider, model, imageBuffer, timeoutMs) {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new InferenceError(`${provider.name} ${model} model timed out after ${timeoutMs}ms`, {
+        provider: provider.name,
+        retryable: true,
+        reason: 'timeout'
+      }));
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([provider.predict(model, imageBuffer, { signal: controller.signal }), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+export function withResilience(provider, config = loadResilienceConfig()) {
+  const breakers = new Map();
+
+  function breakerFor(model) {
+    if (!breakers.has(model)) breakers.set(model, createCircuitBreaker(config));
+    return breakers.get(model);
+  }
+
+  return {
+    ...provider,
+
+    // deadline: optional createDeadline() result for the whole request
+    async predict(model, imageBuffer, { deadline } = {}) {
+      const breaker = breakerFor(model);
+
+      for (let attempt = 0; ; attempt++) {
+        const wait = breaker.check();
+        if (wait > 0) {
+          throw new InferenceError(`${provider.name} ${model} model is unavailable (circuit open)`, {
+            provider: provider.name,
+            reason: 'circuit_open',
+            retryAfter: Math.ceil(wait / 1000)
+          });
+        }
+
+        const remaining = deadline ? deadline.remaining() : Infinity;
+        if (remaining < MIN_CALL_MS) {
+          breaker.release(); // nothing was tried; don't leave a half-open trial hanging
+          throw new InferenceError(`Request deadline reached before the ${model} model call`, {
+            provider: provider.name,
+            reason: 'timeout'
+          });
+        }
+
+        try {
+          const result = await callWithTimeout(provider, model, imageBuffer, Math.min(config.timeoutMs, remaining));
+          breaker.success();
+          return result;
+        } catch (error) {
+          // Not from the backend (our own bug): no verdict on its health
+          if (!(error instanceof InferenceError)) {
+            breaker.release();
+            throw error;
+          }
+          // The backend answered, just not with a result (e.g. a 400)
+          if (!error.retryable) {
+            breaker.success();
+            throw error;
+          }
+
+          breaker.failure();
+          const delay = backoffDelay(attempt, error.retryAfter, config);
+          const timeLeft = deadline ? deadline.remaining() : Infinity;
+          if (attempt >= config.retries || breaker.state !== 'closed' || timeLeft < delay + MIN_CALL_MS) {
+            throw error;
+          }
+
+          console.warn(`${provider.name} ${model} call failed (${error.message}), retry ${attempt + 1} in ${delay}ms`);
+          await sleep(delay);
+        }
+      }
+    }
+  };
+}
@@ -0,0 +1,69 @@
+// lib/providers/roboflow.js - Hosted Roboflow inference (default provider)
+import { InferenceError, normalizeResponse } from './normalize.js';
+import { isRetryableStatus, parseRetryAfter } from './resilience.js';
+
+// Call Roboflow API using NATIVE FETCH (no dependencies!)
+// Timeouts and retries are handled by the resilience layer, which aborts via `signal`
+async function callRoboflowAPI(base64Image, apiUrl, apiKey, signal) {
+  let response;
+  try {
+    response = await fetch(`${apiUrl}?api_key=${apiKey}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      body: base64Image,
+      signal
+    });
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    // DNS failure, connection reset, ...
+    throw new InferenceError(`Roboflow API unreachable: ${error.cause?.message || error.message}`, {
+      provider: 'roboflow',
+      retryable: true,
+      reason: 'unavailable'
+    });
+  }
+  
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new InferenceError(`Roboflow API error (${response.status}): ${errorText}`, {
+      provider: 'roboflow',
+      status: response.status,
+      retryable: isRetryableStatus(response.status),
+      reason: response.status === 429 ? 'rate_limited' : response.status >= 500 ? 'unavailable' : 'error',
+      retryAfter: parseRetryAfter(response.headers.get('retry-after'))
+    });
+  }
+  
+  return response.json();
+}
+
+export function createRoboflowProvider(env = process.env) {
+  const urls = {
+    verification: env.ROBOFLOW_MODEL1_URL,
+    disease: env.ROBOFLOW_MODEL2_URL
+  };
+  // Comma-separated extra disease model URLs for ensemble mode
+  (env.ROBOFLOW_ENSEMBLE_URLS || '').split(',').map(url => url.trim()).filter(Boolean)
+    .forEach((url, index) => { urls[`disease#${index + 1}`] = url; });
+  const apiKey = env.ROBOFLOW_API_KEY;
+
+  return {
+    name: 'roboflow',
+    ensembleModels: Object.keys(urls).filter(model => model.startsWith('disease')),
+    fingerprint: urls,
+
+    isConfigured() {
+      return Boolean(urls.verification && urls.disease && apiKey);
+    },
+
+    async predict(model, imageBuffer, { signal } = {}) {
+      if (!urls[model]) {
+        throw new InferenceError(`Roboflow model "${model}" is not configured`, { provider: 'roboflow' });
+      }
+      const raw = await callRoboflowAPI(imageBuffer.toString('base64'), urls[model], apiKey, signal);
+      return normalizeResponse(raw);
+    }
+  };
+}
@@ -0,0 +1,111 @@
+// lib/publicApi/index.js - Response bodies and error codes of the public /api/v1 API
+// The contract is openapi/v1.json. Unlike the browser-facing /api/detect, every
+// error carries a stable `code` from the ErrorCode enum (partner apps switch on it,
+// not on the message) and the normalized image is only echoed back on request.
+import { DetectionError, inferenceErrorResponse } from '../detection.js';
+import { InferenceError } from '../providers/index.js';
+import { failureTypeOf } from '../outcomes.js';
+import { validate, getSchema } from './schema.js';
+
+export { getSpec, readFormFields } from './schema.js';
+
+// Status and default message per error code - keep in sync with ErrorCode in openapi/v1.json
+const ERRORS = {
+  unauthorized: { status: 401, message: 'A valid API key is required.' },
+  method_not_allowed: { status: 405, message: 'Method not allowed.' },
+  rate_limited: { status: 429, message: 'The request quota for this API key is used up.' },
+  invalid_request: { status: 400, message: 'The request does not match the API schema.' },
+  image_missing: { status: 400, message: 'No image file provided.' },
+  image_too_large: { status: 413, message: 'The image exceeds the 10MB limit.' },
+  unsupported_format: { status: 415, message: 'Only JPEG, PNG, WebP, HEIC and AVIF images are supported.' },
+  unreadable_image: { status: 422, message: 'The image could not be decoded.' },
+  quality_too_low: { status: 422, message: 'Photo quality is too low for a reliable diagnosis.' },
+  not_calamansi: { status: 422, message: 'The image does not appear to show a calamansi plant.' },
+  no_detections: { status: 422, message: 'Nothing was detected on the image.' },
+  model_timeout: { status: 504, message: 'The AI model took too long to respond.' },
+  model_unavailable: { status: 503, message: 'The AI model service is busy or down.' },
+  model_error: { status: 502, message: 'The AI model service failed.' },
+  server_error: { status: 500, message: 'An unexpected error occurred.' }
+};
+
+// Pipeline failure types (lib/outcomes.js) with an error code of their own
+const FAILURE_CODES = {
+  unreadable_image: 'unreadable_image',
+  unsupported_format: 'unsupported_format',
+  quality_error: 'quality_too_low',
+  not_calamansi: 'not_calamansi',
+  no_predictions: 'no_detections'
+};
+
+// { status, body } for an error code; extra fields (retryAfter, errors, ...) go in the body
+export function apiError(code, { message, ...details } = {}) {
+  const { status, message: fallback } = ERRORS[code];
+  return { status, body: { error: message || fallback, code, ...details } };
+}
+
+// { status, body, failureType } for an error thrown while handling a request
+export function apiErrorFor(error) {
+  const failureType = failureTypeOf(error);
+
+  if (error instanceof InferenceError) {
+    const { status, body } = inferenceErrorResponse(error);
+    const code = status === 503 ? 'model_unavailable' : status === 504 ? 'model_timeout' : 'model_error';
+    return { ...apiError(code, { retryAfter: body.retryAfter }), failureType };
+  }
+
+  if (error instanceof DetectionError && FAILURE_CODES[failureType]) {
+    return { ...apiError(FAILURE_CODES[failureType], { message: error.message, ...error.details }), failureType };
+  }
+
+  // formidable: size limit, or a malformed multipart body
+  if (error?.message?.includes('maxFileSize')) return { ...apiError('image_too_large'), failureType };
+  if (failureType === 'validation_error') return { ...apiError('invalid_request', { message: error.message }), failureType };
+
+  return { ...apiError('server_error'), failureType };
+}
+
+function toPrediction(pred) {
+  return {
+    class: pred.class,
+    confidence: pred.confidence,
+    // Classification models report no box
+    boundingBox: pred.boundingBox?.width !== undefined ? pred.boundingBox : null,
+    ...(pred.agreement !== undefined && { agreement: pred.agreement }),
+    ...(pred.votes !== undefined && { votes: pred.votes })
+  };
+}
+
+// The Detection resource for a runDetection result. `image` is the normalized image
+// from lib/preprocess.js, echoed back as a data URL only with includeImage.
+export function toDetectionResource(detection, { id, createdAt, cache, feedbackToken, image, includeImage }) {
+  return {
+    id: id ?? null,
+    createdAt,
+    cached: Boolean(cache.detection),
+    ...(cache.detection && { cacheMatch: cache.match }),
+    verification: {
+      class: detection.model1.class,
+      confidence: detection.model1.confidence
+    },
+    diagnosis: toPrediction({ ...detection.allPredictions[0], ...detection.model2 }),
+    detections: detection.allPredictions.map(toPrediction),
+    severity: detection.severity,
+    image: {
+      width: detection.imageWidth,
+      height: detection.imageHeight,
+      ...(includeImage && { data: `data:${image.mimetype};base64,${image.buffer.toString('base64')}` })
+    },
+    ...(detection.ensemble && { ensemble: detection.ensemble }),
+    feedbackToken: feedbackToken ?? null
+  };
+}
+
+// Log (never throw) when a body we are about to send breaks the contract, so a drift
+// between the code and openapi/v1.json shows up in the logs instead of at partners
+export function checkResponse(body, schemaName) {
+  const errors = validate(body, getSchema(schemaName));
+  if (errors.length) {
+    console.error(`/api/v1 response does not match ${schemaName} in openapi/v1.json:`, errors.slice(0, 10).join('; '));
+  }
+  return body;
+}
@@ -0,0 +1,117 @@
+// lib/publicApi/schema.js - The /api/v1 OpenAPI contract and a validator for it
+// openapi/v1.json is the single source of truth: request fields are checked against
+// its request schemas and response bodies against its response schemas. The validator
+// covers the JSON Schema subset the spec uses: type, nullable, enum, required,
+// properties, additionalProperties, items, minimum/maximum, minLength/maxLength,
+// pattern and local $refs.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const SPEC_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'openapi', 'v1.json');
+
+const REF_PREFIX = '#/components/schemas/';
+const TRUE_VALUES = ['true', '1', 'yes', 'on'];
+const FALSE_VALUES = ['false', '0', 'no', 'off'];
+
+let cachedSpec = null;
+
+export function getSpec() {
+  if (!cachedSpec) cachedSpec = JSON.parse(fs.readFileSync(SPEC_PATH, 'utf8'));
+  return cachedSpec;
+}
+
+export function getSchema(name) {
+  const schema = getSpec().components.schemas[name];
+  if (!schema) throw new Error(`Unknown schema "${name}" in openapi/v1.json`);
+  return schema;
+}
+
+function resolve(schema) {
+  let resolved = schema;
+  while (resolved?.$ref) resolved = getSchema(resolved.$ref.slice(REF_PREFIX.length));
+  return resolved;
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+// Problems with `value` as "path: message" strings - empty when it matches
+export function validate(value, schema, at = '$') {
+  const resolved = resolve(schema);
+  if (!resolved) return [];
+  if (value === null) return resolved.nullable ? [] : [`${at}: must not be null`];
+
+  const type = typeOf(value);
+  if (resolved.type && resolved.type !== type && !(resolved.type === 'number' && type === 'integer')) {
+    return [`${at}: must be ${resolved.type === 'integer' ? 'an' : 'a'} ${resolved.type}`];
+  }
+
+  const errors = [];
+  if (resolved.enum && !resolved.enum.includes(value)) {
+    errors.push(`${at}: must be one of ${resolved.enum.join(', ')}`);
+  }
+
+  if (type === 'string') {
+    if (resolved.minLength !== undefined && value.length < resolved.minLength) errors.push(`${at}: is too short`);
+    if (resolved.maxLength !== undefined && value.length > resolved.maxLength) errors.push(`${at}: is too long`);
+    if (resolved.pattern && !new RegExp(resolved.pattern).test(value)) errors.push(`${at}: has an invalid format`);
+  }
+
+  if (type === 'number' || type === 'integer') {
+    if (resolved.minimum !== undefined && value < resolved.minimum) errors.push(`${at}: must be at least ${resolved.minimum}`);
+    if (resolved.maximum !== undefined && value > resolved.maximum) errors.push(`${at}: must be at most ${resolved.maximum}`);
+  }
+
+  if (type === 'array' && resolved.items) {
+    value.forEach((item, index) => errors.push(...validate(item, resolved.items, `${at}[${index}]`)));
+  }
+
+  if (type === 'object') {
+    const properties = resolved.properties || {};
+    (resolved.required || [])
+      .filter(name => value[name] === undefined)
+      .forEach(name => errors.push(`${at}.${name}: is required`));
+
+    Object.entries(value)
+      .filter(([, item]) => item !== undefined) // dropped by JSON.stringify
+      .forEach(([name, item]) => {
+        if (properties[name]) errors.push(...validate(item, properties[name], `${at}.${name}`));
+        else if (resolved.additionalProperties === false) errors.push(`${at}.${name}: is not allowed`);
+      });
+  }
+
+  return errors;
+}
+
+// Multipart fields arrive as strings: convert them to the types the schema declares
+function coerce(text, type) {
+  const lower = text.toLowerCase();
+  if (type === 'boolean' && TRUE_VALUES.includes(lower)) return true;
+  if (type === 'boolean' && FALSE_VALUES.includes(lower)) return false;
+  if ((type === 'integer' || type === 'number') && text.trim() !== '' && Number.isFinite(Number(text))) return Number(text);
+  return text;
+}
+
+// Read and validate the non-file fields of a multipart request (formidable `fields`)
+// against the named request schema. File parts (format: binary) are the caller's to
+// check. Returns { values, errors }.
+export function readFormFields(fields, schemaName) {
+  const resolved = resolve(getSchema(schemaName));
+  const properties = resolved.properties || {};
+  const fileFields = Object.keys(properties).filter(name => properties[name].format === 'binary');
+
+  const values = Object.fromEntries(Object.entries(fields || {}).map(([name, raw]) => [
+    name,
+    coerce(String(Array.isArray(raw) ? raw[0] : raw), resolve(properties[name])?.type)
+  ]));
+
+  const errors = validate(values, {
+    ...resolved,
+    required: (resolved.required || []).filter(name => !fileFields.includes(name))
+  }, 'form');
+  return { values, errors };
+}
@@ -0,0 +1,180 @@
+// lib/quality.js - Photo quality gate run before inference
+// Blurry, dark or far-away photos otherwise get a misleading "not a calamansi" from
+// Model 1 or junk detections from Model 2. Each check looks at a small grayscale/RGB
+// copy of the normalized image and turns failures into hints the farmer can act on.
+// Needs the optional "sharp" dependency; without it the gate is skipped.
+//
+// QUALITY_CHECK          on (default) | off
+// QUALITY_MIN_SHARPNESS  Laplacian variance of the sharpest part of the frame (default 40)
+// QUALITY_MIN_BRIGHTNESS mean brightness 0-255 (default 45)
+// QUALITY_MAX_BRIGHTNESS mean brightness 0-255 (default 220)
+// QUALITY_MIN_CONTRAST   brightness standard deviation (default 18)
+// QUALITY_MIN_SUBJECT    fraction of the frame that looks like leaf or fruit (default 0.08)
+import { DetectionError } from './detection.js';
+
+// Analysis copy size: big enough for fine texture, small enough to scan in a few ms
+const ANALYSIS_SIZE = 512;
+// Sharpness is measured per cell of this grid so a blurred background (portrait
+// mode) doesn't fail an in-focus leaf
+const GRID = 8;
+const SHARPEST_FRACTION = 0.1;
+// Near-black / near-white pixel levels and the share of each that means backlight
+const SHADOW_LEVEL = 30;
+const HIGHLIGHT_LEVEL = 245;
+const BACKLIGHT_FRACTION = 0.25;
+
+const HINTS = {
+  blurry: 'The photo is blurry. Hold the phone steady and tap the leaf or fruit to focus before taking the photo.',
+  too_dark: 'The photo is too dark. Take it in daylight or move out of deep shade.',
+  too_bright: 'The photo is too bright. Avoid direct midday sun or flash on the leaf.',
+  backlit: 'Avoid backlight - stand so the sun is behind you, not behind the plant.',
+  low_contrast: 'The photo looks hazy. Wipe the camera lens and try again.',
+  subject_too_small: 'Move closer so the leaf or fruit fills most of the frame.'
+};
+
+export function loadQualityConfig(env = process.env) {
+  const number = (value, fallback) => {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) ? parsed : fallback;
+  };
+  
+  return {
+    enabled: (env.QUALITY_CHECK || 'on').toLowerCase() !== 'off',
+    minSharpness: number(env.QUALITY_MIN_SHARPNESS, 40),
+    minBrightness: number(env.QUALITY_MIN_BRIGHTNESS, 45),
+    maxBrightness: number(env.QUALITY_MAX_BRIGHTNESS, 220),
+    minContrast: number(env.QUALITY_MIN_CONTRAST, 18),
+    minSubject: number(env.QUALITY_MIN_SUBJECT, 0.08)
+  };
+}
+
+async function loadSharp() {
+  try {
+    return (await import('sharp')).default;
+  } catch {
+    return null;
+  }
+}
+
+// Leaf and fruit colours: green through yellow to calamansi orange, reasonably
+// saturated and not in deep shadow
+function isPlantColor(r, g, b) {
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  if (max < 40 || max - min < 0.2 * max) return false;
+  
+  let hue;
+  if (max === r) hue = 60 * (((g - b) / (max - min)) % 6);
+  else if (max === g) hue = 60 * ((b - r) / (max - min) + 2);
+  else hue = 60 * ((r - g) / (max - min) + 4);
+  if (hue < 0) hue += 360;
+  
+  return hue >= 20 && hue <= 170;
+}
+
+// Variance of the 4-neighbour Laplacian per grid cell, averaged over the sharpest cells
+function measureSharpness(gray, width, height) {
+  const cellWidth = Math.ceil(width / GRID);
+  const cellHeight = Math.ceil(height / GRID);
+  const cells = Array.from({ length: GRID * GRID }, () => ({ sum: 0, squares: 0, count: 0 }));
+  
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const laplacian = gray[i - 1] + gray[i + 1] + gray[i - width] + gray[i + width] - 4 * gray[i];
+      const cell = cells[Math.floor(y / cellHeight) * GRID + Math.floor(x / cellWidth)];
+      cell.sum += laplacian;
+      cell.squares += laplacian * laplacian;
+      cell.count++;
+    }
+  }
+  
+  const variances = cells
+    .filter(cell => cell.count > 0)
+    .map(cell => cell.squares / cell.count - (cell.sum / cell.count) ** 2)
+    .sort((a, b) => b - a);
+  const sharpest = variances.slice(0, Math.max(1, Math.round(variances.length * SHARPEST_FRACTION)));
+  return sharpest.reduce((total, value) => total + value, 0) / sharpest.length;
+}
+
+// Returns { passed, issues, hints, metrics } or null when sharp is unavailable
+export async function assessQuality(imageBuffer, config = loadQualityConfig()) {
+  const sharp = await loadSharp();
+  if (!sharp) return null;
+  
+  const { data, info } = await sharp(imageBuffer)
+    .resize({ width: ANALYSIS_SIZE, height: ANALYSIS_SIZE, fit: 'inside', withoutEnlargement: true })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  
+  const { width, height, channels } = info;
+  const pixels = width * height;
+  const gray = new Float32Array(pixels);
+  let sum = 0;
+  let squares = 0;
+  let shadows = 0;
+  let highlights = 0;
+  let plant = 0;
+  
+  for (let i = 0; i < pixels; i++) {
+    const r = data[i * channels];
+    const g = data[i * channels + 1];
+    const b = data[i * channels + 2];
+    const value = 0.299 * r + 0.587 * g + 0.114 * b;
+    gray[i] = value;
+    sum += value;
+    squares += value * value;
+    if (value < SHADOW_LEVEL) shadows++;
+    if (value > HIGHLIGHT_LEVEL) highlights++;
+    if (isPlantColor(r, g, b)) plant++;
+  }
+  
+  const brightness = sum / pixels;
+  const metrics = {
+    sharpness: Math.round(measureSharpness(gray, width, height)),
+    brightness: Math.round(brightness),
+    contrast: Math.round(Math.sqrt(Math.max(0, squares / pixels - brightness * brightness))),
+    shadows: Number((shadows / pixels).toFixed(3)),
+    highlights: Number((highlights / pixels).toFixed(3)),
+    subject: Number((plant / pixels).toFixed(3))
+  };
+  
+  const issues = [];
+  // A bright sky behind a dark plant averages out to a "normal" exposure
+  if (metrics.shadows > BACKLIGHT_FRACTION && metrics.highlights > BACKLIGHT_FRACTION) issues.push('backlit');
+  else if (metrics.brightness < config.minBrightness) issues.push('too_dark');
+  else if (metrics.brightness > config.maxBrightness) issues.push('too_bright');
+  else if (metrics.contrast < config.minContrast) issues.push('low_contrast');
+  // Dark or flat photos also measure as blurry and colourless; only blame focus and
+  // framing once the exposure is fine
+  if (!issues.length) {
+    if (metrics.sharpness < config.minSharpness) issues.push('blurry');
+    if (metrics.subject < config.minSubject) issues.push('subject_too_small');
+  }
+  
+  return {
+    passed: issues.length === 0,
+    issues,
+    hints: issues.map(issue => HINTS[issue]),
+    metrics
+  };
+}
+
+// Throw a quality_error when the photo fails the gate; returns the assessment (or
+// null when skipped) otherwise
+export async function checkQuality(imageBuffer, config = loadQualityConfig()) {
+  if (!config.enabled) return null;
+  
+  const assessment = await assessQuality(imageBuffer, config);
+  if (!assessment || assessment.passed) return assessment;
+  
+  throw new DetectionError('Photo quality is too low for a reliable diagnosis.', {
+    type: 'quality_error',
+    details: {
+      issues: assessment.issues,
+      hints: assessment.hints,
+      metrics: assessment.metrics
+    }
+  });
+}
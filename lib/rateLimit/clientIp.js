@@ -0,0 +1,74 @@
+// lib/rateLimit/clientIp.js - Resolve the real client IP without trusting spoofable headers
+// X-Forwarded-For is only honoured when the connecting socket is a configured trusted proxy,
+// and then it is walked right-to-left, skipping further trusted hops.
+
+// Strip IPv4-mapped IPv6 prefix and surrounding whitespace/brackets
+function cleanIP(ip) {
+  if (!ip) return null;
+  const trimmed = ip.trim().replace(/^\[|\]$/g, '');
+  return trimmed.startsWith('::ffff:') ? trimmed.slice(7) : trimmed;
+}
+
+function ipv4ToInt(ip) {
+  const parts = ip.split('.');
+  if (parts.length !== 4) return null;
+  let value = 0;
+  for (const part of parts) {
+    const octet = Number(part);
+    if (!Number.isInteger(octet) || octet < 0 || octet > 255) return null;
+    value = value * 256 + octet;
+  }
+  return value;
+}
+
+// Match an address against "1.2.3.4", "10.0.0.0/8" or an exact IPv6 address
+export function ipMatches(ip, range) {
+  const address = cleanIP(ip);
+  if (!address || !range) return false;
+
+  const [base, bitsText] = range.split('/');
+  if (bitsText === undefined) return address === cleanIP(base);
+
+  const ipValue = ipv4ToInt(address);
+  const baseValue = ipv4ToInt(base);
+  const bits = Number(bitsText);
+  if (ipValue === null || baseValue === null || !(bits >= 0 && bits <= 32)) return false;
+
+  const blockSize = 2 ** (32 - bits);
+  return Math.floor(ipValue / blockSize) === Math.floor(baseValue / blockSize);
+}
+
+// Find the trusted proxy entry (if any) that an address belongs to
+export function findTrustedProxy(ip, trustedProxies = []) {
+  return trustedProxies.find(proxy => ipMatches(ip, proxy.cidr)) || null;
+}
+
+// Returns { ip, proxy } where proxy is the trusted proxy the request came through (or null)
+export function getClientIP(req, config) {
+  const socketIP = cleanIP(req.socket?.remoteAddress || req.connection?.remoteAddress);
+
+  // Platform-set header (e.g. x-real-ip on Vercel, which overwrites client-supplied values)
+  if (config.clientIpHeader) {
+    const headerIP = cleanIP(String(req.headers[config.clientIpHeader] || '').split(',')[0]);
+    if (headerIP) return { ip: headerIP, proxy: null };
+  }
+
+  const proxy = findTrustedProxy(socketIP, config.trustedProxies);
+  if (!proxy) {
+    return { ip: socketIP || 'unknown', proxy: null };
+  }
+
+  const hops = String(req.headers['x-forwarded-for'] || '')
+    .split(',')
+    .map(cleanIP)
+    .filter(Boolean);
+
+  // Right-most entry that isn't another trusted proxy is the client
+  for (let i = hops.length - 1; i >= 0; i--) {
+    if (!findTrustedProxy(hops[i], config.trustedProxies)) {
+      return { ip: hops[i], proxy };
+    }
+  }
+
+  return { ip: hops[0] || socketIP || 'unknown', proxy };
+}
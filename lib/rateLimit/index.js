@@ -0,0 +1,248 @@
+// lib/rateLimit/index.js - Sliding-window rate limiting shared across instances
+// Quotas are resolved per client, most specific first:
+//   1. API key: one authenticated by the caller (lib/apiKeys.js, for /api/v1) or
+//      the X-API-Key header listed in config.apiKeys
+//   2. Client behind a trusted proxy that defines its own quota
+//   3. Default per-IP quota
+//
+// Configuration comes from RATE_LIMIT_CONFIG (JSON), e.g.
+//   {
+//     "windowMs": 3600000,
+//     "max": 5,
+//     "apiKeys": { "partner-key": { "max": 200 } },
+//     "trustedProxies": [{ "cidr": "10.0.0.0/8" }, { "cidr": "203.0.113.7", "max": 50 }],
+//     "clientIpHeader": "x-real-ip"
+//   }
+// RATE_LIMIT_MAX / RATE_LIMIT_WINDOW_MS override the defaults, and RATE_LIMIT_STORE
+// ("postgres" | "memory") picks the store. Postgres is used when DATABASE_URL is set.
+import crypto from 'crypto';
+import { getPool } from '../database.js';
+import { getClientIP } from './clientIp.js';
+import { createMemoryStore } from './memoryStore.js';
+import { createPostgresStore } from './postgresStore.js';
+
+export { getClientIP } from './clientIp.js';
+
+const DEFAULT_WINDOW_MS = 60 * 60 * 1000; // 1 hour
+const DEFAULT_MAX_REQUESTS = 5; // 5 requests per hour
+
+let cachedConfig = null;
+let memoryStore = null;
+let postgresStore = null;
+
+export function loadRateLimitConfig(env = process.env) {
+  let parsed = {};
+  if (env.RATE_LIMIT_CONFIG) {
+    try {
+      parsed = JSON.parse(env.RATE_LIMIT_CONFIG);
+    } catch (error) {
+      console.error('Invalid RATE_LIMIT_CONFIG, using defaults:', error.message);
+    }
+  }
+
+  return {
+    windowMs: parseInt(env.RATE_LIMIT_WINDOW_MS, 10) || parsed.windowMs || DEFAULT_WINDOW_MS,
+    max: parseInt(env.RATE_LIMIT_MAX, 10) || parsed.max || DEFAULT_MAX_REQUESTS,
+    apiKeys: parsed.apiKeys || {},
+    trustedProxies: (parsed.trustedProxies || []).map(proxy =>
+      typeof proxy === 'string' ? { cidr: proxy } : proxy
+    ),
+    // Vercel overwrites x-real-ip with the connecting client's address
+    clientIpHeader: parsed.clientIpHeader ?? (env.VERCEL ? 'x-real-ip' : null),
+    store: env.RATE_LIMIT_STORE || parsed.store || (env.DATABASE_URL ? 'postgres' : 'memory')
+  };
+}
+
+function getConfig() {
+  if (!cachedConfig) cachedConfig = loadRateLimitConfig();
+  return cachedConfig;
+}
+
+function getStore(config) {
+  if (config.store === 'postgres') {
+    const pool = getPool();
+    if (pool) {
+      if (!postgresStore) postgresStore = createPostgresStore(pool);
+      return postgresStore;
+    }
+  }
+  if (!memoryStore) memoryStore = createMemoryStore();
+  return memoryStore;
+}
+
+// Never store raw API keys or client addresses
+function hashKey(value) {
+  return crypto.createHash('sha256').update(value).digest('hex').slice(0, 32);
+}
+
+// Work out which quota applies to this request and the bucket it counts against.
+// `authenticated` is a key record from lib/apiKeys.js.
+export function resolveQuota(req, config = getConfig(), authenticated = null) {
+  const windowMs = config.windowMs;
+  const apiKey = req.headers['x-api-key'];
+  const client = getClientIP(req, config);
+
+  // Same bucket as hashKey() for the same key, so both endpoints share its quota
+  if (authenticated) {
+    return {
+      key: `key:${authenticated.hash.slice(0, 32)}`,
+      max: authenticated.max ?? config.max,
+      windowMs: authenticated.windowMs ?? windowMs,
+      clientIP: client.ip,
+      scope: 'api_key'
+    };
+  }
+
+  if (apiKey && config.apiKeys[apiKey]) {
+    const quota = config.apiKeys[apiKey];
+    return {
+      key: `key:${hashKey(apiKey)}`,
+      max: quota.max ?? config.max,
+      windowMs: quota.windowMs ?? windowMs,
+      clientIP: client.ip,
+      scope: 'api_key'
+    };
+  }
+
+  if (client.proxy?.max) {
+    return {
+      key: `ip:${hashKey(client.ip)}`,
+      max: client.proxy.max,
+      windowMs: client.proxy.windowMs ?? windowMs,
+      clientIP: client.ip,
+      scope: 'proxy'
+    };
+  }
+
+  return {
+    key: `ip:${hashKey(client.ip)}`,
+    max: config.max,
+    windowMs,
+    clientIP: client.ip,
+    scope: 'ip'
+  };
+}
+
+// Client IP as the limiter sees it, for requests that never reach checkRateLimit
+export function getRequestIP(req) {
+  return getClientIP(req, getConfig()).ip;
+}
+
+// Run a store operation, falling back to the memory store when Postgres fails
+async function withStore(config, operation) {
+  const store = getStore(config);
+  try {
+    return { store, result: await operation(store) };
+  } catch (error) {
+    // Don't block detections because the limiter's database is down
+    console.error('Rate limit store error, falling back to memory:', error.message);
+    if (!memoryStore) memoryStore = createMemoryStore();
+    return { store: memoryStore, result: await operation(memoryStore) };
+  }
+}
+
+// Rate limit info as returned by checkRateLimit and peekRateLimit
+function describe(quota, { allowed, count, oldest }, { now, hitAt, hits = 0, store }) {
+  // A slot frees up when the oldest hit in the window expires
+  const resetTime = oldest + quota.windowMs;
+
+  return {
+    allowed,
+    limit: quota.max,
+    remaining: Math.max(0, quota.max - count),
+    resetTime,
+    retryAfter: Math.max(1, Math.ceil((resetTime - now) / 1000)),
+    clientIP: quota.clientIP,
+    scope: quota.scope,
+    // Needed to give the slots back with releaseRateLimit
+    key: quota.key,
+    hitAt,
+    hits,
+    store: store.name
+  };
+}
+
+// Record a hit and report whether the request is allowed. Pass `apiKey` (a key
+// record from lib/apiKeys.js) to count the request against that key's quota, and
+// `cost` for requests worth several slots (a batch of images): they are allowed
+// only when all of them fit in the remaining quota.
+export async function checkRateLimit(req, { now = Date.now(), apiKey = null, cost = 1 } = {}) {
+  const config = getConfig();
+  const quota = resolveQuota(req, config, apiKey);
+
+  const { store, result } = await withStore(config, store =>
+    store.hit(quota.key, { max: quota.max, windowMs: quota.windowMs, now, cost })
+  );
+
+  return describe(quota, result, {
+    now,
+    hitAt: result.allowed ? now : null,
+    hits: result.allowed ? cost : 0,
+    store
+  });
+}
+
+// Report the quota without recording a hit, for responses that don't count against
+// it (preflight, wrong method) but still carry X-RateLimit-* headers. `allowed` says
+// whether a real request would get through right now.
+export async function peekRateLimit(req, { now = Date.now(), apiKey = null } = {}) {
+  const config = getConfig();
+  const quota = resolveQuota(req, config, apiKey);
+
+  const { store, result } = await withStore(config, store =>
+    store.peek(quota.key, { windowMs: quota.windowMs, now })
+  );
+
+  return describe(quota, { ...result, allowed: result.count < quota.max }, { now, hitAt: null, store });
+}
+
+// A bucket of failed attempts (e.g. invalid API keys) per client IP, separate from
+// the request quota, so guessing is cut off before it reaches the database. Reports
+// whether another attempt is allowed; `record` adds a failure first.
+export async function checkFailureLimit(req, name, { max, windowMs, record = false, now = Date.now() }) {
+  const config = getConfig();
+  const client = getClientIP(req, config);
+  const quota = { key: `${name}:${hashKey(client.ip)}`, max, windowMs, clientIP: client.ip, scope: 'ip' };
+
+  const { store, result } = await withStore(config, async store => {
+    if (record) await store.hit(quota.key, { max, windowMs, now });
+    const { count, oldest } = await store.peek(quota.key, { windowMs, now });
+    return { allowed: count < max, count, oldest };
+  });
+
+  return describe(quota, result, { now, hitAt: null, store });
+}
+
+// Undo hits recorded by checkRateLimit for work that turned out to cost nothing
+// (answered from the result cache) - all of them by default, or `count` of a batch.
+// Returns the updated rate limit info.
+export async function releaseRateLimit(rateLimit, count = rateLimit.hits) {
+  const released = Math.min(count, rateLimit.hits);
+  if (rateLimit.hitAt === null || released < 1) return rateLimit;
+
+  const store = rateLimit.store === 'postgres' ? getStore(getConfig()) : memoryStore;
+  try {
+    await store?.release(rateLimit.key, rateLimit.hitAt, released);
+  } catch (error) {
+    console.error('Rate limit release error:', error.message);
+    return rateLimit;
+  }
+
+  const hits = rateLimit.hits - released;
+  return {
+    ...rateLimit,
+    remaining: Math.min(rateLimit.limit, rateLimit.remaining + released),
+    hitAt: hits ? rateLimit.hitAt : null,
+    hits
+  };
+}
+
+// Set X-RateLimit-* headers (and Retry-After when blocked)
+export function applyRateLimitHeaders(res, rateLimit) {
+  res.setHeader('X-RateLimit-Limit', rateLimit.limit);
+  res.setHeader('X-RateLimit-Remaining', rateLimit.remaining);
+  res.setHeader('X-RateLimit-Reset', new Date(rateLimit.resetTime).toISOString());
+  if (!rateLimit.allowed) {
+    res.setHeader('Retry-After', rateLimit.retryAfter);
+  }
+}
@@ -0,0 +1,63 @@
+// lib/rateLimit/memoryStore.js - In-memory sliding log (per instance, resets on cold starts)
+// Used when no database is configured or as a fallback when Postgres is unreachable.
+
+const CLEANUP_INTERVAL = 5 * 60 * 1000; // 5 minutes
+
+export function createMemoryStore() {
+  const hits = new Map(); // key -> sorted array of hit timestamps (ms)
+  let lastCleanup = Date.now();
+
+  // Drop keys whose hits have all expired so the map doesn't grow forever
+  function cleanup(now, windowMs) {
+    if (now - lastCleanup < CLEANUP_INTERVAL) return;
+    lastCleanup = now;
+    for (const [key, timestamps] of hits) {
+      if (!timestamps.length || timestamps[timestamps.length - 1] <= now - windowMs) {
+        hits.delete(key);
+      }
+    }
+  }
+
+  return {
+    name: 'memory',
+
+    // `cost` hits are recorded together, or none when they don't all fit
+    async hit(key, { max, windowMs, now = Date.now(), cost = 1 }) {
+      cleanup(now, windowMs);
+
+      const windowStart = now - windowMs;
+      const timestamps = (hits.get(key) || []).filter(t => t > windowStart);
+
+      const allowed = timestamps.length + cost <= max;
+      if (allowed) timestamps.push(...Array(cost).fill(now));
+      hits.set(key, timestamps);
+
+      return {
+        allowed,
+        count: timestamps.length,
+        oldest: timestamps[0] ?? now
+      };
+    },
+
+    // Hits in the window without recording one (for responses that cost nothing)
+    async peek(key, { windowMs, now = Date.now() }) {
+      const windowStart = now - windowMs;
+      const timestamps = (hits.get(key) || []).filter(t => t > windowStart);
+
+      return {
+        count: timestamps.length,
+        oldest: timestamps[0] ?? now
+      };
+    },
+
+    // Give back `count` hits recorded at `at` (e.g. requests answered from the result cache)
+    async release(key, at, count = 1) {
+      const timestamps = hits.get(key);
+      for (let i = 0; i < count; i++) {
+        const index = timestamps ? timestamps.indexOf(at) : -1;
+        if (index === -1) break;
+        timestamps.splice(index, 1);
+      }
+    }
+  };
+}
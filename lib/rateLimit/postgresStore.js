@@ -0,0 +1,81 @@
+// lib/rateLimit/postgresStore.js - Shared sliding log in Postgres
+// Every serverless instance sees the same counts. Only a hashed client key and hit
+// timestamps are stored. The rate_limit_hits table is created by
+// migrations/004_create_rate_limit_hits.sql and 010_rate_limit_hit_expiry.sql.
+
+const PRUNE_PROBABILITY = 0.01;
+
+export function createPostgresStore(pool) {
+  return {
+    name: 'postgres',
+
+    // `cost` hits are recorded together, or none when they don't all fit
+    async hit(key, { max, windowMs, now = Date.now(), cost = 1 }) {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        // Serialize concurrent hits for the same key across instances
+        await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [key]);
+
+        const windowStart = new Date(now - windowMs);
+        await client.query(
+          'DELETE FROM rate_limit_hits WHERE key = $1 AND hit_at <= $2',
+          [key, windowStart]
+        );
+
+        const { rows } = await client.query(
+          'SELECT COUNT(*)::int AS count, MIN(hit_at) AS oldest FROM rate_limit_hits WHERE key = $1',
+          [key]
+        );
+        let count = rows[0].count;
+        let oldest = rows[0].oldest ? rows[0].oldest.getTime() : now;
+
+        const allowed = count + cost <= max;
+        if (allowed) {
+          await client.query(
+            'INSERT INTO rate_limit_hits (key, hit_at, expires_at) SELECT $1, $2, $3 FROM generate_series(1, $4)',
+            [key, new Date(now), new Date(now + windowMs), cost]
+          );
+          count += cost;
+        }
+
+        await client.query('COMMIT');
+
+        // A key's old hits are only deleted on its next hit, so clients that never
+        // come back would leave rows behind: prune every key now and then
+        if (Math.random() < PRUNE_PROBABILITY) {
+          await pool.query('DELETE FROM rate_limit_hits WHERE expires_at <= $1', [new Date(now)])
+            .catch(error => console.error('Rate limit prune error:', error.message));
+        }
+        return { allowed, count, oldest };
+      } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+      } finally {
+        client.release();
+      }
+    },
+
+    // Hits in the window without recording one (for responses that cost nothing)
+    async peek(key, { windowMs, now = Date.now() }) {
+      const { rows } = await pool.query(
+        'SELECT COUNT(*)::int AS count, MIN(hit_at) AS oldest FROM rate_limit_hits WHERE key = $1 AND hit_at > $2',
+        [key, new Date(now - windowMs)]
+      );
+      return {
+        count: rows[0].count,
+        oldest: rows[0].oldest ? rows[0].oldest.getTime() : now
+      };
+    },
+
+    // Give back `count` hits recorded at `at` (e.g. requests answered from the result cache)
+    async release(key, at, count = 1) {
+      await pool.query(
+        `DELETE FROM rate_limit_hits WHERE ctid IN (
+           SELECT ctid FROM rate_limit_hits WHERE key = $1 AND hit_at = $2 LIMIT $3
+         )`,
+        [key, new Date(at), count]
+      );
+    }
+  };
+}
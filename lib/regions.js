@@ -0,0 +1,56 @@
+// lib/regions.js - Coarse region recorded with each detection (always opt-in)
+// A detection's region is a geohash cell, taken from (in order):
+//   municipality  code picked in the upload form (data/municipalities.json)
+//   geohash       cell computed in the browser from the device location
+//   photo GPS     EXIF location, only when the user ticked "share location"
+// Cells are truncated to LOCATION_GEOHASH_PRECISION so nothing finer is stored.
+import fs from 'fs';
+import { coarseLocation, getLocationPrecision } from './geohash.js';
+
+const MUNICIPALITIES_URL = new URL('../data/municipalities.json', import.meta.url);
+const GEOHASH_PATTERN = /^[0-9b-hjkmnp-z]{1,12}$/;
+
+let municipalities = null;
+
+export function listMunicipalities() {
+  if (!municipalities) {
+    municipalities = JSON.parse(fs.readFileSync(MUNICIPALITIES_URL, 'utf8')).municipalities;
+  }
+  return municipalities;
+}
+
+export function getMunicipality(code) {
+  const key = String(code || '').trim().toLowerCase();
+  return listMunicipalities().find(entry => entry.code === key) || null;
+}
+
+function fieldValue(fields, name) {
+  const value = fields?.[name]?.[0] ?? fields?.[name];
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+// Returns { geohash, municipality } or null when the user shared no location.
+// `photo` is the result of getPhotoMetadata (its geohash is already opt-in).
+export function readRegion(fields, photo = null) {
+  const municipality = getMunicipality(fieldValue(fields, 'municipality'));
+  if (municipality) {
+    return {
+      geohash: coarseLocation(municipality),
+      municipality: municipality.code
+    };
+  }
+  
+  const geohash = fieldValue(fields, 'geohash').toLowerCase();
+  if (GEOHASH_PATTERN.test(geohash)) {
+    return {
+      geohash: geohash.slice(0, getLocationPrecision()),
+      municipality: null
+    };
+  }
+  
+  if (photo?.geohash) {
+    return { geohash: photo.geohash, municipality: null };
+  }
+  
+  return null;
+}
@@ -0,0 +1,92 @@
+// lib/severity.js - "How bad is it?" estimate from Model 2 detections
+// Score (0-100) combines the share of the image covered by the union of a disease's
+// boxes (overlapping boxes are only counted once), the number of lesions and the
+// mean confidence:
+//   score = 100 * meanConfidence * (0.75 * min(1, coverage / 25%) + 0.25 * min(1, lesions / 15))
+// and maps onto none / trace / mild / moderate / severe.
+
+const HEALTHY_CLASSES = ['healthy calamansi', 'healthy'];
+
+const COVERAGE_SATURATION = 0.25; // 25% of the image counts as fully covered
+const LESION_SATURATION = 15;
+
+// Upper score bounds for each level (anything above the last is severe)
+const SEVERITY_LEVELS = [
+  { level: 'trace', maxScore: 10 },
+  { level: 'mild', maxScore: 30 },
+  { level: 'moderate', maxScore: 60 }
+];
+
+// Exact area of the union of boxes (clipped to the image) via coordinate compression
+function unionArea(boxes, imageWidth, imageHeight) {
+  const rects = boxes.map(box => ({
+    left: Math.max(0, box.x - box.width / 2),
+    top: Math.max(0, box.y - box.height / 2),
+    right: Math.min(imageWidth, box.x + box.width / 2),
+    bottom: Math.min(imageHeight, box.y + box.height / 2)
+  })).filter(r => r.right > r.left && r.bottom > r.top);
+  
+  const xs = [...new Set(rects.flatMap(r => [r.left, r.right]))].sort((a, b) => a - b);
+  const ys = [...new Set(rects.flatMap(r => [r.top, r.bottom]))].sort((a, b) => a - b);
+  
+  let area = 0;
+  for (let i = 0; i < xs.length - 1; i++) {
+    for (let j = 0; j < ys.length - 1; j++) {
+      const cx = (xs[i] + xs[i + 1]) / 2;
+      const cy = (ys[j] + ys[j + 1]) / 2;
+      if (rects.some(r => cx > r.left && cx < r.right && cy > r.top && cy < r.bottom)) {
+        area += (xs[i + 1] - xs[i]) * (ys[j + 1] - ys[j]);
+      }
+    }
+  }
+  return area;
+}
+
+function levelForScore(score, lesionCount) {
+  if (lesionCount === 0) return 'none';
+  const match = SEVERITY_LEVELS.find(entry => score < entry.maxScore);
+  return match ? match.level : 'severe';
+}
+
+// predictions: allPredictions entries ({ class, confidence 0-100, boundingBox })
+function assess(predictions, imageWidth, imageHeight) {
+  const boxes = predictions.map(pred => pred.boundingBox).filter(box => box?.width !== undefined);
+  const lesionCount = predictions.length;
+  const meanConfidence = lesionCount
+    ? predictions.reduce((sum, pred) => sum + pred.confidence, 0) / lesionCount / 100
+    : 0;
+  const coverage = boxes.length ? unionArea(boxes, imageWidth, imageHeight) / (imageWidth * imageHeight) : 0;
+  
+  const coverageScore = Math.min(1, coverage / COVERAGE_SATURATION);
+  const countScore = Math.min(1, lesionCount / LESION_SATURATION);
+  const score = Math.round(100 * meanConfidence * (0.75 * coverageScore + 0.25 * countScore));
+  
+  return {
+    level: levelForScore(score, lesionCount),
+    score,
+    coverage: Math.round(coverage * 1000) / 10, // percent of image area
+    lesionCount
+  };
+}
+
+// Severity per disease and for the whole image
+export function estimateSeverity(allPredictions, imageWidth, imageHeight) {
+  const diseased = allPredictions.filter(pred => !HEALTHY_CLASSES.includes(pred.class.toLowerCase()));
+  
+  const byClass = new Map();
+  diseased.forEach(pred => {
+    const key = pred.class.toLowerCase();
+    if (!byClass.has(key)) byClass.set(key, []);
+    byClass.get(key).push(pred);
+  });
+  
+  const diseases = [...byClass].map(([disease, predictions]) => ({
+    class: disease,
+    ...assess(predictions, imageWidth, imageHeight)
+  })).sort((a, b) => b.score - a.score);
+  
+  return {
+    overall: assess(diseased, imageWidth, imageHeight),
+    diseases
+  };
+}
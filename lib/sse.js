@@ -0,0 +1,61 @@
+// lib/sse.js - Server-Sent Events for streamed detection progress
+// A detection can take up to 30 seconds. Clients that send "Accept: text/event-stream"
+// (or ?stream=1) to /api/detect get an event as each stage finishes instead of one
+// JSON body at the end, so they can show real progress and early rejections.
+// The stream opens once the upload has been received; anything rejected before that
+// (method, rate limit) is still answered as plain JSON with its HTTP status, so
+// clients must check the response Content-Type.
+//
+// Events, each with one JSON data line:
+//   upload        upload received: { size }
+//   validation    file type, preprocessing and quality gate passed: { width, height, cached }
+//   verification  Model 1 result: { model1 }
+//   detections    Model 2 result: { model2, allPredictions, detectionCount }
+//   result        the response body /api/detect would return; the stream ends
+//   error         { status, error, type, ... } as /api/detect would return; the stream ends
+
+export function wantsEventStream(req) {
+  const stream = String(req.query?.stream ?? '').toLowerCase();
+  if (stream === '1' || stream === 'true') return true;
+  return (req.headers.accept || '').includes('text/event-stream');
+}
+
+// One request's replies: progress() emits an event when streaming (a no-op
+// otherwise) and send() ends the request with the final status and body either way
+export function createResponder(req, res) {
+  const streaming = wantsEventStream(req);
+  let open = false;
+  
+  function write(event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+  
+  function start() {
+    if (open) return;
+    open = true;
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('X-Accel-Buffering', 'no'); // don't let proxies hold events back
+    res.flushHeaders?.();
+  }
+  
+  return {
+    // Headers can only change until the stream has opened
+    get headersSent() {
+      return open || res.headersSent;
+    },
+    
+    progress(event, data) {
+      if (!streaming) return;
+      start();
+      write(event, data);
+    },
+    
+    send(status, body) {
+      if (!open) return res.status(status).json(body);
+      write(status < 400 ? 'result' : 'error', status < 400 ? body : { status, ...body });
+      res.end();
+    }
+  };
+}
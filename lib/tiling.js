@@ -0,0 +1,140 @@
+// lib/tiling.js - Tiled disease detection for high-resolution photos
+// Small lesions disappear when a 4000px photo is downscaled to the model's input size.
+// Tiled mode crops overlapping tiles at native resolution, runs Model 2 on each, maps
+// boxes back to original-image pixels and merges duplicates across tile borders.
+// Needs the optional "sharp" dependency; without it detection falls back to one pass.
+//
+// TILED_INFERENCE      off (default, the per-request "tiled" flag is ignored)
+//                      | on (tile only when the request asks with tiled=true)
+//                      | auto (tile unless the request sets tiled=false)
+//                      Either way only images larger than TILE_MIN_IMAGE_SIZE are tiled.
+// TILE_SIZE            tile edge in pixels (default 640)
+// TILE_OVERLAP         fraction of overlap between neighbours (default 0.2)
+// TILE_MIN_IMAGE_SIZE  only tile images whose longer side exceeds this (default 1280)
+// TILE_MAX_TILES       upper bound on model calls per image (default 16)
+// TILE_MAX_IMAGE_SIZE  longer side kept by preprocessing when tiling (default 4096)
+import { mapWithConcurrency } from './batch.js';
+import { mergeOverlapping } from './boxes.js';
+
+const TILE_CONCURRENCY = 4;
+
+export function loadTilingConfig(env = process.env) {
+  return {
+    mode: (env.TILED_INFERENCE || 'off').toLowerCase(),
+    tileSize: parseInt(env.TILE_SIZE, 10) || 640,
+    overlap: Math.min(0.5, Math.max(0, parseFloat(env.TILE_OVERLAP) || 0.2)),
+    minImageSize: parseInt(env.TILE_MIN_IMAGE_SIZE, 10) || 1280,
+    maxTiles: parseInt(env.TILE_MAX_TILES, 10) || 16,
+    maxImageSize: parseInt(env.TILE_MAX_IMAGE_SIZE, 10) || 4096
+  };
+}
+
+// Evenly spaced tile start offsets covering [0, length)
+function tileOffsets(length, tileSize, overlap) {
+  if (length <= tileSize) return [0];
+  const step = tileSize * (1 - overlap);
+  const count = Math.ceil((length - tileSize) / step) + 1;
+  const spacing = (length - tileSize) / (count - 1);
+  return Array.from({ length: count }, (_, i) => Math.round(i * spacing));
+}
+
+// Tile grid for an image, growing the tile size until it fits within maxTiles
+export function planTiles(width, height, { tileSize, overlap, maxTiles }) {
+  let size = tileSize;
+  let xs;
+  let ys;
+  for (;;) {
+    xs = tileOffsets(width, size, overlap);
+    ys = tileOffsets(height, size, overlap);
+    if (xs.length * ys.length <= maxTiles) break;
+    size = Math.ceil(size * 1.25);
+  }
+  
+  const tiles = [];
+  for (const top of ys) {
+    for (const left of xs) {
+      tiles.push({
+        left,
+        top,
+        width: Math.min(size, width - left),
+        height: Math.min(size, height - top)
+      });
+    }
+  }
+  return tiles;
+}
+
+async function loadSharp() {
+  try {
+    return (await import('sharp')).default;
+  } catch {
+    return null;
+  }
+}
+
+// Should this request use tiling? `requested` is the per-request flag (true/false/undefined),
+// which only chooses within what the operator enabled - "off" always wins
+export function shouldTile(requested, config = loadTilingConfig()) {
+  if (config.mode === 'on') return requested === true;
+  if (config.mode === 'auto') return requested !== false;
+  return false;
+}
+
+// Run disease detection tile by tile. Returns the normalized provider shape with
+// boxes in original-image coordinates, or null when tiling doesn't apply.
+export async function predictTiled(provider, imageBuffer, { deadline } = {}, config = loadTilingConfig()) {
+  const sharp = await loadSharp();
+  if (!sharp) {
+    console.warn('Tiled inference requested but "sharp" is not installed, using a single pass');
+    return null;
+  }
+  
+  const { width, height } = await sharp(imageBuffer).metadata();
+  if (!width || !height || Math.max(width, height) <= config.minImageSize) {
+    return null;
+  }
+  
+  const tiles = planTiles(width, height, config);
+  console.log(`Tiled inference: ${tiles.length} tiles for ${width}x${height} image`);
+  
+  // Full-image pass still catches lesions larger than a tile
+  const jobs = [{ full: true }, ...tiles];
+  
+  const responses = await mapWithConcurrency(jobs, {
+    concurrency: TILE_CONCURRENCY,
+    worker: async (tile) => {
+      const input = tile.full
+        ? imageBuffer
+        : await sharp(imageBuffer).extract(tile).jpeg({ quality: 92 }).toBuffer();
+      const inputWidth = tile.full ? width : tile.width;
+      const inputHeight = tile.full ? height : tile.height;
+      const offsetX = tile.full ? 0 : tile.left;
+      const offsetY = tile.full ? 0 : tile.top;
+      
+      const response = await provider.predict('disease', input, { deadline });
+      
+      // Scale back in case the provider reports coordinates for a resized input
+      const scaleX = response.image?.width ? inputWidth / response.image.width : 1;
+      const scaleY = response.image?.height ? inputHeight / response.image.height : 1;
+      
+      return response.predictions
+        .filter(pred => pred.width !== undefined)
+        .map(pred => ({
+          ...pred,
+          x: offsetX + pred.x * scaleX,
+          y: offsetY + pred.y * scaleY,
+          width: pred.width * scaleX,
+          height: pred.height * scaleY
+        }));
+    }
+  });
+  
+  const predictions = mergeOverlapping(responses.flat())
+    .sort((a, b) => b.confidence - a.confidence);
+  
+  return {
+    predictions,
+    image: { width, height },
+    tiles: tiles.length
+  };
+}
@@ -0,0 +1,190 @@
+// lib/zip.js - Minimal in-memory ZIP reader and writer (stored + deflate, no ZIP64)
+// The reader is used for batch uploads, so it enforces entry and size limits to guard
+// against zip bombs. Directories, macOS resource forks and hidden files are skipped.
+// The writer builds dataset exports (see lib/donations/export.js).
+import zlib from 'zlib';
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+const MAX_ZIP_SIZE = 0xffffffff; // 4GB, beyond that ZIP64 would be needed
+
+export class ZipError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ZipError';
+  }
+}
+
+function findEndOfCentralDirectory(buffer) {
+  // EOCD is 22 bytes plus an optional comment of up to 65535 bytes
+  const minOffset = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let offset = buffer.length - 22; offset >= minOffset; offset--) {
+    if (buffer.readUInt32LE(offset) === EOCD_SIGNATURE) return offset;
+  }
+  throw new ZipError('Not a valid ZIP archive');
+}
+
+function isSkipped(name) {
+  const base = name.split('/').pop();
+  return name.endsWith('/') || name.startsWith('__MACOSX/') || base.startsWith('.');
+}
+
+// Returns [{ name, data }] for every file entry
+export function readZipEntries(buffer, { maxEntries = 100, maxEntrySize = 10 * 1024 * 1024, maxTotalSize = 200 * 1024 * 1024 } = {}) {
+  if (buffer.length < 22) throw new ZipError('Not a valid ZIP archive');
+  
+  const eocd = findEndOfCentralDirectory(buffer);
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  
+  if (entryCount === 0xffff || offset === 0xffffffff) {
+    throw new ZipError('ZIP64 archives are not supported');
+  }
+  
+  const entries = [];
+  let totalSize = 0;
+  
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) {
+      throw new ZipError('Corrupt ZIP central directory');
+    }
+    
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const uncompressedSize = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+    
+    if (isSkipped(name)) continue;
+    
+    if (entries.length >= maxEntries) {
+      throw new ZipError(`ZIP archive contains more than ${maxEntries} files`);
+    }
+    if (flags & 0x1) {
+      throw new ZipError(`Encrypted ZIP entries are not supported (${name})`);
+    }
+    if (uncompressedSize > maxEntrySize) {
+      throw new ZipError(`${name} exceeds the per-file size limit`);
+    }
+    totalSize += uncompressedSize;
+    if (totalSize > maxTotalSize) {
+      throw new ZipError('ZIP archive is too large when extracted');
+    }
+    
+    if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== LOCAL_SIGNATURE) {
+      throw new ZipError(`Corrupt ZIP entry (${name})`);
+    }
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const compressed = buffer.subarray(dataStart, dataStart + compressedSize);
+    
+    let data;
+    if (method === 0) {
+      data = Buffer.from(compressed);
+    } else if (method === 8) {
+      try {
+        // maxOutputLength stops a lying header from inflating past the limit
+        data = zlib.inflateRawSync(compressed, { maxOutputLength: maxEntrySize });
+      } catch (error) {
+        throw new ZipError(`Could not decompress ${name}`);
+      }
+    } else {
+      throw new ZipError(`Unsupported ZIP compression method ${method} (${name})`);
+    }
+    
+    entries.push({ name, data });
+  }
+  
+  return entries;
+}
+
+
+let crcTable = null;
+
+function crc32(data) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) {
+    crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Build a ZIP archive from [{ name, data }] (data: Buffer or string).
+// Entries are deflated unless that doesn't help (e.g. JPEGs are stored as-is).
+export function createZip(entries) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+  
+  // DOS date/time of "now" for every entry
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+  
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf8');
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(String(entry.data), 'utf8');
+    const deflated = zlib.deflateRawSync(data);
+    const method = deflated.length < data.length ? 8 : 0;
+    const body = method === 8 ? deflated : data;
+    const crc = crc32(data);
+    
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_SIGNATURE, 0);
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(dosTime, 10);
+    local.writeUInt16LE(dosDate, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_SIGNATURE, 0);
+    central.writeUInt16LE(20, 4); // version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt16LE(dosTime, 12);
+    central.writeUInt16LE(dosDate, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+    
+    localParts.push(local, name, body);
+    centralParts.push(central, name);
+    offset += local.length + name.length + body.length;
+    
+    if (offset > MAX_ZIP_SIZE || entries.length >= 0xffff) {
+      throw new ZipError('Export is too large for a ZIP archive without ZIP64');
+    }
+  }
+  
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(EOCD_SIGNATURE, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
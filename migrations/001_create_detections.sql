@@ -0,0 +1,19 @@
+-- Detection log (metadata only - images are never stored in the database).
+-- IF NOT EXISTS lets deployments that created the table by hand adopt migrations.
+CREATE TABLE IF NOT EXISTS detections (
+  id SERIAL PRIMARY KEY,
+  timestamp TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  ip_address VARCHAR(64),
+  model1_class VARCHAR(100),
+  model1_confidence NUMERIC(5, 2),
+  model2_class VARCHAR(100),
+  model2_confidence NUMERIC(5, 2),
+  image_size INTEGER,
+  image_type VARCHAR(50),
+  image_width INTEGER,
+  image_height INTEGER,
+  success BOOLEAN NOT NULL DEFAULT TRUE
+);
+
+CREATE INDEX IF NOT EXISTS detections_timestamp_idx ON detections (timestamp);
+CREATE INDEX IF NOT EXISTS detections_model2_class_idx ON detections (model2_class);
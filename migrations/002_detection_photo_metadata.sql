@@ -0,0 +1,10 @@
+-- EXIF capture time, camera and orientation, plus the opt-in coarse region
+-- (geohash cell or municipality) used for outbreak tracking.
+ALTER TABLE detections
+  ADD COLUMN IF NOT EXISTS captured_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS camera_model VARCHAR(100),
+  ADD COLUMN IF NOT EXISTS image_orientation SMALLINT,
+  ADD COLUMN IF NOT EXISTS geohash VARCHAR(12),
+  ADD COLUMN IF NOT EXISTS municipality VARCHAR(100);
+
+CREATE INDEX IF NOT EXISTS detections_geohash_idx ON detections (geohash);
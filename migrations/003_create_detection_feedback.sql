@@ -0,0 +1,10 @@
+-- Farmer feedback per detection box (box_index follows allPredictions, 0 = primary)
+CREATE TABLE IF NOT EXISTS detection_feedback (
+  id SERIAL PRIMARY KEY,
+  detection_id INTEGER NOT NULL REFERENCES detections (id) ON DELETE CASCADE,
+  box_index SMALLINT NOT NULL,
+  predicted_class VARCHAR(100) NOT NULL,
+  correct_class VARCHAR(100) NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (detection_id, box_index)
+);
@@ -0,0 +1,7 @@
+-- Shared sliding-window rate limit log (hashed client key + hit time)
+CREATE TABLE IF NOT EXISTS rate_limit_hits (
+  key TEXT NOT NULL,
+  hit_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS rate_limit_hits_key_hit_at_idx ON rate_limit_hits (key, hit_at);
@@ -0,0 +1,9 @@
+-- Failed and rejected requests are logged too (success = FALSE), with the failure
+-- type and pipeline stage (see lib/outcomes.js) and the latency of each model call.
+ALTER TABLE detections
+  ADD COLUMN IF NOT EXISTS failure_type VARCHAR(50),
+  ADD COLUMN IF NOT EXISTS failure_stage VARCHAR(20),
+  ADD COLUMN IF NOT EXISTS model1_latency_ms INTEGER,
+  ADD COLUMN IF NOT EXISTS model2_latency_ms INTEGER;
+
+CREATE INDEX IF NOT EXISTS detections_failure_type_idx ON detections (failure_type) WHERE success = FALSE;
@@ -0,0 +1,14 @@
+-- Cached detection results keyed by a SHA-256 of the uploaded bytes (see lib/cache).
+-- Only predictions are stored, never the image. phash is a 64-bit perceptual hash
+-- (hex) used to match near-identical re-uploads.
+CREATE TABLE IF NOT EXISTS result_cache (
+  content_hash CHAR(64) NOT NULL,
+  variant TEXT NOT NULL,
+  phash CHAR(16),
+  result JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  PRIMARY KEY (content_hash, variant)
+);
+
+CREATE INDEX IF NOT EXISTS result_cache_expires_at_idx ON result_cache (expires_at);
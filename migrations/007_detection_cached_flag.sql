@@ -0,0 +1,3 @@
+-- Detections answered from the result cache made no model calls (latencies are NULL)
+ALTER TABLE detections
+  ADD COLUMN IF NOT EXISTS cached BOOLEAN NOT NULL DEFAULT FALSE;
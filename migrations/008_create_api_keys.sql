@@ -0,0 +1,31 @@
+-- Issued API keys for the public /api/v1 API (see lib/apiKeys.js). Only a SHA-256 of
+-- each key is stored; key_prefix is the visible start of the key, to tell keys apart.
+-- quota_max / quota_window_ms override the default API key quota when set.
+CREATE TABLE IF NOT EXISTS api_keys (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  key_prefix VARCHAR(20) NOT NULL,
+  key_hash CHAR(64) NOT NULL UNIQUE,
+  quota_max INTEGER,
+  quota_window_ms INTEGER,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_used_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ
+);
+
+-- One row per authenticated /api/v1 request. api_key_id is NULL for the static keys
+-- in RATE_LIMIT_CONFIG, which are told apart by key_prefix.
+CREATE TABLE IF NOT EXISTS api_key_usage (
+  id BIGSERIAL PRIMARY KEY,
+  api_key_id INTEGER REFERENCES api_keys (id),
+  key_prefix VARCHAR(20) NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  endpoint VARCHAR(50) NOT NULL,
+  status SMALLINT NOT NULL,
+  code VARCHAR(50),
+  latency_ms INTEGER,
+  cached BOOLEAN,
+  detection_id INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS api_key_usage_key_prefix_created_at_idx ON api_key_usage (key_prefix, created_at);
@@ -0,0 +1,4 @@
+-- Class of every detection box in allPredictions order (0 = primary, the same as
+-- model2_class), so farmer feedback is checked against what was actually predicted
+ALTER TABLE detections
+  ADD COLUMN IF NOT EXISTS predicted_classes TEXT[];
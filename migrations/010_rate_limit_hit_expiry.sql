@@ -0,0 +1,11 @@
+-- When each rate limit hit leaves its key's window, so expired hits of every key can
+-- be pruned at once (windows differ per key). Older rows get a one-day expiry.
+ALTER TABLE rate_limit_hits
+  ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ;
+
+UPDATE rate_limit_hits SET expires_at = hit_at + INTERVAL '1 day' WHERE expires_at IS NULL;
+
+ALTER TABLE rate_limit_hits
+  ALTER COLUMN expires_at SET NOT NULL;
+
+CREATE INDEX IF NOT EXISTS rate_limit_hits_expires_at_idx ON rate_limit_hits (expires_at);
@@ -0,0 +1,400 @@
+// Admin analytics dashboard - reads /api/stats (no build step, plain canvas charts)
+const API_BASE_URL = window.location.origin;
+const TOKEN_KEY = 'adminToken';
+const DEFAULT_RANGE_DAYS = 30;
+
+// Known classes (extra classes from the data are added automatically)
+const KNOWN_DISEASES = ['black spot', 'canker', 'greening', 'healthy calamansi', 'scab', 'thrips'];
+
+// Same palette as the result page bounding boxes, darkened for a light background
+const chartColors = ['#4e7d1e', '#b03a8c', '#1f8a8a', '#c9a400', '#d35400', '#c0392b', '#34495e', '#7f8c8d'];
+
+// DOM elements
+const tokenForm = document.getElementById('tokenForm');
+const tokenInput = document.getElementById('tokenInput');
+const dashboard = document.getElementById('dashboard');
+const filterForm = document.getElementById('filterForm');
+const fromInput = document.getElementById('fromInput');
+const toInput = document.getElementById('toInput');
+const diseaseSelect = document.getElementById('diseaseSelect');
+const intervalSelect = document.getElementById('intervalSelect');
+const csvBtn = document.getElementById('csvBtn');
+const signOutBtn = document.getElementById('signOutBtn');
+const statusEl = document.getElementById('status');
+
+let lastStats = null;
+
+function getToken() {
+  return sessionStorage.getItem(TOKEN_KEY);
+}
+
+function showTokenForm(message = '') {
+  dashboard.hidden = true;
+  tokenForm.hidden = false;
+  statusEl.textContent = message;
+  tokenForm.before(statusEl);
+}
+
+function showDashboard() {
+  tokenForm.hidden = true;
+  dashboard.hidden = false;
+  filterForm.after(statusEl);
+}
+
+function formatDateInput(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function buildQuery(extra = {}) {
+  // "to" is exclusive on the API, so include the whole selected end day
+  const to = new Date(toInput.value);
+  to.setUTCDate(to.getUTCDate() + 1);
+  
+  const params = new URLSearchParams({
+    from: fromInput.value,
+    to: formatDateInput(to),
+    interval: intervalSelect.value,
+    tz: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    ...extra
+  });
+  if (diseaseSelect.value) params.set('disease', diseaseSelect.value);
+  return params;
+}
+
+async function fetchStats(params) {
+  const response = await fetch(`${API_BASE_URL}/api/stats?${params}`, {
+    headers: { Authorization: `Bearer ${getToken()}` }
+  });
+  
+  if (response.status === 401) {
+    sessionStorage.removeItem(TOKEN_KEY);
+    showTokenForm('Invalid admin token. Please sign in again.');
+    return null;
+  }
+  
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || `Request failed (${response.status})`);
+  }
+  
+  return response;
+}
+
+async function loadDashboard() {
+  statusEl.textContent = 'Loading...';
+  
+  try {
+    const response = await fetchStats(buildQuery());
+    if (!response) return;
+    
+    lastStats = await response.json();
+    statusEl.textContent = `Updated ${new Date(lastStats.generatedAt).toLocaleString()}`;
+    renderDashboard(lastStats);
+  } catch (error) {
+    console.error('Dashboard error:', error);
+    statusEl.textContent = error.message;
+  }
+}
+
+async function downloadCSV() {
+  statusEl.textContent = 'Preparing CSV...';
+  
+  try {
+    const response = await fetchStats(buildQuery({ format: 'csv', report: 'timeseries' }));
+    if (!response) return;
+    
+    const blob = await response.blob();
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const filename = disposition.match(/filename="([^"]+)"/)?.[1] || 'cali-report.csv';
+    
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+    statusEl.textContent = '';
+  } catch (error) {
+    console.error('CSV download error:', error);
+    statusEl.textContent = error.message;
+  }
+}
+
+function updateDiseaseOptions(stats) {
+  const existing = new Set(Array.from(diseaseSelect.options).map(option => option.value));
+  const classes = [...KNOWN_DISEASES, ...stats.diseases.map(row => row.disease)];
+  
+  classes.forEach(disease => {
+    if (!disease || existing.has(disease)) return;
+    existing.add(disease);
+    const option = document.createElement('option');
+    option.value = disease;
+    option.textContent = disease;
+    diseaseSelect.appendChild(option);
+  });
+}
+
+function renderDashboard(stats) {
+  updateDiseaseOptions(stats);
+  
+  document.getElementById('totalValue').textContent = stats.totals.total;
+  document.getElementById('successValue').textContent = stats.totals.successful;
+  document.getElementById('rejectedValue').textContent = stats.totals.rejected;
+  document.getElementById('rejectionRateValue').textContent =
+    `${(stats.totals.rejectionRate * 100).toFixed(1)}%`;
+  document.getElementById('errorValue').textContent = stats.totals.errors;
+  document.getElementById('errorRateValue').textContent =
+    `${(stats.totals.errorRate * 100).toFixed(1)}%`;
+  document.getElementById('cacheHitRateValue').textContent =
+    `${(stats.totals.cacheHitRate * 100).toFixed(1)}%`;
+  
+  // Detections per disease over time
+  const buckets = [...new Set(stats.timeSeries.map(row => row.bucket))].sort();
+  const diseases = [...new Set(stats.timeSeries.map(row => row.disease))];
+  drawLineChart(
+    document.getElementById('timeSeriesChart'),
+    buckets.map(bucket => new Date(bucket).toLocaleDateString()),
+    diseases.map(disease => ({
+      label: disease || 'unknown',
+      values: buckets.map(bucket =>
+        stats.timeSeries.find(row => row.bucket === bucket && row.disease === disease)?.count || 0
+      )
+    }))
+  );
+  
+  drawBarChart(
+    document.getElementById('confidenceChart'),
+    stats.confidenceHistogram.map(row => `${row.min}-${row.max}`),
+    stats.confidenceHistogram.map(row => row.count)
+  );
+  
+  drawBarChart(
+    document.getElementById('rejectionChart'),
+    stats.rejectionReasons.map(row => `${row.reason.replace(/_/g, ' ')}${row.kind === 'error' ? ' (error)' : ''}`),
+    stats.rejectionReasons.map(row => row.count)
+  );
+  
+  drawBarChart(
+    document.getElementById('hourlyChart'),
+    stats.hourlyTraffic.map(row => String(row.hour)),
+    stats.hourlyTraffic.map(row => row.count)
+  );
+  
+  drawLineChart(
+    document.getElementById('latencyChart'),
+    stats.latency.map(row => new Date(row.bucket).toLocaleDateString()),
+    [
+      { label: 'Model 1 p50', values: stats.latency.map(row => row.model1P50) },
+      { label: 'Model 1 p95', values: stats.latency.map(row => row.model1P95) },
+      { label: 'Model 2 p50', values: stats.latency.map(row => row.model2P50) },
+      { label: 'Model 2 p95', values: stats.latency.map(row => row.model2P95) }
+    ]
+  );
+  
+  drawBarChart(
+    document.getElementById('agreementChart'),
+    stats.feedback.perClass.map(row => row.class),
+    stats.feedback.perClass.map(row => Math.round(row.agreementRate * 100))
+  );
+  
+  renderConfusionTable(document.getElementById('confusionTable'), stats.feedback.confusionMatrix);
+}
+
+function renderConfusionTable(table, { labels, counts }) {
+  table.replaceChildren();
+  if (!labels.length) {
+    const row = table.insertRow();
+    row.insertCell().textContent = 'No feedback for this range';
+    return;
+  }
+  
+  const head = table.insertRow();
+  head.appendChild(document.createElement('th'));
+  labels.forEach(label => {
+    const th = document.createElement('th');
+    th.textContent = label;
+    head.appendChild(th);
+  });
+  
+  labels.forEach((label, i) => {
+    const row = table.insertRow();
+    const th = document.createElement('th');
+    th.textContent = label;
+    row.appendChild(th);
+    counts[i].forEach((count, j) => {
+      const cell = row.insertCell();
+      cell.textContent = count;
+      if (i === j) cell.className = 'agree';
+    });
+  });
+}
+
+// ---------- Canvas charts ----------
+
+const CHART_PADDING = { top: 30, right: 15, bottom: 40, left: 45 };
+
+// Size the canvas for the device pixel ratio and return a ready context
+function prepareCanvas(canvas) {
+  const ratio = window.devicePixelRatio || 1;
+  const width = canvas.clientWidth;
+  const height = canvas.clientHeight;
+  canvas.width = width * ratio;
+  canvas.height = height * ratio;
+  
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+  ctx.font = '12px Georgia, serif';
+  return { ctx, width, height };
+}
+
+function drawEmpty(ctx, width, height) {
+  ctx.fillStyle = '#718540';
+  ctx.textAlign = 'center';
+  ctx.fillText('No data for this range', width / 2, height / 2);
+}
+
+// Draw the y axis with gridlines; returns a value -> y mapper
+function drawAxes(ctx, width, height, maxValue) {
+  const plotHeight = height - CHART_PADDING.top - CHART_PADDING.bottom;
+  const niceMax = maxValue > 0 ? maxValue : 1;
+  
+  ctx.strokeStyle = '#ddd';
+  ctx.fillStyle = '#555';
+  ctx.textAlign = 'right';
+  ctx.lineWidth = 1;
+  
+  for (let i = 0; i <= 4; i++) {
+    const value = (niceMax / 4) * i;
+    const y = CHART_PADDING.top + plotHeight - (value / niceMax) * plotHeight;
+    ctx.beginPath();
+    ctx.moveTo(CHART_PADDING.left, y);
+    ctx.lineTo(width - CHART_PADDING.right, y);
+    ctx.stroke();
+    ctx.fillText(niceMax >= 4 ? Math.round(value) : value.toFixed(1), CHART_PADDING.left - 6, y + 4);
+  }
+  
+  return value => CHART_PADDING.top + plotHeight - (value / niceMax) * plotHeight;
+}
+
+// Draw x labels, skipping some when they would overlap
+function drawXLabels(ctx, labels, xFor) {
+  ctx.fillStyle = '#555';
+  ctx.textAlign = 'center';
+  const step = Math.max(1, Math.ceil(labels.length / 8));
+  labels.forEach((label, i) => {
+    if (i % step === 0) {
+      ctx.fillText(label, xFor(i), ctx.canvas.clientHeight - CHART_PADDING.bottom + 16);
+    }
+  });
+}
+
+function drawLegend(ctx, series) {
+  let x = CHART_PADDING.left;
+  ctx.textAlign = 'left';
+  series.forEach((s, i) => {
+    ctx.fillStyle = chartColors[i % chartColors.length];
+    ctx.fillRect(x, 8, 10, 10);
+    ctx.fillStyle = '#333';
+    ctx.fillText(s.label, x + 14, 17);
+    x += ctx.measureText(s.label).width + 30;
+  });
+}
+
+function drawLineChart(canvas, labels, series) {
+  const { ctx, width, height } = prepareCanvas(canvas);
+  if (!labels.length || !series.length) return drawEmpty(ctx, width, height);
+  
+  const allValues = series.flatMap(s => s.values).filter(value => value !== null);
+  const yFor = drawAxes(ctx, width, height, Math.max(0, ...allValues));
+  const plotWidth = width - CHART_PADDING.left - CHART_PADDING.right;
+  const xFor = i => CHART_PADDING.left + (labels.length === 1 ? plotWidth / 2 : (plotWidth / (labels.length - 1)) * i);
+  
+  series.forEach((s, index) => {
+    const color = chartColors[index % chartColors.length];
+    ctx.strokeStyle = color;
+    ctx.fillStyle = color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    let started = false;
+    s.values.forEach((value, i) => {
+      if (value === null) return;
+      const x = xFor(i);
+      const y = yFor(value);
+      if (started) ctx.lineTo(x, y);
+      else ctx.moveTo(x, y);
+      started = true;
+    });
+    ctx.stroke();
+    
+    s.values.forEach((value, i) => {
+      if (value === null) return;
+      ctx.beginPath();
+      ctx.arc(xFor(i), yFor(value), 3, 0, Math.PI * 2);
+      ctx.fill();
+    });
+  });
+  
+  drawXLabels(ctx, labels, xFor);
+  drawLegend(ctx, series);
+}
+
+function drawBarChart(canvas, labels, values) {
+  const { ctx, width, height } = prepareCanvas(canvas);
+  if (!labels.length || values.every(value => !value)) return drawEmpty(ctx, width, height);
+  
+  const yFor = drawAxes(ctx, width, height, Math.max(...values));
+  const plotWidth = width - CHART_PADDING.left - CHART_PADDING.right;
+  const slot = plotWidth / labels.length;
+  const barWidth = Math.max(2, slot * 0.7);
+  const xFor = i => CHART_PADDING.left + slot * i + slot / 2;
+  
+  ctx.fillStyle = chartColors[0];
+  values.forEach((value, i) => {
+    const y = yFor(value);
+    ctx.fillRect(xFor(i) - barWidth / 2, y, barWidth, yFor(0) - y);
+  });
+  
+  drawXLabels(ctx, labels, xFor);
+}
+
+// ---------- Events ----------
+
+tokenForm.addEventListener('submit', function(e) {
+  e.preventDefault();
+  sessionStorage.setItem(TOKEN_KEY, tokenInput.value.trim());
+  tokenInput.value = '';
+  showDashboard();
+  loadDashboard();
+});
+
+filterForm.addEventListener('submit', function(e) {
+  e.preventDefault();
+  loadDashboard();
+});
+
+csvBtn.addEventListener('click', downloadCSV);
+
+signOutBtn.addEventListener('click', function() {
+  sessionStorage.removeItem(TOKEN_KEY);
+  showTokenForm();
+});
+
+// Redraw at the new size
+window.addEventListener('resize', function() {
+  if (lastStats && !dashboard.hidden) renderDashboard(lastStats);
+});
+
+window.addEventListener('DOMContentLoaded', function() {
+  const today = new Date();
+  const from = new Date(today.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+  fromInput.value = formatDateInput(from);
+  toInput.value = formatDateInput(today);
+  
+  if (getToken()) {
+    showDashboard();
+    loadDashboard();
+  } else {
+    showTokenForm();
+  }
+});
@@ -3,9 +3,12 @@ const API_BASE_URL = window.location.origin;
 
 // Validation constants
 const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
-const ALLOWED_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
+const ALLOWED_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp', 'image/heic', 'image/heif', 'image/avif'];
+// Some browsers leave file.type empty for HEIC, so fall back to the extension
+const ALLOWED_EXTENSIONS = /\.(jpe?g|png|webp|heic|heif|avif)$/i;
+// Formats the server converts but not every browser can preview
+const SERVER_DECODED = /\.(heic|heif|avif)$/i;
 const MIN_IMAGE_SIZE = 100; // pixels
-const MAX_IMAGE_SIZE = 4096; // pixels
 
 // DOM elements
 const fileInput = document.getElementById('fileInput');
@@ -13,10 +16,182 @@ const detectBtn = document.getElementById('detectBtn');
 const imagePreview = document.getElementById('imagePreview');
 const previewImg = document.getElementById('previewImg');
 const uploadForm = document.getElementById('uploadForm');
+const queueStatus = document.getElementById('queueStatus');
+const shareLocationInput = document.getElementById('shareLocation');
+const regionSelect = document.getElementById('regionSelect');
+const regionStatus = document.getElementById('regionStatus');
+const donatePhotoInput = document.getElementById('donatePhoto');
+const qualityHints = document.getElementById('qualityHints');
+const progressSteps = document.getElementById('progressSteps');
+
+// Stages streamed by /api/detect (see lib/sse.js), in order, and the button text
+// while each one is running
+const PROGRESS_STEPS = ['upload', 'validation', 'verification', 'detections'];
+const PROGRESS_LABELS = {
+  upload: 'Uploading photo...',
+  validation: 'Checking photo quality...',
+  verification: 'Verifying calamansi...',
+  detections: 'Detecting diseases...'
+};
+
+// Background Sync tag handled in sw.js
+const SYNC_TAG = 'detection-queue';
+
+// Remember the location opt-ins between visits (off unless the user chooses them)
+const SHARE_LOCATION_KEY = 'shareLocation';
+const REGION_KEY = 'region';
+const REGION_GEOHASH_KEY = 'regionGeohash';
+const DEVICE_REGION = 'device';
+const GEOHASH_PRECISION = 5; // ~5km cells, same as the server
 
 let currentImageUrl = null;
 let currentFile = null;
 
+if (shareLocationInput) {
+  shareLocationInput.checked = localStorage.getItem(SHARE_LOCATION_KEY) === 'true';
+  shareLocationInput.addEventListener('change', function() {
+    localStorage.setItem(SHARE_LOCATION_KEY, String(shareLocationInput.checked));
+  });
+}
+
+function isLocationShared() {
+  return Boolean(shareLocationInput?.checked);
+}
+
+// Coarse area sent with each detection for outbreak tracking (see /api/outbreaks)
+function getLocationFields() {
+  const fields = { shareLocation: String(isLocationShared()) };
+  const region = regionSelect?.value;
+  
+  if (region === DEVICE_REGION) {
+    const geohash = localStorage.getItem(REGION_GEOHASH_KEY);
+    if (geohash) fields.geohash = geohash;
+  } else if (region) {
+    fields.municipality = region;
+  }
+  
+  return fields;
+}
+
+// Everything sent with the photo. Donation consent is asked for each photo, so it
+// is never remembered between uploads.
+function getUploadFields() {
+  const fields = getLocationFields();
+  if (donatePhotoInput?.checked) fields.donate = 'true';
+  return fields;
+}
+
+const GEOHASH_BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+function encodeGeohash(latitude, longitude, precision) {
+  const latRange = [-90, 90];
+  const lonRange = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let value = 0;
+  let even = true;
+  
+  while (hash.length < precision) {
+    const range = even ? lonRange : latRange;
+    const mid = (range[0] + range[1]) / 2;
+    value <<= 1;
+    if ((even ? longitude : latitude) >= mid) {
+      value |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+    even = !even;
+    if (++bits === 5) {
+      hash += GEOHASH_BASE32[value];
+      bits = 0;
+      value = 0;
+    }
+  }
+  
+  return hash;
+}
+
+function showRegionStatus(message) {
+  if (!regionStatus) return;
+  regionStatus.textContent = message;
+  regionStatus.hidden = !message;
+}
+
+// Only the ~5km cell is kept - the exact position never leaves this function
+function useDeviceLocation() {
+  if (!navigator.geolocation) {
+    showRegionStatus('Location is not available on this device.');
+    regionSelect.value = '';
+    return;
+  }
+  
+  showRegionStatus('Finding your area...');
+  navigator.geolocation.getCurrentPosition(
+    position => {
+      const geohash = encodeGeohash(position.coords.latitude, position.coords.longitude, GEOHASH_PRECISION);
+      localStorage.setItem(REGION_GEOHASH_KEY, geohash);
+      localStorage.setItem(REGION_KEY, DEVICE_REGION);
+      showRegionStatus('Your approximate area (about 5 km) will be recorded.');
+    },
+    () => {
+      regionSelect.value = '';
+      localStorage.removeItem(REGION_KEY);
+      showRegionStatus('Could not get your location. You can pick your municipality instead.');
+    },
+    { enableHighAccuracy: false, timeout: 15000, maximumAge: 60 * 60 * 1000 }
+  );
+}
+
+async function loadRegions() {
+  if (!regionSelect) return;
+  
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/regions`);
+    if (!response.ok) throw new Error(`Regions request failed (${response.status})`);
+    const { municipalities } = await response.json();
+    
+    // Group the municipalities by province
+    const groups = {};
+    municipalities.forEach(entry => {
+      if (!groups[entry.province]) {
+        groups[entry.province] = document.createElement('optgroup');
+        groups[entry.province].label = entry.province;
+      }
+      groups[entry.province].appendChild(new Option(entry.name, entry.code));
+    });
+    regionSelect.append(...Object.values(groups));
+  } catch (error) {
+    console.error('Could not load municipalities:', error);
+  }
+  
+  const saved = localStorage.getItem(REGION_KEY);
+  if (saved === DEVICE_REGION && localStorage.getItem(REGION_GEOHASH_KEY)) {
+    regionSelect.value = DEVICE_REGION;
+  } else if (saved && Array.from(regionSelect.options).some(option => option.value === saved)) {
+    regionSelect.value = saved;
+  }
+}
+
+if (regionSelect) {
+  regionSelect.addEventListener('change', function() {
+    if (regionSelect.value === DEVICE_REGION) {
+      useDeviceLocation();
+      return;
+    }
+    
+    showRegionStatus('');
+    if (regionSelect.value) {
+      localStorage.setItem(REGION_KEY, regionSelect.value);
+    } else {
+      localStorage.removeItem(REGION_KEY);
+      localStorage.removeItem(REGION_GEOHASH_KEY);
+    }
+  });
+  
+  loadRegions();
+}
+
 fileInput.addEventListener('change', function(e) {
   const file = e.target.files[0];
   
@@ -29,6 +204,7 @@ fileInput.addEventListener('change', function(e) {
     }
     
     currentFile = file;
+    hideQualityHints();
     loadImagePreview(file);
     detectBtn.disabled = false;
   }
@@ -42,10 +218,10 @@ function validateFile(file) {
     };
   }
   
-  if (!ALLOWED_TYPES.includes(file.type)) {
+  if (!ALLOWED_TYPES.includes(file.type) && !(file.type === '' && ALLOWED_EXTENSIONS.test(file.name))) {
     return {
       valid: false,
-      error: 'Invalid file type. Please upload a JPEG, PNG, or WebP image.'
+      error: 'Invalid file type. Please upload a JPEG, PNG, WebP, HEIC or AVIF image.'
     };
   }
   
@@ -70,21 +246,21 @@ function loadImagePreview(file) {
       return;
     }
     
-    if (img.width > MAX_IMAGE_SIZE || img.height > MAX_IMAGE_SIZE) {
-      alert(`Image is too large (${img.width}x${img.height}). Maximum size is ${MAX_IMAGE_SIZE}x${MAX_IMAGE_SIZE} pixels.`);
-      fileInput.value = '';
-      URL.revokeObjectURL(currentImageUrl);
-      currentImageUrl = null;
-      detectBtn.disabled = true;
-      return;
-    }
-    
+    // Large photos are fine - the server orients and resizes them before analysis
     previewImg.src = currentImageUrl;
     previewImg.alt = `Preview of ${file.name}`;
     imagePreview.classList.add('show');
   };
   
   img.onerror = function() {
+    // No HEIC/AVIF preview in this browser; the server can still read it
+    if (SERVER_DECODED.test(file.name) || /heic|heif|avif/.test(file.type)) {
+      previewImg.removeAttribute('src');
+      previewImg.alt = `${file.name} (preview not available in this browser)`;
+      imagePreview.classList.add('show');
+      return;
+    }
+    
     alert('Failed to load image. The file may be corrupted.');
     fileInput.value = '';
     URL.revokeObjectURL(currentImageUrl);
@@ -107,64 +283,180 @@ uploadForm.addEventListener('submit', async function(e) {
 });
 
 async function processDetection() {
-  setLoadingState(true, 'Analyzing image...');
+  // No signal - keep the photo on the device and analyze it later
+  if (!navigator.onLine) {
+    await queueCurrentPhoto();
+    return;
+  }
+  
+  showProgress(null);
   
   try {
     // Prepare FormData
     const formData = new FormData();
     formData.append('image', currentFile);
+    Object.entries(getUploadFields()).forEach(([name, value]) => formData.append(name, value));
     
-    // Make API request to backend
-    const response = await fetch(`${API_BASE_URL}/api/detect`, {
-      method: 'POST',
-      body: formData
-    });
+    // Make API request to backend, asking for progress events - requests rejected
+    // before the upload is read (rate limit) still come back as plain JSON
+    let response;
+    try {
+      response = await fetch(`${API_BASE_URL}/api/detect`, {
+        method: 'POST',
+        headers: { Accept: 'text/event-stream' },
+        body: formData
+      });
+    } catch (error) {
+      // No answer at all (connection dropped mid-upload) - queue instead of losing the photo
+      console.error('Detection upload failed:', error);
+      await queueCurrentPhoto();
+      return;
+    }
     
-    const data = await response.json();
+    const { status, data } = isEventStream(response)
+      ? await readDetectionStream(response)
+      : { status: response.status, data: await response.json() };
     
-    if (!response.ok) {
+    if (status >= 400) {
+      failProgress();
+      
       // Handle different error types
-      if (response.status === 429) {
+      if (status === 429) {
         throw new Error('Too many detection attempts. Please wait a moment and try again.');
       }
       
-      if (response.status === 400 && data.type === 'validation_error') {
+      if (status === 400 && data.type === 'validation_error') {
         throw new Error(data.error);
       }
       
+      // Blurry, dark or far-away photo - say how to retake it instead of alerting
+      if (data.type === 'quality_error') {
+        showQualityHints(data);
+        resetDetectionState();
+        return;
+      }
+      
       throw new Error(data.error || 'Detection failed. Please try again.');
     }
     
     // Store result in sessionStorage (matching result.html format)
-    const resultData = {
-      model1: {
-        class: data.model1.class,
-        confidence: data.model1.confidence.toString()
-      },
-      model2: {
-        class: data.model2.class,
-        confidence: data.model2.confidence.toString(),
-        boundingBox: data.model2.boundingBox
-      },
-      imageSrc: data.imageData,
-      imageWidth: data.imageWidth,
-      imageHeight: data.imageHeight,
-      allPredictions: data.allPredictions,
-      timestamp: data.timestamp
-    };
+    const resultData = DetectionQueue.toResultData(data);
     
     console.log('Detection successful! Result:', resultData);
     sessionStorage.setItem('detectionResult', JSON.stringify(resultData));
     
     // Redirect to results page
     window.location.href = './result.html';
-    
+  
   } catch (error) {
     console.error('Detection error:', error);
     handleDetectionError(error);
   }
 }
 
+// ---------- Streamed progress ----------
+
+function isEventStream(response) {
+  return (response.headers.get('Content-Type') || '').includes('text/event-stream');
+}
+
+// "event: name\ndata: {...}" -> { event, data }
+function parseStreamEvent(block) {
+  let event = 'message';
+  const dataLines = [];
+  block.split('\n').forEach(line => {
+    if (line.startsWith('event:')) event = line.slice(6).trim();
+    else if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+  });
+  return dataLines.length ? { event, data: JSON.parse(dataLines.join('\n')) } : null;
+}
+
+// Move the stepper along as events arrive; resolves with the final result or error
+// in the same { status, data } shape as a JSON response
+async function readDetectionStream(response) {
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  
+  while (true) {
+    let chunk;
+    try {
+      chunk = await reader.read();
+    } catch (error) {
+      console.error('Detection stream failed:', error);
+      break;
+    }
+    const { value, done } = chunk;
+    if (done) break;
+    buffer += value.replace(/\r\n/g, '\n');
+    
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const message = parseStreamEvent(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      if (!message) continue;
+      
+      if (message.event === 'result') return { status: 200, data: message.data };
+      if (message.event === 'error') return { status: message.data.status || 500, data: message.data };
+      showProgress(message.event, message.data);
+    }
+  }
+  
+  // The upload got through but the answer was cut off - a server-side failure (the
+  // function timed out or crashed), not a reason to queue the photo as offline
+  return {
+    status: 502,
+    data: {
+      error: 'The server stopped responding before the result was ready. Please try again.',
+      type: 'server_error',
+      retry: 'now'
+    }
+  };
+}
+
+// Mark the `completed` stage (null before the upload starts) and everything before
+// it done, and the next one as running
+function showProgress(completed, data = {}) {
+  const index = PROGRESS_STEPS.indexOf(completed);
+  if (completed && index === -1) return;
+  
+  progressSteps.hidden = false;
+  progressSteps.querySelectorAll('li').forEach((item, i) => {
+    item.classList.toggle('done', i <= index);
+    item.classList.toggle('active', i === index + 1);
+    item.classList.remove('failed');
+  });
+  
+  if (completed === 'verification') {
+    setStepDetail('verification', `- calamansi (${data.model1.confidence}%)`);
+  }
+  if (completed === 'detections') {
+    setStepDetail('detections', `- ${data.detectionCount} found`);
+  }
+  
+  const next = PROGRESS_STEPS[index + 1];
+  setLoadingState(true, next ? PROGRESS_LABELS[next] : 'Preparing results...');
+}
+
+function setStepDetail(step, text) {
+  const detail = progressSteps.querySelector(`[data-step="${step}"] .step-detail`);
+  if (detail) detail.textContent = text;
+}
+
+// The running stage is the one that rejected the photo
+function failProgress() {
+  const active = progressSteps.querySelector('li.active');
+  if (active) {
+    active.classList.remove('active');
+    active.classList.add('failed');
+  }
+}
+
+function hideProgress() {
+  progressSteps.hidden = true;
+  progressSteps.querySelectorAll('li').forEach(item => item.classList.remove('done', 'active', 'failed'));
+  progressSteps.querySelectorAll('.step-detail').forEach(detail => { detail.textContent = ''; });
+}
+
 function handleDetectionError(error) {
   const errorMessage = error.message || 'An unexpected error occurred during detection.';
   
@@ -178,6 +470,22 @@ function handleDetectionError(error) {
   resetDetectionState();
 }
 
+function showQualityHints(data) {
+  document.getElementById('qualityTitle').textContent = `${data.error} Please retake the photo:`;
+  const list = document.getElementById('qualityHintList');
+  list.replaceChildren(...(data.hints || []).map(hint => {
+    const item = document.createElement('li');
+    item.textContent = hint;
+    return item;
+  }));
+  qualityHints.hidden = false;
+  qualityHints.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+function hideQualityHints() {
+  qualityHints.hidden = true;
+}
+
 function setLoadingState(loading, message = '') {
   detectBtn.disabled = loading;
   fileInput.disabled = loading;
@@ -196,8 +504,158 @@ function setLoadingState(loading, message = '') {
 
 function resetDetectionState() {
   setLoadingState(false);
+  hideProgress();
+}
+
+// ---------- Offline queue ----------
+
+async function queueCurrentPhoto() {
+  try {
+    await DetectionQueue.enqueue(currentFile, getUploadFields());
+  } catch (error) {
+    console.error('Could not queue photo:', error);
+    alert('Network error. Please check your internet connection and try again.');
+    resetDetectionState();
+    return;
+  }
+  
+  // Ask now (during a user action) so we can notify when the result arrives
+  if ('Notification' in window && Notification.permission === 'default') {
+    Notification.requestPermission().catch(() => {});
+  }
+  
+  // Let the service worker upload even if this page is closed
+  const registration = await navigator.serviceWorker?.ready.catch(() => null);
+  registration?.sync?.register(SYNC_TAG).catch(() => {});
+  
+  alert("You're offline. Your photo was saved and will be analyzed automatically when you're back online.");
+  
+  currentFile = null;
+  fileInput.value = '';
+  if (donatePhotoInput) donatePhotoInput.checked = false;
+  imagePreview.classList.remove('show');
+  resetDetectionState();
+  detectBtn.disabled = true;
+  updateQueueStatus();
 }
 
+// Show waiting photos and finished queued results
+async function updateQueueStatus() {
+  if (!queueStatus) return;
+  
+  let records = [];
+  try {
+    records = await DetectionQueue.getAll();
+  } catch (error) {
+    console.error('Could not read queue:', error);
+  }
+  
+  queueStatus.replaceChildren();
+  
+  const pending = records.filter(record => record.status === 'pending');
+  if (pending.length) {
+    const waiting = document.createElement('p');
+    waiting.textContent = pending.length === 1
+      ? '1 photo is waiting to be analyzed.'
+      : `${pending.length} photos are waiting to be analyzed.`;
+    queueStatus.appendChild(waiting);
+  }
+  
+  records
+    .filter(record => record.status !== 'pending')
+    .forEach(record => {
+      const item = document.createElement('div');
+      item.className = 'queue-item';
+      
+      const text = document.createElement('span');
+      const button = document.createElement('button');
+      button.type = 'button';
+      
+      if (record.status === 'done') {
+        text.textContent = `Queued photo analyzed: ${record.result.model2.class} (${record.result.model2.confidence}%)`;
+        button.textContent = 'View result';
+        button.addEventListener('click', async function() {
+          sessionStorage.setItem('detectionResult', JSON.stringify(record.result));
+          await DetectionQueue.remove(record.id);
+          window.location.href = './result.html';
+        });
+      } else {
+        text.textContent = `Queued photo could not be analyzed: ${record.error}`;
+        button.textContent = 'Dismiss';
+        button.addEventListener('click', async function() {
+          await DetectionQueue.remove(record.id);
+          updateQueueStatus();
+        });
+      }
+      
+      item.append(text, button);
+      queueStatus.appendChild(item);
+    });
+  
+  queueStatus.hidden = queueStatus.childElementCount === 0;
+}
+
+function notifyQueuedResult(record) {
+  updateQueueStatus();
+  
+  if (document.visibilityState === 'visible' || !('Notification' in window) || Notification.permission !== 'granted') {
+    return;
+  }
+  
+  const body = record.status === 'done'
+    ? `Result ready: ${record.result.model2.class} (${record.result.model2.confidence}%)`
+    : `A queued photo could not be analyzed: ${record.error}`;
+  navigator.serviceWorker?.ready.then(registration =>
+    registration.showNotification('Cali AI', {
+      body,
+      icon: '/icons/icon-192.png',
+      tag: `queued-${record.id}`,
+      data: { id: record.id, status: record.status }
+    })
+  );
+}
+
+let flushTimer = null;
+
+async function flushQueue() {
+  if (!navigator.onLine) return;
+  
+  try {
+    const { pausedUntil } = await DetectionQueue.flush({
+      apiBase: API_BASE_URL,
+      onResult: notifyQueuedResult
+    });
+    
+    // Rate limit reached - try again when the window resets
+    if (pausedUntil) {
+      clearTimeout(flushTimer);
+      flushTimer = setTimeout(flushQueue, pausedUntil - Date.now() + 1000);
+    }
+  } catch (error) {
+    console.error('Queue upload error:', error);
+  }
+  
+  updateQueueStatus();
+}
+
+if ('serviceWorker' in navigator) {
+  navigator.serviceWorker.register('/sw.js').catch(error => {
+    console.error('Service worker registration failed:', error);
+  });
+  
+  // The service worker finished a queued upload in the background
+  navigator.serviceWorker.addEventListener('message', function(event) {
+    if (event.data?.type === 'queued-result') updateQueueStatus();
+  });
+}
+
+window.addEventListener('online', flushQueue);
+
+window.addEventListener('load', function() {
+  updateQueueStatus();
+  flushQueue();
+});
+
 window.addEventListener('beforeunload', function() {
   if (currentImageUrl) {
     URL.revokeObjectURL(currentImageUrl);
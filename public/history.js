@@ -0,0 +1,299 @@
+// API Configuration
+const API_BASE_URL = window.location.origin;
+const LOCALE_KEY = 'locale';
+const MAX_COMPARE = 2;
+
+const searchInput = document.getElementById('searchInput');
+const diseaseFilter = document.getElementById('diseaseFilter');
+const compareBtn = document.getElementById('compareBtn');
+const historyList = document.getElementById('historyList');
+const historyEmpty = document.getElementById('historyEmpty');
+const comparePanel = document.getElementById('comparePanel');
+const compareGrid = document.getElementById('compareGrid');
+const compareSummary = document.getElementById('compareSummary');
+
+let records = [];
+let selected = [];
+
+// Localized disease names from the knowledge base, keyed by class
+let diseaseNames = {};
+
+const severityLabels = {
+  none: 'None',
+  trace: 'Trace',
+  mild: 'Mild',
+  moderate: 'Moderate',
+  severe: 'Severe'
+};
+
+const boxColors = ['#00FF00', '#FF00FF', '#00FFFF', '#FFFF00', '#FF6600', '#FF0066'];
+
+// Same normalization as the server ("Black-Spot" -> "black spot")
+function classKeyOf(className) {
+  return String(className || '').toLowerCase().replace(/[-_]+/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function displayName(className) {
+  return diseaseNames[classKeyOf(className)] || className;
+}
+
+async function loadDiseaseNames() {
+  const locale = (localStorage.getItem(LOCALE_KEY) || navigator.language || 'en').split('-')[0];
+  
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/diseases?locale=${encodeURIComponent(locale)}`);
+    if (!response.ok) throw new Error(`Knowledge base request failed (${response.status})`);
+    
+    const data = await response.json();
+    data.diseases.forEach(entry => {
+      diseaseNames[entry.key] = entry.name;
+    });
+  } catch (error) {
+    // Raw class names are fine when the knowledge base is unreachable
+    console.error('Could not load disease names:', error);
+  }
+}
+
+function formatDate(timestamp) {
+  return new Date(timestamp).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+// Severity estimate for the primary disease, falling back to the whole photo
+function primarySeverity(record) {
+  if (!record.severity) return null;
+  return record.severity.diseases.find(d => d.class === record.disease) || record.severity.overall;
+}
+
+function matchesFilters(record) {
+  const disease = diseaseFilter.value;
+  if (disease && record.disease !== disease) return false;
+  
+  const query = searchInput.value.trim().toLowerCase();
+  if (!query) return true;
+  
+  const haystack = [
+    record.model2.class,
+    displayName(record.model2.class),
+    ...record.allPredictions.map(pred => displayName(pred.class)),
+    formatDate(record.timestamp)
+  ].join(' ').toLowerCase();
+  
+  return haystack.includes(query);
+}
+
+function populateDiseaseFilter() {
+  const current = diseaseFilter.value;
+  const diseases = [...new Set(records.map(record => record.disease))].sort();
+  
+  diseaseFilter.replaceChildren(new Option('All diseases', ''));
+  diseases.forEach(disease => {
+    diseaseFilter.appendChild(new Option(displayName(disease), disease));
+  });
+  
+  diseaseFilter.value = diseases.includes(current) ? current : '';
+}
+
+function createHistoryItem(record) {
+  const item = document.createElement('div');
+  item.className = 'history-item';
+  item.classList.toggle('selected', selected.includes(record.timestamp));
+  
+  const img = document.createElement('img');
+  img.alt = displayName(record.model2.class);
+  if (record.thumbnail) img.src = record.thumbnail.src;
+  
+  const name = document.createElement('strong');
+  name.textContent = `${displayName(record.model2.class)} (${record.model2.confidence}%)`;
+  
+  const date = document.createElement('span');
+  date.textContent = formatDate(record.timestamp);
+  
+  const severity = primarySeverity(record);
+  const details = document.createElement('span');
+  details.textContent = severity
+    ? `Severity: ${severityLabels[severity.level] || severity.level} (${severity.coverage}% affected)`
+    : `${record.allPredictions.length} detection(s)`;
+  
+  const actions = document.createElement('div');
+  actions.className = 'actions';
+  
+  const compareLabel = document.createElement('label');
+  const compareBox = document.createElement('input');
+  compareBox.type = 'checkbox';
+  compareBox.checked = selected.includes(record.timestamp);
+  compareBox.addEventListener('change', () => toggleSelected(record.timestamp, compareBox.checked));
+  compareLabel.append(compareBox, ' Compare');
+  
+  const viewBtn = document.createElement('button');
+  viewBtn.type = 'button';
+  viewBtn.textContent = 'View';
+  viewBtn.addEventListener('click', () => {
+    sessionStorage.setItem('detectionResult', JSON.stringify(ScanHistory.toResultData(record)));
+    window.location.href = 'result.html';
+  });
+  
+  const deleteBtn = document.createElement('button');
+  deleteBtn.type = 'button';
+  deleteBtn.textContent = 'Delete';
+  deleteBtn.addEventListener('click', () => deleteRecord(record));
+  
+  actions.append(compareLabel, viewBtn, deleteBtn);
+  item.append(img, name, date, details, actions);
+  return item;
+}
+
+function renderList() {
+  const visible = records.filter(matchesFilters);
+  
+  historyList.replaceChildren(...visible.map(createHistoryItem));
+  historyEmpty.hidden = records.length > 0;
+  compareBtn.disabled = selected.length !== MAX_COMPARE;
+}
+
+function toggleSelected(timestamp, checked) {
+  selected = selected.filter(value => value !== timestamp);
+  if (checked) {
+    selected.push(timestamp);
+    // Keep the two most recently ticked scans
+    if (selected.length > MAX_COMPARE) selected.shift();
+  }
+  renderList();
+}
+
+async function deleteRecord(record) {
+  if (!confirm(`Delete the ${displayName(record.model2.class)} scan from ${formatDate(record.timestamp)}?`)) return;
+  
+  try {
+    await ScanHistory.remove(record.timestamp);
+    records = records.filter(r => r.timestamp !== record.timestamp);
+    selected = selected.filter(value => value !== record.timestamp);
+    if (!comparePanel.hidden) comparePanel.hidden = true;
+    populateDiseaseFilter();
+    renderList();
+  } catch (error) {
+    console.error('Could not delete scan:', error);
+    alert('Could not delete this scan. Please try again.');
+  }
+}
+
+// Draw a thumbnail with its detections scaled down from the original image size
+function drawScan(canvas, record) {
+  if (!record.thumbnail) return;
+  
+  const ctx = canvas.getContext('2d');
+  const img = new Image();
+  
+  img.onload = function() {
+    canvas.width = img.width;
+    canvas.height = img.height;
+    ctx.drawImage(img, 0, 0);
+    
+    const scaleX = img.width / record.imageWidth;
+    const scaleY = img.height / record.imageHeight;
+    
+    record.allPredictions.forEach((pred, index) => {
+      const box = pred.boundingBox;
+      ctx.strokeStyle = boxColors[index % boxColors.length];
+      ctx.lineWidth = 2;
+      ctx.strokeRect(
+        (box.x - box.width / 2) * scaleX,
+        (box.y - box.height / 2) * scaleY,
+        box.width * scaleX,
+        box.height * scaleY
+      );
+    });
+  };
+  
+  img.src = record.thumbnail.src;
+}
+
+function createComparisonColumn(record, title) {
+  const column = document.createElement('div');
+  
+  const heading = document.createElement('h3');
+  heading.textContent = `${title}: ${formatDate(record.timestamp)}`;
+  
+  const canvas = document.createElement('canvas');
+  drawScan(canvas, record);
+  
+  const severity = primarySeverity(record);
+  const rows = [
+    ['Disease', `${displayName(record.model2.class)} (${record.model2.confidence}%)`],
+    ['Severity', severity ? severityLabels[severity.level] || severity.level : '-'],
+    ['Affected area', severity ? `${severity.coverage}%` : '-'],
+    ['Lesions', severity ? String(severity.lesionCount) : String(record.allPredictions.length)]
+  ];
+  
+  const list = document.createElement('dl');
+  rows.forEach(([label, value]) => {
+    const dt = document.createElement('dt');
+    dt.textContent = label;
+    const dd = document.createElement('dd');
+    dd.textContent = value;
+    list.append(dt, dd);
+  });
+  
+  column.append(heading, canvas, list);
+  return column;
+}
+
+// Describe how the later scan differs from the earlier one
+function describeChange(before, after) {
+  const beforeSeverity = primarySeverity(before);
+  const afterSeverity = primarySeverity(after);
+  
+  if (!beforeSeverity || !afterSeverity) {
+    return 'Severity is not available for one of these scans, so only the detections can be compared.';
+  }
+  
+  const sentences = [];
+  if (before.disease !== after.disease) {
+    sentences.push(`The main finding changed from ${displayName(before.model2.class)} to ${displayName(after.model2.class)}.`);
+  }
+  
+  const delta = Math.round((afterSeverity.coverage - beforeSeverity.coverage) * 10) / 10;
+  sentences.push(`Affected area went from ${beforeSeverity.coverage}% to ${afterSeverity.coverage}%` +
+    ` and lesions from ${beforeSeverity.lesionCount} to ${afterSeverity.lesionCount}.`);
+  
+  if (delta < 0 && afterSeverity.score <= beforeSeverity.score) {
+    sentences.push('The plant looks better than before - the treatment appears to be working.');
+  } else if (delta > 0 && afterSeverity.score >= beforeSeverity.score) {
+    sentences.push('The disease has spread since the earlier scan. Review the treatment or consult an agricultural expert.');
+  } else {
+    sentences.push('There is no clear change between these scans.');
+  }
+  
+  return sentences.join(' ');
+}
+
+function showComparison() {
+  const [before, after] = selected
+    .map(timestamp => records.find(record => record.timestamp === timestamp))
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  
+  compareGrid.replaceChildren(
+    createComparisonColumn(before, 'Before'),
+    createComparisonColumn(after, 'After')
+  );
+  compareSummary.textContent = describeChange(before, after);
+  comparePanel.hidden = false;
+  comparePanel.scrollIntoView({ behavior: 'smooth' });
+}
+
+searchInput.addEventListener('input', renderList);
+diseaseFilter.addEventListener('change', renderList);
+compareBtn.addEventListener('click', showComparison);
+
+window.addEventListener('DOMContentLoaded', async function() {
+  await loadDiseaseNames();
+  
+  try {
+    records = await ScanHistory.getAll();
+  } catch (error) {
+    console.error('Could not load scan history:', error);
+    records = [];
+  }
+  
+  populateDiseaseFilter();
+  renderList();
+});
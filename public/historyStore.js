@@ -0,0 +1,132 @@
+// Scan history (IndexedDB)
+// Every result shown on result.html is kept on the device so farmers can look
+// back at earlier diagnoses and compare scans. Nothing here is sent to the server.
+(function(scope) {
+  const DB_NAME = 'cali-ai-history';
+  const DB_VERSION = 1;
+  const STORE = 'scans';
+  const THUMBNAIL_SIZE = 320;
+  
+  let dbPromise = null;
+  
+  function openDB() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        
+        request.onupgradeneeded = function() {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(STORE)) {
+            // Keyed by the detection timestamp, so saving the same result twice is a no-op
+            const store = db.createObjectStore(STORE, { keyPath: 'timestamp' });
+            store.createIndex('disease', 'disease');
+          }
+        };
+        
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return dbPromise;
+  }
+  
+  // Run one request against the store and resolve with its result
+  async function withStore(mode, callback) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE, mode);
+      const request = callback(transaction.objectStore(STORE));
+      transaction.oncomplete = () => resolve(request?.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+  
+  // Downscale the photo to a small JPEG data URL
+  function createThumbnail(imageSrc) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      
+      img.onload = function() {
+        const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(img.width, img.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(img.width * scale);
+        canvas.height = Math.round(img.height * scale);
+        canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+        resolve({
+          src: canvas.toDataURL('image/jpeg', 0.7),
+          width: canvas.width,
+          height: canvas.height
+        });
+      };
+      img.onerror = () => reject(new Error('Could not read image for thumbnail'));
+      
+      img.src = imageSrc;
+    });
+  }
+  
+  // Save a result in the shape result.html reads from sessionStorage
+  async function save(result) {
+    if (!result.timestamp) return null;
+    
+    const existing = await withStore('readonly', store => store.get(result.timestamp));
+    if (existing) return existing;
+    
+    const thumbnail = result.imageSrc ? await createThumbnail(result.imageSrc) : null;
+    const record = {
+      timestamp: result.timestamp,
+      disease: String(result.model2.class).toLowerCase(),
+      model1: result.model1,
+      model2: result.model2,
+      allPredictions: result.allPredictions || [],
+      severity: result.severity || null,
+      imageWidth: result.imageWidth,
+      imageHeight: result.imageHeight,
+      detectionId: result.detectionId ?? null,
+      feedbackToken: result.feedbackToken ?? null,
+      thumbnail
+    };
+    
+    await withStore('readwrite', store => store.put(record));
+    return record;
+  }
+  
+  // Newest first
+  async function getAll() {
+    const records = await withStore('readonly', store => store.getAll());
+    return records.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+  }
+  
+  function get(timestamp) {
+    return withStore('readonly', store => store.get(timestamp));
+  }
+  
+  function remove(timestamp) {
+    return withStore('readwrite', store => store.delete(timestamp));
+  }
+  
+  // Turn a history record back into a result for result.html
+  function toResultData(record) {
+    return {
+      model1: record.model1,
+      model2: record.model2,
+      imageSrc: record.thumbnail?.src,
+      imageWidth: record.imageWidth,
+      imageHeight: record.imageHeight,
+      allPredictions: record.allPredictions,
+      severity: record.severity,
+      timestamp: record.timestamp,
+      detectionId: record.detectionId,
+      feedbackToken: record.feedbackToken,
+      fromHistory: true
+    };
+  }
+  
+  scope.ScanHistory = {
+    save,
+    getAll,
+    get,
+    remove,
+    toResultData
+  };
+})(self);
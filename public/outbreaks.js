@@ -0,0 +1,292 @@
+// API Configuration
+const API_BASE_URL = window.location.origin;
+
+const windowSelect = document.getElementById('windowSelect');
+const diseaseSelect = document.getElementById('diseaseSelect');
+const outbreakStatus = document.getElementById('outbreakStatus');
+const outbreakMap = document.getElementById('outbreakMap');
+const outbreakRows = document.getElementById('outbreakRows');
+
+// Philippines, used when there is nothing to zoom to
+const DEFAULT_BOUNDS = { south: 4.5, west: 116.9, north: 21.2, east: 126.7 };
+const MAP_PADDING = 30;
+
+let municipalities = [];
+let lastData = null;
+
+function titleCase(value) {
+  return String(value).replace(/\b\w/g, char => char.toUpperCase());
+}
+
+function municipalityName(code) {
+  const entry = municipalities.find(m => m.code === code);
+  return entry ? `${entry.name}, ${entry.province}` : code;
+}
+
+function areaLabel(cell) {
+  return cell.municipalities.length
+    ? cell.municipalities.map(municipalityName).join('; ')
+    : `Area ${cell.cell}`;
+}
+
+async function loadMunicipalities() {
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/regions`);
+    if (!response.ok) throw new Error(`Regions request failed (${response.status})`);
+    municipalities = (await response.json()).municipalities;
+  } catch (error) {
+    console.error('Could not load municipalities:', error);
+    municipalities = [];
+  }
+}
+
+async function loadOutbreaks() {
+  const params = new URLSearchParams({ window: windowSelect.value });
+  if (diseaseSelect.value) params.set('disease', diseaseSelect.value);
+  
+  outbreakStatus.textContent = 'Loading...';
+  
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/outbreaks?${params}`);
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Could not load outbreak data');
+    
+    lastData = data;
+    updateDiseaseOptions(data);
+    renderStatus(data);
+    renderTable(data);
+    drawMap(data);
+  } catch (error) {
+    console.error('Outbreak error:', error);
+    outbreakStatus.textContent = error.message;
+  }
+}
+
+function updateDiseaseOptions(data) {
+  // The first (unfiltered) response lists every monitored disease
+  if (diseaseSelect.options.length > 1 || diseaseSelect.value) return;
+  Object.keys(data.thresholds).forEach(disease => {
+    diseaseSelect.appendChild(new Option(titleCase(disease), disease));
+  });
+}
+
+function renderStatus(data) {
+  const from = new Date(data.range.from).toLocaleDateString();
+  const to = new Date(data.range.to).toLocaleDateString();
+  
+  if (data.cells.length === 0) {
+    outbreakStatus.textContent = `No shared detections between ${from} and ${to}.`;
+  } else if (data.alerts === 0) {
+    outbreakStatus.textContent = `${data.cells.length} area(s) with detections between ${from} and ${to}. No unusual clusters.`;
+  } else {
+    outbreakStatus.textContent = `${data.alerts} area(s) flagged between ${from} and ${to}. Please report clusters of greening to your agricultural extension office.`;
+  }
+}
+
+function renderTable(data) {
+  outbreakRows.replaceChildren();
+  
+  data.cells.forEach(cell => {
+    cell.diseases.forEach((entry, index) => {
+      const row = document.createElement('tr');
+      if (entry.alert) row.className = 'alert';
+      
+      const area = document.createElement('td');
+      if (index === 0) {
+        area.textContent = areaLabel(cell);
+        if (cell.center) {
+          const link = document.createElement('a');
+          const { latitude, longitude } = cell.center;
+          link.href = `https://www.openstreetmap.org/?mlat=${latitude}&mlon=${longitude}#map=12/${latitude}/${longitude}`;
+          link.target = '_blank';
+          link.rel = 'noopener';
+          link.textContent = 'View on map';
+          area.append(document.createElement('br'), link);
+        }
+      }
+      
+      const values = [
+        titleCase(entry.disease),
+        String(entry.current),
+        `${entry.expected} (from ${entry.baseline} in the previous ${data.range.baselineDays} days)`,
+        entry.alert ? 'Above usual level' : 'Normal'
+      ];
+      row.appendChild(area);
+      values.forEach(value => {
+        const td = document.createElement('td');
+        td.textContent = value;
+        row.appendChild(td);
+      });
+      
+      outbreakRows.appendChild(row);
+    });
+  });
+}
+
+function prepareCanvas(canvas) {
+  const ratio = window.devicePixelRatio || 1;
+  const width = canvas.clientWidth;
+  const height = canvas.clientHeight;
+  canvas.width = width * ratio;
+  canvas.height = height * ratio;
+  
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+  ctx.font = '12px Georgia, serif';
+  return { ctx, width, height };
+}
+
+// Area to show: all cells with some margin, or the whole country
+function mapBounds(cells) {
+  const boxes = cells.map(cell => cell.bounds).filter(Boolean);
+  if (boxes.length === 0) return DEFAULT_BOUNDS;
+  
+  const bounds = {
+    south: Math.min(...boxes.map(b => b.south)),
+    west: Math.min(...boxes.map(b => b.west)),
+    north: Math.max(...boxes.map(b => b.north)),
+    east: Math.max(...boxes.map(b => b.east))
+  };
+  const margin = Math.max(0.3, (bounds.north - bounds.south) * 0.2, (bounds.east - bounds.west) * 0.2);
+  return {
+    south: bounds.south - margin,
+    west: bounds.west - margin,
+    north: bounds.north + margin,
+    east: bounds.east + margin
+  };
+}
+
+// Equirectangular projection, keeping the map's aspect ratio
+function createProjection(bounds, width, height) {
+  const midLat = (bounds.north + bounds.south) / 2;
+  const lonScale = Math.cos(midLat * Math.PI / 180);
+  const spanX = (bounds.east - bounds.west) * lonScale;
+  const spanY = bounds.north - bounds.south;
+  const scale = Math.min((width - MAP_PADDING * 2) / spanX, (height - MAP_PADDING * 2) / spanY);
+  const offsetX = (width - spanX * scale) / 2;
+  const offsetY = (height - spanY * scale) / 2;
+  
+  return {
+    x: longitude => offsetX + (longitude - bounds.west) * lonScale * scale,
+    y: latitude => offsetY + (bounds.north - latitude) * scale
+  };
+}
+
+function drawGraticule(ctx, bounds, project, width, height) {
+  const span = Math.max(bounds.north - bounds.south, bounds.east - bounds.west);
+  const step = [0.1, 0.25, 0.5, 1, 2].find(value => span / value <= 10) || 5;
+  
+  ctx.strokeStyle = '#ddd';
+  ctx.fillStyle = '#888';
+  ctx.lineWidth = 1;
+  
+  for (let lat = Math.ceil(bounds.south / step) * step; lat <= bounds.north; lat += step) {
+    const y = project.y(lat);
+    ctx.beginPath();
+    ctx.moveTo(0, y);
+    ctx.lineTo(width, y);
+    ctx.stroke();
+    ctx.textAlign = 'left';
+    ctx.fillText(`${lat.toFixed(2)}°N`, 4, y - 3);
+  }
+  
+  for (let lon = Math.ceil(bounds.west / step) * step; lon <= bounds.east; lon += step) {
+    const x = project.x(lon);
+    ctx.beginPath();
+    ctx.moveTo(x, 0);
+    ctx.lineTo(x, height);
+    ctx.stroke();
+    ctx.textAlign = 'center';
+    ctx.fillText(`${lon.toFixed(2)}°E`, x, height - 4);
+  }
+}
+
+// Known towns as landmarks, since there is no base map
+function drawLandmarks(ctx, bounds, project) {
+  ctx.textAlign = 'left';
+  municipalities.forEach(entry => {
+    if (entry.latitude < bounds.south || entry.latitude > bounds.north) return;
+    if (entry.longitude < bounds.west || entry.longitude > bounds.east) return;
+    
+    const x = project.x(entry.longitude);
+    const y = project.y(entry.latitude);
+    ctx.fillStyle = '#718540';
+    ctx.beginPath();
+    ctx.arc(x, y, 3, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = '#555';
+    ctx.fillText(entry.name, x + 5, y + 4);
+  });
+}
+
+function cellTotal(cell) {
+  return cell.diseases.reduce((sum, entry) => sum + entry.current, 0);
+}
+
+function drawMap(data) {
+  const { ctx, width, height } = prepareCanvas(outbreakMap);
+  const bounds = mapBounds(data.cells);
+  const project = createProjection(bounds, width, height);
+  
+  drawGraticule(ctx, bounds, project, width, height);
+  
+  // Heat: more recent cases -> more opaque red
+  const maxTotal = Math.max(1, ...data.cells.map(cellTotal));
+  data.cells.forEach(cell => {
+    if (!cell.bounds) return;
+    
+    const x = project.x(cell.bounds.west);
+    const y = project.y(cell.bounds.north);
+    // Cells stay visible even when zoomed out to the whole country
+    const w = Math.max(6, project.x(cell.bounds.east) - x);
+    const h = Math.max(6, project.y(cell.bounds.south) - y);
+    const intensity = cellTotal(cell) / maxTotal;
+    
+    ctx.fillStyle = `rgba(255, ${Math.round(200 - intensity * 200)}, 0, ${0.3 + intensity * 0.5})`;
+    ctx.fillRect(x, y, w, h);
+    
+    if (cell.alert) {
+      ctx.strokeStyle = '#FF0066';
+      ctx.lineWidth = 3;
+      ctx.strokeRect(x, y, w, h);
+    }
+  });
+  
+  drawLandmarks(ctx, bounds, project);
+  
+  if (data.cells.length === 0) {
+    ctx.fillStyle = '#718540';
+    ctx.textAlign = 'center';
+    ctx.fillText('No shared detections for this period', width / 2, height / 2);
+  }
+  
+  outbreakMap.onmousemove = event => showCellTooltip(event, data, project);
+}
+
+// Name the cell under the pointer
+function showCellTooltip(event, data, project) {
+  const rect = outbreakMap.getBoundingClientRect();
+  const x = event.clientX - rect.left;
+  const y = event.clientY - rect.top;
+  
+  const cell = data.cells.find(c => c.bounds &&
+    x >= project.x(c.bounds.west) - 3 && x <= Math.max(project.x(c.bounds.east), project.x(c.bounds.west) + 6) + 3 &&
+    y >= project.y(c.bounds.north) - 3 && y <= Math.max(project.y(c.bounds.south), project.y(c.bounds.north) + 6) + 3
+  );
+  
+  outbreakMap.title = cell
+    ? `${areaLabel(cell)}: ${cell.diseases.map(d => `${titleCase(d.disease)} ${d.current}`).join(', ')}`
+    : '';
+}
+
+windowSelect.addEventListener('change', loadOutbreaks);
+diseaseSelect.addEventListener('change', loadOutbreaks);
+window.addEventListener('resize', () => {
+  if (lastData) drawMap(lastData);
+});
+
+window.addEventListener('DOMContentLoaded', async function() {
+  await loadMunicipalities();
+  loadOutbreaks();
+});
@@ -0,0 +1,213 @@
+// Offline detection queue (IndexedDB)
+// Shared by app.js, result.js and the service worker (sw.js), so it is a classic
+// script that attaches DetectionQueue to `self` (window or worker scope).
+// Photos only live on the device until they are uploaded.
+(function(scope) {
+  const DB_NAME = 'cali-ai';
+  const DB_VERSION = 1;
+  const QUEUE_STORE = 'detectionQueue';
+  const META_STORE = 'meta';
+  const LOCK_NAME = 'cali-detection-queue';
+  
+  let dbPromise = null;
+  let flushing = false;
+  
+  function openDB() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        
+        request.onupgradeneeded = function() {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(QUEUE_STORE)) {
+            const store = db.createObjectStore(QUEUE_STORE, { keyPath: 'id', autoIncrement: true });
+            store.createIndex('status', 'status');
+          }
+          if (!db.objectStoreNames.contains(META_STORE)) {
+            db.createObjectStore(META_STORE, { keyPath: 'key' });
+          }
+        };
+        
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return dbPromise;
+  }
+  
+  // Run one request against a store and resolve with its result
+  async function withStore(storeName, mode, callback) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = callback(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request?.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+  
+  // fields: extra form fields sent with the photo (location opt-ins, donation consent)
+  function enqueue(file, fields = {}) {
+    return withStore(QUEUE_STORE, 'readwrite', store => store.add({
+      file,
+      name: file.name || 'photo.jpg',
+      type: file.type,
+      fields,
+      status: 'pending',
+      attempts: 0,
+      createdAt: new Date().toISOString()
+    }));
+  }
+  
+  function getAll() {
+    return withStore(QUEUE_STORE, 'readonly', store => store.getAll());
+  }
+  
+  function get(id) {
+    return withStore(QUEUE_STORE, 'readonly', store => store.get(id));
+  }
+  
+  function put(record) {
+    return withStore(QUEUE_STORE, 'readwrite', store => store.put(record));
+  }
+  
+  function remove(id) {
+    return withStore(QUEUE_STORE, 'readwrite', store => store.delete(id));
+  }
+  
+  async function pendingCount() {
+    const records = await getAll();
+    return records.filter(record => record.status === 'pending').length;
+  }
+  
+  async function getResumeTime() {
+    const entry = await withStore(META_STORE, 'readonly', store => store.get('resumeAt'));
+    return entry?.value || 0;
+  }
+  
+  function setResumeTime(value) {
+    return withStore(META_STORE, 'readwrite', store => store.put({ key: 'resumeAt', value }));
+  }
+  
+  // Map an /api/detect response onto the shape result.html reads from sessionStorage
+  function toResultData(data) {
+    return {
+      model1: {
+        class: data.model1.class,
+        confidence: data.model1.confidence.toString()
+      },
+      model2: {
+        class: data.model2.class,
+        confidence: data.model2.confidence.toString(),
+        boundingBox: data.model2.boundingBox
+      },
+      imageSrc: data.imageData,
+      imageWidth: data.imageWidth,
+      imageHeight: data.imageHeight,
+      allPredictions: data.allPredictions,
+      severity: data.severity,
+      timestamp: data.timestamp,
+      detectionId: data.detectionId,
+      feedbackToken: data.feedbackToken
+    };
+  }
+  
+  // Upload pending photos one at a time, oldest first, staying within the rate limit.
+  // onResult(record) fires as each queued photo gets a result ('done') or a
+  // permanent error ('failed'). Returns { pausedUntil } when the rate limit was hit.
+  async function uploadPending(apiBase, onResult) {
+    const resumeAt = await getResumeTime();
+    if (Date.now() < resumeAt) {
+      return { pausedUntil: resumeAt };
+    }
+    
+    const pending = (await getAll())
+      .filter(record => record.status === 'pending')
+      .sort((a, b) => a.id - b.id);
+    
+    for (const record of pending) {
+      const formData = new FormData();
+      formData.append('image', record.file, record.name);
+      Object.entries(record.fields || {}).forEach(([name, value]) => formData.append(name, value));
+      
+      let response;
+      try {
+        response = await fetch(`${apiBase}/api/detect`, { method: 'POST', body: formData });
+      } catch (error) {
+        // Still offline - try again on the next "online" event or sync
+        return {};
+      }
+      
+      const data = await response.json().catch(() => ({}));
+      
+      // Rate limited, or the model service is down ("retry later") - pause the queue
+      if (response.status === 429 || data.retry === 'later') {
+        const retryAfter = Number(response.headers.get('Retry-After') || data.retryAfter || 60);
+        const pausedUntil = Date.now() + retryAfter * 1000;
+        await setResumeTime(pausedUntil);
+        return { pausedUntil };
+      }
+      
+      if (response.ok) {
+        record.status = 'done';
+        record.result = toResultData(data);
+        record.file = null; // The result already carries the image
+        record.completedAt = new Date().toISOString();
+      } else if (response.status >= 500) {
+        // Server-side problem - keep it queued and retry later
+        record.attempts++;
+        await put(record);
+        return {};
+      } else {
+        record.status = 'failed';
+        // Quality rejections carry retake hints ("move closer", "avoid backlight")
+        record.error = [data.error || 'Detection failed', ...(data.hints || [])].join(' ');
+        record.file = null;
+      }
+      
+      await put(record);
+      await onResult?.(record);
+      
+      // Last allowed request in this window - wait for the reset before the next one
+      if (response.headers.get('X-RateLimit-Remaining') === '0') {
+        const reset = Date.parse(response.headers.get('X-RateLimit-Reset'));
+        if (reset > Date.now()) {
+          await setResumeTime(reset);
+          return { pausedUntil: reset };
+        }
+      }
+    }
+    
+    return {};
+  }
+  
+  // Only one tab or worker uploads at a time
+  async function flush({ apiBase, onResult } = {}) {
+    const base = apiBase || scope.location.origin;
+    
+    if (scope.navigator?.locks) {
+      return scope.navigator.locks.request(LOCK_NAME, { ifAvailable: true }, lock =>
+        lock ? uploadPending(base, onResult) : {}
+      );
+    }
+    
+    if (flushing) return {};
+    flushing = true;
+    try {
+      return await uploadPending(base, onResult);
+    } finally {
+      flushing = false;
+    }
+  }
+  
+  scope.DetectionQueue = {
+    enqueue,
+    getAll,
+    get,
+    remove,
+    pendingCount,
+    flush,
+    toResultData
+  };
+})(self);
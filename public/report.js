@@ -0,0 +1,271 @@
+// Diagnosis report (PDF and printable page)
+// Built entirely in the browser from the result already on screen, so the photo
+// never leaves the device. The PDF writer only covers what the report needs:
+// Helvetica text, one JPEG image and automatic page breaks.
+(function(scope) {
+  const PAGE_WIDTH = 595; // A4 in points
+  const PAGE_HEIGHT = 842;
+  const MARGIN = 40;
+  const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+  
+  // Turn the on-screen result into plain report data
+  // detections: [{ class, name, confidence, boundingBox }], entry: knowledge base entry
+  function buildReport({ result, entry, detections, severityText, sectionTitles }) {
+    const counts = {};
+    detections.forEach(det => {
+      counts[det.name] = (counts[det.name] || 0) + 1;
+    });
+    
+    return {
+      title: 'Cali AI - Calamansi Diagnosis Report',
+      scannedAt: new Date(result.timestamp || Date.now()).toLocaleString(),
+      generatedAt: new Date().toLocaleString(),
+      primary: `${entry.name} (${result.model2.confidence}%)`,
+      verification: `${result.model1.confidence}%`,
+      severity: severityText,
+      detections,
+      counts: Object.entries(counts).map(([name, count]) => ({ name, count })),
+      summary: entry.summary,
+      sections: ['symptoms', 'treatment', 'prevention']
+        .filter(field => entry[field]?.length)
+        .map(field => ({ title: sectionTitles[field], items: entry[field], ordered: field === 'treatment' })),
+      references: (entry.references || []).map(ref => ref.source ? `${ref.title} (${ref.source})` : ref.title)
+    };
+  }
+  
+  function formatBox(box) {
+    if (!box) return '-';
+    return `x ${Math.round(box.x)}, y ${Math.round(box.y)}, ${Math.round(box.width)} x ${Math.round(box.height)} px`;
+  }
+  
+  // ---- Printable page ----
+  
+  function appendElement(parent, tag, text) {
+    const el = document.createElement(tag);
+    if (text !== undefined) el.textContent = text;
+    parent.appendChild(el);
+    return el;
+  }
+  
+  function renderPrintable(container, report, imageDataUrl) {
+    container.replaceChildren();
+    
+    appendElement(container, 'h1', report.title);
+    appendElement(container, 'p', `Scanned: ${report.scannedAt}`);
+    appendElement(container, 'p', `Diagnosis: ${report.primary}`);
+    if (report.severity) appendElement(container, 'p', `Severity: ${report.severity}`);
+    
+    if (imageDataUrl) {
+      const img = appendElement(container, 'img');
+      img.src = imageDataUrl;
+      img.alt = 'Annotated photo';
+    }
+    
+    appendElement(container, 'h2', 'Detections');
+    const table = appendElement(container, 'table');
+    const head = appendElement(table, 'tr');
+    ['#', 'Disease', 'Confidence', 'Bounding box'].forEach(label => appendElement(head, 'th', label));
+    report.detections.forEach((det, index) => {
+      const row = appendElement(table, 'tr');
+      appendElement(row, 'td', String(index + 1));
+      appendElement(row, 'td', det.name);
+      appendElement(row, 'td', `${det.confidence}%`);
+      appendElement(row, 'td', formatBox(det.boundingBox));
+    });
+    
+    appendElement(container, 'h2', 'Boxes per disease');
+    const countList = appendElement(container, 'ul');
+    report.counts.forEach(({ name, count }) => appendElement(countList, 'li', `${name}: ${count}`));
+    
+    appendElement(container, 'h2', 'Guidance');
+    appendElement(container, 'p', report.summary);
+    report.sections.forEach(section => {
+      appendElement(container, 'h3', section.title);
+      const list = appendElement(container, section.ordered ? 'ol' : 'ul');
+      section.items.forEach(text => appendElement(list, 'li', text));
+    });
+    
+    if (report.references.length) {
+      appendElement(container, 'h3', 'References');
+      const list = appendElement(container, 'ul');
+      report.references.forEach(text => appendElement(list, 'li', text));
+    }
+    
+    appendElement(container, 'p', `Generated ${report.generatedAt} on this device. Cali AI does not store uploaded photos.`)
+      .className = 'report-footer';
+  }
+  
+  // ---- PDF ----
+  
+  // Standard fonts use WinAnsi (Latin-1 for our purposes); anything else becomes "?"
+  function pdfText(text) {
+    return String(text)
+      .replace(/[‘’]/g, "'")
+      .replace(/[“”]/g, '"')
+      .replace(/[–—]/g, '-')
+      .replace(/[^\x20-\xFF]/g, '?')
+      .replace(/[\\()]/g, '\\$&');
+  }
+  
+  // Helvetica averages roughly half an em per character - close enough for wrapping
+  function wrapText(text, fontSize, width) {
+    const maxChars = Math.max(10, Math.floor(width / (fontSize * 0.5)));
+    const lines = [];
+    let line = '';
+    
+    String(text).split(/\s+/).forEach(word => {
+      if (line && (line + ' ' + word).length > maxChars) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = line ? `${line} ${word}` : word;
+      }
+    });
+    if (line) lines.push(line);
+    return lines;
+  }
+  
+  // Lays out text and the image top to bottom, starting new pages as needed
+  function createLayout() {
+    const pages = [];
+    let ops = null;
+    let y = 0;
+    
+    function newPage() {
+      ops = [];
+      pages.push(ops);
+      y = PAGE_HEIGHT - MARGIN;
+    }
+    
+    function ensureSpace(height) {
+      if (!ops || y - height < MARGIN) newPage();
+    }
+    
+    function text(value, { size = 10, bold = false, indent = 0, gap = 4 } = {}) {
+      const leading = size * 1.3;
+      wrapText(value, size, CONTENT_WIDTH - indent).forEach(line => {
+        ensureSpace(leading);
+        y -= leading;
+        ops.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${MARGIN + indent} ${y.toFixed(2)} Td (${pdfText(line)}) Tj ET`);
+      });
+      y -= gap;
+    }
+    
+    function image(width, height) {
+      const scale = Math.min(1, CONTENT_WIDTH / width, (PAGE_HEIGHT - MARGIN * 2) * 0.5 / height);
+      const w = width * scale;
+      const h = height * scale;
+      ensureSpace(h + 10);
+      y -= h;
+      ops.push(`q ${w.toFixed(2)} 0 0 ${h.toFixed(2)} ${(MARGIN + (CONTENT_WIDTH - w) / 2).toFixed(2)} ${y.toFixed(2)} cm /Im1 Do Q`);
+      y -= 10;
+    }
+    
+    return { text, image, pages: () => pages };
+  }
+  
+  // Assemble the PDF objects; strings hold one byte per character
+  function writePdf(pages, jpeg) {
+    const objects = [];
+    // Returns the new object's number (objects are numbered from 1)
+    const addObject = body => objects.push(body);
+    
+    addObject('<< /Type /Catalog /Pages 2 0 R >>');
+    addObject(null); // Pages, filled in once the page objects exist
+    addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+    
+    let imageRef = '';
+    if (jpeg) {
+      const imageNumber = addObject(
+        `<< /Type /XObject /Subtype /Image /Width ${jpeg.width} /Height ${jpeg.height} ` +
+        `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.bytes.length} >>\n` +
+        `stream\n${jpeg.bytes}\nendstream`
+      );
+      imageRef = ` /XObject << /Im1 ${imageNumber} 0 R >>`;
+    }
+    
+    const pageRefs = pages.map(ops => {
+      const content = ops.join('\n');
+      const contentNumber = addObject(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+      const pageNumber = addObject(
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /F1 3 0 R /F2 4 0 R >>${imageRef} >> /Contents ${contentNumber} 0 R >>`
+      );
+      return `${pageNumber} 0 R`;
+    });
+    objects[1] = `<< /Type /Pages /Kids [${pageRefs.join(' ')}] /Count ${pageRefs.length} >>`;
+    
+    let pdf = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+    const offsets = objects.map((body, index) => {
+      const offset = pdf.length;
+      pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+    
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    offsets.forEach(offset => {
+      pdf += `${String(offset).padStart(10, '0')} 00000 n \n`;
+    });
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    
+    const bytes = new Uint8Array(pdf.length);
+    for (let i = 0; i < pdf.length; i++) {
+      bytes[i] = pdf.charCodeAt(i) & 0xFF;
+    }
+    return new Blob([bytes], { type: 'application/pdf' });
+  }
+  
+  // imageDataUrl must be a JPEG data URL (canvas.toDataURL('image/jpeg'))
+  function toPdf(report, imageDataUrl, imageWidth, imageHeight) {
+    const layout = createLayout();
+    
+    layout.text(report.title, { size: 18, bold: true, gap: 8 });
+    layout.text(`Scanned: ${report.scannedAt}`);
+    layout.text(`Diagnosis: ${report.primary}`, { bold: true });
+    layout.text(`Calamansi verification: ${report.verification}`);
+    if (report.severity) layout.text(`Severity: ${report.severity}`);
+    
+    let jpeg = null;
+    if (imageDataUrl) {
+      jpeg = { bytes: atob(imageDataUrl.split(',')[1]), width: imageWidth, height: imageHeight };
+      layout.image(imageWidth, imageHeight);
+    }
+    
+    layout.text('Detections', { size: 13, bold: true, gap: 2 });
+    report.detections.forEach((det, index) => {
+      layout.text(`${index + 1}. ${det.name} - ${det.confidence}% - ${formatBox(det.boundingBox)}`, { indent: 10, gap: 0 });
+    });
+    layout.text('', { gap: 6 });
+    
+    layout.text('Boxes per disease', { size: 13, bold: true, gap: 2 });
+    report.counts.forEach(({ name, count }) => layout.text(`${name}: ${count}`, { indent: 10, gap: 0 }));
+    layout.text('', { gap: 6 });
+    
+    layout.text('Guidance', { size: 13, bold: true, gap: 2 });
+    layout.text(report.summary, { gap: 6 });
+    report.sections.forEach(section => {
+      layout.text(section.title, { size: 11, bold: true, gap: 2 });
+      section.items.forEach((item, index) => {
+        layout.text(`${section.ordered ? `${index + 1}.` : '-'} ${item}`, { indent: 10, gap: 2 });
+      });
+      layout.text('', { gap: 4 });
+    });
+    
+    if (report.references.length) {
+      layout.text('References', { size: 11, bold: true, gap: 2 });
+      report.references.forEach(ref => layout.text(`- ${ref}`, { indent: 10, gap: 2 }));
+    }
+    
+    layout.text(`Generated ${report.generatedAt} on this device. Cali AI does not store uploaded photos.`, { size: 8, gap: 0 });
+    
+    return writePdf(layout.pages(), jpeg);
+  }
+  
+  scope.DiagnosisReport = {
+    buildReport,
+    renderPrintable,
+    toPdf
+  };
+})(self);
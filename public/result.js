@@ -1,31 +1,82 @@
-// Disease information with detailed descriptions and treatments
-const diseaseInfo = {
-  'black spot': {
-    name: 'Black Spot Disease',
-    description: 'Black spot is a fungal disease that causes dark spots on leaves and fruits. It thrives in warm, humid conditions. Treatment: Remove affected leaves, improve air circulation, apply copper-based fungicides, and avoid overhead watering.'
-  },
-  'canker': {
-    name: 'Citrus Canker',
-    description: 'Citrus canker is a bacterial disease causing raised lesions on leaves, stems, and fruit. It spreads rapidly in wet conditions. Treatment: Remove and destroy infected plant parts, apply copper sprays, quarantine affected plants, and practice good sanitation.'
-  },
-  'greening': {
-    name: 'Citrus Greening (Huanglongbing)',
-    description: 'Citrus greening is a serious bacterial disease transmitted by psyllids. It causes yellowing of leaves, stunted growth, and bitter fruit. Treatment: Remove infected trees immediately, control psyllid populations with insecticides, and plant disease-free nursery stock.'
-  },
-  'healthy calamansi': {
-    name: 'Healthy Calamansi',
-    description: 'This calamansi appears healthy with no visible signs of disease. Continue regular care: proper watering, fertilization, pruning, and monitoring for early signs of pests or diseases to maintain plant health.'
-  },
-  'scab': {
-    name: 'Citrus Scab',
-    description: 'Citrus scab is a fungal disease causing raised, corky lesions on fruit and leaves. It affects young tissue during wet weather. Treatment: Apply copper fungicides during early growth stages, improve drainage, prune to increase air circulation, and remove infected fruit.'
-  },
-  'thrips': {
-    name: 'Thrips Damage',
-    description: 'Thrips are tiny insects that cause silvery streaks, distorted leaves, and scarred fruit. They thrive in hot, dry conditions. Treatment: Use insecticidal soaps or neem oil, introduce beneficial insects, maintain proper moisture levels, and remove heavily infested plant parts.'
+// API Configuration
+const API_BASE_URL = window.location.origin;
+const LOCALE_KEY = 'locale';
+
+// Disease information from the knowledge base API (/api/diseases), keyed by class
+let diseaseInfo = {};
+
+// Section headings for the structured description
+const sectionTitles = {
+  symptoms: 'Symptoms',
+  causes: 'Causes',
+  treatment: 'Treatment',
+  prevention: 'Prevention',
+  references: 'References'
+};
+
+// Same normalization as the server ("Black-Spot" -> "black spot")
+function classKeyOf(className) {
+  return String(className || '').toLowerCase().replace(/[-_]+/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function getSavedLocale() {
+  return localStorage.getItem(LOCALE_KEY) || navigator.language || 'en';
+}
+
+// Load every disease entry for a locale
+async function loadDiseaseInfo(locale) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/diseases?locale=${encodeURIComponent(locale)}`);
+    if (!response.ok) throw new Error(`Knowledge base request failed (${response.status})`);
+    
+    const data = await response.json();
+    diseaseInfo = {};
+    data.diseases.forEach(entry => {
+      diseaseInfo[entry.key] = entry;
+    });
+    return data;
+  } catch (error) {
+    console.error('Could not load disease information:', error);
+    diseaseInfo = {};
+    return null;
   }
+}
+
+// Entry for a class; unknown classes get the knowledge base's generic guidance
+async function getDiseaseEntry(className, locale) {
+  const known = diseaseInfo[classKeyOf(className)];
+  if (known) return known;
+  
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/diseases?class=${encodeURIComponent(className)}&locale=${encodeURIComponent(locale)}`);
+    if (!response.ok) throw new Error(`Knowledge base request failed (${response.status})`);
+    const data = await response.json();
+    return { ...data.disease, name: className };
+  } catch (error) {
+    console.error('Could not load disease information:', error);
+    return {
+      name: className,
+      summary: 'Disease detected. Please consult with an agricultural expert for proper diagnosis and treatment.'
+    };
+  }
+}
+
+function displayName(className) {
+  return diseaseInfo[classKeyOf(className)]?.name || className;
+}
+
+// Severity levels shown on the result page
+const severityLabels = {
+  none: 'None',
+  trace: 'Trace',
+  mild: 'Mild',
+  moderate: 'Moderate',
+  severe: 'Severe'
 };
 
+// Last rendered result, used for the downloadable report
+let currentReport = null;
+
 // Color palette for multiple bounding boxes
 const boxColors = [
   '#00FF00', // Green
@@ -70,10 +121,6 @@ function drawImageWithBoundingBoxes(imageSrc, predictions, originalWidth, origin
       ctx.lineWidth = 3;
       ctx.strokeRect(x, y, width, height);
       
-      // Get disease info for label
-      const classKey = pred.class.toLowerCase();
-      const info = diseaseInfo[classKey] || { name: pred.class };
-      
       // Draw semi-transparent background for label
       ctx.fillStyle = color.replace(')', ', 0.8)').replace('rgb', 'rgba').replace('#', 'rgba(');
       // Convert hex to rgba
@@ -82,7 +129,7 @@ function drawImageWithBoundingBoxes(imageSrc, predictions, originalWidth, origin
       const b = parseInt(color.slice(5, 7), 16);
       ctx.fillStyle = `rgba(${r}, ${g}, ${b}, 0.8)`;
       
-      const labelText = `${info.name} (${pred.confidence}%)`;
+      const labelText = `${displayName(pred.class)} (${pred.confidence}%)`;
       ctx.font = 'bold 16px Arial';
       const textWidth = ctx.measureText(labelText).width;
       ctx.fillRect(x, y - 25, textWidth + 10, 25);
@@ -96,37 +143,173 @@ function drawImageWithBoundingBoxes(imageSrc, predictions, originalWidth, origin
   img.src = imageSrc;
 }
 
-// Load and display results
-window.addEventListener('DOMContentLoaded', function() {
-  console.log('Result page loaded, checking for data...');
+// Severity for the primary disease (falls back to the whole-image estimate)
+function summarizeSeverity(severity, primaryClass) {
+  const primary = severity.diseases.find(d => d.class === primaryClass.toLowerCase());
+  const estimate = primary || severity.overall;
   
-  // Get results from sessionStorage
-  const resultData = sessionStorage.getItem('detectionResult');
-  
-  if (!resultData) {
-    console.error('No result data found in sessionStorage');
-    alert('No detection results found. Redirecting to home page.');
-    window.location.href = 'index.html';
-    return;
+  let details;
+  if (estimate.lesionCount === 0) {
+    details = 'No disease lesions detected.';
+  } else {
+    const lesions = estimate.lesionCount === 1 ? '1 lesion' : `${estimate.lesionCount} lesions`;
+    details = `About ${estimate.coverage}% of the photo affected, ${lesions}.`;
+    if (primary && severity.diseases.length > 1) {
+      details += ` Overall: ${severityLabels[severity.overall.level]}.`;
+    }
   }
   
-  const result = JSON.parse(resultData);
-  console.log('Full Result Data:', result);
+  return { level: estimate.level, label: severityLabels[estimate.level] || estimate.level, details };
+}
+
+function displaySeverity(severity, primaryClass) {
+  const block = document.getElementById('severityBlock');
+  if (!block || !severity) return;
   
-  // Validate result structure
-  if (!result.model1 || !result.model2) {
-    console.error('Invalid result structure:', result);
-    alert('Invalid result data. Please try again.');
-    window.location.href = 'index.html';
-    return;
+  const summary = summarizeSeverity(severity, primaryClass);
+  
+  const levelEl = document.getElementById('severityLevel');
+  levelEl.textContent = summary.label;
+  levelEl.className = `severity-badge ${summary.level}`;
+  
+  document.getElementById('severityDetails').textContent = summary.details;
+  
+  block.hidden = false;
+}
+
+// ---------- Feedback ----------
+
+const OTHER_CLASS = 'other';
+
+// Farmer's answer per box index, kept across language changes
+const feedbackChoices = {};
+let feedbackSent = false;
+
+function setFeedbackStatus(message) {
+  const statusEl = document.getElementById('feedbackStatus');
+  if (statusEl) statusEl.textContent = message;
+}
+
+function renderFeedback(result, predictions) {
+  const block = document.getElementById('feedbackBlock');
+  const boxesEl = document.getElementById('feedbackBoxes');
+  if (!block || !boxesEl || !result.detectionId || !result.feedbackToken) return;
+  
+  boxesEl.replaceChildren();
+  
+  predictions.forEach((pred, index) => {
+    const row = document.createElement('div');
+    row.className = 'feedback-row';
+    
+    const swatch = document.createElement('span');
+    swatch.className = 'feedback-swatch';
+    swatch.style.backgroundColor = boxColors[index % boxColors.length];
+    
+    const label = document.createElement('label');
+    label.htmlFor = `feedback-${index}`;
+    label.textContent = `${displayName(pred.class)} (${pred.confidence}%)`;
+    
+    const select = document.createElement('select');
+    select.id = `feedback-${index}`;
+    Object.values(diseaseInfo).forEach(entry => {
+      select.appendChild(new Option(entry.name, entry.key));
+    });
+    select.appendChild(new Option('Other / not sure', OTHER_CLASS));
+    
+    const predicted = classKeyOf(pred.class);
+    select.value = feedbackChoices[index] || (diseaseInfo[predicted] ? predicted : OTHER_CLASS);
+    select.disabled = feedbackSent;
+    select.addEventListener('change', () => {
+      feedbackChoices[index] = select.value;
+    });
+    
+    row.append(swatch, label, select);
+    boxesEl.appendChild(row);
+  });
+  
+  block.hidden = false;
+}
+
+async function sendFeedback(result, predictions, { confirmAll = false } = {}) {
+  const buttons = [document.getElementById('feedbackConfirmAll'), document.getElementById('feedbackSubmit')];
+  buttons.forEach(button => { if (button) button.disabled = true; });
+  setFeedbackStatus('Sending...');
+  
+  const boxes = predictions.map((pred, index) => {
+    const predictedClass = classKeyOf(pred.class);
+    const select = document.getElementById(`feedback-${index}`);
+    return {
+      index,
+      predictedClass,
+      correctClass: confirmAll ? predictedClass : (select?.value || predictedClass)
+    };
+  });
+  
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/feedback`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        detectionId: result.detectionId,
+        token: result.feedbackToken,
+        boxes
+      })
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.error || 'Could not send feedback');
+    
+    feedbackSent = true;
+    document.querySelectorAll('#feedbackBoxes select').forEach(select => { select.disabled = true; });
+    setFeedbackStatus('Thank you! Your feedback was recorded.');
+  } catch (error) {
+    console.error('Feedback error:', error);
+    buttons.forEach(button => { if (button) button.disabled = false; });
+    setFeedbackStatus(`${error.message}. Please try again.`);
   }
+}
+
+// Render the structured knowledge base entry into the description area
+function displayDescription(entry) {
+  const descriptionEl = document.getElementById('description');
+  if (!descriptionEl) return;
   
-  // Display verification badge (hidden)
-  const verificationBadge = document.getElementById('verificationBadge');
-  if (verificationBadge) {
-    verificationBadge.style.display = 'none';
-    verificationBadge.textContent = `✓ Verified as Calamansi (${result.model1.confidence}%)`;
+  descriptionEl.replaceChildren();
+  
+  const summary = document.createElement('p');
+  summary.textContent = entry.summary;
+  descriptionEl.appendChild(summary);
+  
+  ['symptoms', 'causes', 'treatment', 'prevention'].forEach(field => {
+    const items = entry[field] || [];
+    if (!items.length) return;
+    
+    const heading = document.createElement('h4');
+    heading.textContent = sectionTitles[field];
+    const list = document.createElement(field === 'treatment' ? 'ol' : 'ul');
+    items.forEach(text => {
+      const item = document.createElement('li');
+      item.textContent = text;
+      list.appendChild(item);
+    });
+    descriptionEl.append(heading, list);
+  });
+  
+  if (entry.references?.length) {
+    const heading = document.createElement('h4');
+    heading.textContent = sectionTitles.references;
+    const list = document.createElement('ul');
+    entry.references.forEach(ref => {
+      const item = document.createElement('li');
+      item.textContent = ref.source ? `${ref.title} (${ref.source})` : ref.title;
+      list.appendChild(item);
+    });
+    descriptionEl.append(heading, list);
   }
+}
+
+// Fill in names, canvas labels and descriptions for the selected locale
+async function renderResult(result, locale) {
+  await loadDiseaseInfo(locale);
   
   // Use ALL predictions with bounding boxes from API
   const predictions = result.allPredictions || [{
@@ -150,11 +333,7 @@ window.addEventListener('DOMContentLoaded', function() {
   }
   
   // Display primary detection
-  const classKey = result.model2.class.toLowerCase();
-  const primaryInfo = diseaseInfo[classKey] || {
-    name: result.model2.class,
-    description: 'Disease detected. Please consult with an agricultural expert for proper diagnosis and treatment.'
-  };
+  const primaryInfo = await getDiseaseEntry(result.model2.class, locale);
   
   console.log('Primary disease detected:', primaryInfo.name);
   console.log('Confidence:', result.model2.confidence + '%');
@@ -162,7 +341,6 @@ window.addEventListener('DOMContentLoaded', function() {
   // Display the primary results
   const diseaseNameEl = document.getElementById('diseaseName');
   const confidenceEl = document.getElementById('confidence');
-  const descriptionEl = document.getElementById('description');
   
   if (diseaseNameEl) {
     // Show primary detection
@@ -170,25 +348,169 @@ window.addEventListener('DOMContentLoaded', function() {
     
     // Add additional detections if available
     if (result.allPredictions && result.allPredictions.length > 1) {
-      const additionalDetections = result.allPredictions.slice(1, 3).map(pred => {
-        const info = diseaseInfo[pred.class.toLowerCase()] || { name: pred.class };
-        return `${info.name} (${pred.confidence}%)`;
-      });
+      const additionalDetections = result.allPredictions.slice(1, 3).map(pred =>
+        `${displayName(pred.class)} (${pred.confidence}%)`
+      );
       
       if (additionalDetections.length > 0) {
-        diseaseNameEl.innerHTML = `
-          <strong>Primary:</strong> ${primaryInfo.name}<br>
-          <small style="opacity: 0.8;">Also detected: ${additionalDetections.join(', ')}</small>
-        `;
+        const primaryLabel = document.createElement('strong');
+        primaryLabel.textContent = 'Primary:';
+        const also = document.createElement('small');
+        also.style.opacity = '0.8';
+        also.textContent = `Also detected: ${additionalDetections.join(', ')}`;
+        diseaseNameEl.replaceChildren(primaryLabel, ` ${primaryInfo.name}`, document.createElement('br'), also);
       }
     }
   }
   
-  if (confidenceEl) confidenceEl.textContent = result.model2.confidence + '%';
-  if (descriptionEl) descriptionEl.textContent = primaryInfo.description;
+  if (confidenceEl) {
+    // Ensemble results also say how many of the runs agreed on the primary detection
+    const agreement = result.model2.agreement;
+    confidenceEl.textContent = result.model2.confidence + '%' +
+      (agreement !== undefined ? ` (${Math.round(agreement * 100)}% model agreement)` : '');
+  }
+  displayDescription(primaryInfo);
+  
+  displaySeverity(result.severity, result.model2.class);
+  
+  renderFeedback(result, predictions);
+  
+  currentReport = { result, entry: primaryInfo, predictions };
+}
+
+// Report data for the PDF and print views, in the selected language
+function buildCurrentReport() {
+  const { result, entry, predictions } = currentReport;
+  const severity = result.severity ? summarizeSeverity(result.severity, result.model2.class) : null;
+  
+  return DiagnosisReport.buildReport({
+    result,
+    entry,
+    detections: predictions.map(pred => ({
+      class: pred.class,
+      name: displayName(pred.class),
+      confidence: pred.confidence,
+      boundingBox: pred.boundingBox
+    })),
+    severityText: severity ? `${severity.label} - ${severity.details}` : null,
+    sectionTitles
+  });
+}
+
+function downloadPdfReport() {
+  if (!currentReport) return;
+  
+  const canvas = document.getElementById('resultCanvas');
+  const hasImage = canvas.width > 0 && canvas.height > 0;
+  const blob = DiagnosisReport.toPdf(
+    buildCurrentReport(),
+    hasImage ? canvas.toDataURL('image/jpeg', 0.85) : null,
+    canvas.width,
+    canvas.height
+  );
+  
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `cali-ai-report-${new Date(currentReport.result.timestamp || Date.now()).toISOString().slice(0, 10)}.pdf`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+function printReport() {
+  if (!currentReport) return;
+  
+  const canvas = document.getElementById('resultCanvas');
+  const imageDataUrl = canvas.width > 0 ? canvas.toDataURL('image/jpeg', 0.85) : null;
+  DiagnosisReport.renderPrintable(document.getElementById('printReport'), buildCurrentReport(), imageDataUrl);
+  window.print();
+}
+
+// Opened from a "result ready" notification for a queued photo
+async function loadQueuedResult() {
+  const queuedId = Number(new URLSearchParams(window.location.search).get('queued'));
+  if (!queuedId || !self.DetectionQueue) return;
+  
+  try {
+    const record = await DetectionQueue.get(queuedId);
+    if (record?.status === 'done') {
+      sessionStorage.setItem('detectionResult', JSON.stringify(record.result));
+      await DetectionQueue.remove(queuedId);
+    }
+  } catch (error) {
+    console.error('Could not load queued result:', error);
+  }
+}
+
+// Load and display results
+window.addEventListener('DOMContentLoaded', async function() {
+  console.log('Result page loaded, checking for data...');
+  
+  await loadQueuedResult();
+  
+  // Get results from sessionStorage
+  const resultData = sessionStorage.getItem('detectionResult');
+  
+  if (!resultData) {
+    console.error('No result data found in sessionStorage');
+    alert('No detection results found. Redirecting to home page.');
+    window.location.href = 'index.html';
+    return;
+  }
+  
+  const result = JSON.parse(resultData);
+  console.log('Full Result Data:', result);
+  
+  // Validate result structure
+  if (!result.model1 || !result.model2) {
+    console.error('Invalid result structure:', result);
+    alert('Invalid result data. Please try again.');
+    window.location.href = 'index.html';
+    return;
+  }
+  
+  // Keep a copy on the device for the history page
+  if (!result.fromHistory && self.ScanHistory) {
+    ScanHistory.save(result).catch(error => console.error('Could not save scan to history:', error));
+  }
+  
+  // Display verification badge (hidden)
+  const verificationBadge = document.getElementById('verificationBadge');
+  if (verificationBadge) {
+    verificationBadge.style.display = 'none';
+    verificationBadge.textContent = `✓ Verified as Calamansi (${result.model1.confidence}%)`;
+  }
+  
+  // Language picker for the disease information
+  const localeSelect = document.getElementById('localeSelect');
+  const savedLocale = getSavedLocale().toLowerCase().split('-')[0];
+  const locale = Array.from(localeSelect?.options || []).some(option => option.value === savedLocale)
+    ? savedLocale
+    : 'en';
+  
+  if (localeSelect) {
+    localeSelect.value = locale;
+    localeSelect.addEventListener('change', function() {
+      localStorage.setItem(LOCALE_KEY, localeSelect.value);
+      renderResult(result, localeSelect.value);
+    });
+  }
+  
+  renderResult(result, locale);
+  
+  document.getElementById('feedbackConfirmAll')?.addEventListener('click', () =>
+    sendFeedback(result, currentReport.predictions, { confirmAll: true })
+  );
+  document.getElementById('feedbackSubmit')?.addEventListener('click', () =>
+    sendFeedback(result, currentReport.predictions)
+  );
+  document.getElementById('downloadPdfBtn')?.addEventListener('click', downloadPdfReport);
+  document.getElementById('printReportBtn')?.addEventListener('click', printReport);
   
   // Log all predictions for debugging
   if (result.allPredictions) {
     console.log('All disease detections:', result.allPredictions);
   }
-});
\ No newline at end of file
+});
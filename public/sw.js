@@ -0,0 +1,146 @@
+// Service worker - caches the app shell and uploads queued detections in the background
+importScripts('queue.js');
+
+const CACHE_VERSION = 'cali-shell-v12';
+const DATA_CACHE = 'cali-data-v1';
+const SYNC_TAG = 'detection-queue';
+
+const APP_SHELL = [
+  '/',
+  '/index.html',
+  '/result.html',
+  '/history.html',
+  '/outbreaks.html',
+  '/style.css',
+  '/app.js',
+  '/result.js',
+  '/queue.js',
+  '/history.js',
+  '/historyStore.js',
+  '/report.js',
+  '/outbreaks.js',
+  '/logo.png',
+  '/bg-img.png',
+  '/manifest.webmanifest',
+  '/icons/icon-192.png',
+  '/icons/icon-512.png'
+];
+
+self.addEventListener('install', function(event) {
+  event.waitUntil(
+    caches.open(CACHE_VERSION)
+      .then(cache => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', function(event) {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key !== CACHE_VERSION && key !== DATA_CACHE)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Network first, falling back to the last cached copy (disease information, municipalities)
+async function networkFirst(request) {
+  const cache = await caches.open(DATA_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+// Serve the shell from cache and refresh it in the background
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(CACHE_VERSION);
+  const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+  
+  const network = fetch(request)
+    .then(response => {
+      if (response.ok) cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => null);
+  
+  if (cached) return cached;
+  const response = await network;
+  if (response) return response;
+  
+  // Offline navigation to a page we never cached
+  if (request.mode === 'navigate') {
+    return cache.match('/index.html');
+  }
+  return Response.error();
+}
+
+self.addEventListener('fetch', function(event) {
+  const request = event.request;
+  const url = new URL(request.url);
+  
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+  
+  if (url.pathname.startsWith('/api/diseases') || url.pathname.startsWith('/api/regions')) {
+    event.respondWith(networkFirst(request));
+    return;
+  }
+  
+  // Other API calls (detections, stats) always go to the network
+  if (url.pathname.startsWith('/api/')) return;
+  
+  event.respondWith(staleWhileRevalidate(request));
+});
+
+// Tell open pages about a finished queued detection
+async function notifyClients(record) {
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach(client => client.postMessage({ type: 'queued-result', id: record.id }));
+  
+  // Only show a system notification when no page is visible
+  const visible = clients.some(client => client.visibilityState === 'visible');
+  if (!visible && self.registration.showNotification && Notification.permission === 'granted') {
+    const body = record.status === 'done'
+      ? `Result ready: ${record.result.model2.class} (${record.result.model2.confidence}%)`
+      : `A queued photo could not be analyzed: ${record.error}`;
+    await self.registration.showNotification('Cali AI', {
+      body,
+      icon: '/icons/icon-192.png',
+      tag: `queued-${record.id}`,
+      data: { id: record.id, status: record.status }
+    });
+  }
+}
+
+// Background Sync: upload queued photos once connectivity returns
+self.addEventListener('sync', function(event) {
+  if (event.tag !== SYNC_TAG) return;
+  
+  event.waitUntil(
+    DetectionQueue.flush({ apiBase: self.location.origin, onResult: notifyClients })
+  );
+});
+
+self.addEventListener('notificationclick', function(event) {
+  event.notification.close();
+  const { id, status } = event.notification.data || {};
+  const target = status === 'done' ? `/result.html?queued=${id}` : '/index.html';
+  
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window' }).then(clients => {
+      const existing = clients.find(client => 'navigate' in client);
+      if (existing) {
+        return existing.navigate(target).then(client => client?.focus());
+      }
+      return self.clients.openWindow(target);
+    })
+  );
+});
@@ -0,0 +1,104 @@
+// scripts/api-keys.js - Issue, list and revoke API keys for the public /api/v1 API
+// Usage (DATABASE_URL must be set, and `npm run migrate` applied):
+//   npm run api-keys -- issue <name> [--max <requests>] [--window-ms <ms>]
+//                                      print a new key (shown only this once)
+//   npm run api-keys -- list [--days <n>]  keys with their usage over the last n days (default 30)
+//   npm run api-keys -- revoke <id|prefix> stop accepting a key
+import { getPool } from '../lib/database.js';
+import { issueApiKey, listApiKeys, revokeApiKey } from '../lib/apiKeys.js';
+
+const COMMANDS = ['issue', 'list', 'revoke'];
+
+// "--max 500" -> { max: 500 }; other arguments are positional
+function parseArgs(args) {
+  const options = {};
+  const positional = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      options[args[i].slice(2)] = args[i + 1];
+      i++;
+    } else {
+      positional.push(args[i]);
+    }
+  }
+  return { options, positional };
+}
+
+function optionalInt(value, name) {
+  if (value === undefined) return null;
+  const parsed = parseInt(value, 10);
+  if (!(parsed > 0)) throw new Error(`--${name} must be a positive number`);
+  return parsed;
+}
+
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  if (!COMMANDS.includes(command)) {
+    console.error(`Unknown command "${command ?? ''}". Use one of: ${COMMANDS.join(', ')}`);
+    return 2;
+  }
+  
+  const pool = getPool();
+  if (!pool) {
+    console.error('DATABASE_URL is not set');
+    return 2;
+  }
+  
+  try {
+    const { options, positional } = parseArgs(rest);
+    
+    if (command === 'issue') {
+      const name = positional.join(' ').trim();
+      if (!name) {
+        console.error('Give the key a name, e.g. the partner app: issue "Coop Android app"');
+        return 2;
+      }
+      
+      const apiKey = await issueApiKey({
+        name,
+        max: optionalInt(options.max, 'max'),
+        windowMs: optionalInt(options['window-ms'], 'window-ms')
+      }, pool);
+      console.log(`✓ Issued key ${apiKey.id} (${apiKey.prefix}) for "${apiKey.name}", ${apiKey.max} requests per ${apiKey.windowMs / 1000}s`);
+      console.log('');
+      console.log(`  ${apiKey.key}`);
+      console.log('');
+      console.log('Store it now - it cannot be shown again.');
+      return 0;
+    }
+    
+    if (command === 'list') {
+      const days = optionalInt(options.days, 'days') ?? 30;
+      const keys = await listApiKeys({ days }, pool);
+      if (!keys.length) console.log('No API keys issued yet');
+      keys.forEach(apiKey => {
+        const state = apiKey.revokedAt ? `revoked ${apiKey.revokedAt.toISOString()}` : 'active';
+        const lastUsed = apiKey.lastUsedAt ? apiKey.lastUsedAt.toISOString() : 'never';
+        console.log(`  ${String(apiKey.id).padStart(4)}  ${apiKey.prefix}  ${apiKey.name}`);
+        console.log(`        ${state}, quota ${apiKey.max}/${apiKey.windowMs / 1000}s, last used ${lastUsed}, ` +
+          `${apiKey.requests} requests (${apiKey.failed} failed) in ${days} days`);
+      });
+      return 0;
+    }
+    
+    const target = positional[0];
+    if (!target) {
+      console.error('Give the id or prefix of the key to revoke');
+      return 2;
+    }
+    const revoked = await revokeApiKey(target, pool);
+    if (!revoked) {
+      console.error(`No active key with id or prefix "${target}"`);
+      return 1;
+    }
+    console.log(`✓ Revoked ${target} (takes effect within a minute)`);
+    return 0;
+  } catch (error) {
+    console.error(error.message);
+    return 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+process.exitCode = await main();
@@ -0,0 +1,112 @@
+// scripts/export-donations.js - Write the donated images as a training set
+// Usage (DONATION_STORE and its settings must be set, see lib/donations):
+//   npm run export-donations -- [--out <dir>] [--val <percent>] [--since <date>] [--zip]
+//     --out    directory for the COCO/YOLO tree (default cali-dataset-<today>)
+//     --val    percent of images in the validation split, 0-50 (default 20)
+//     --since  only donations made on or after this ISO date
+//     --zip    also pack the tree into <dir>.zip, ready to upload to Roboflow
+// Corrected boxes from farmer feedback replace the model's predictions when
+// DATABASE_URL is set; otherwise the export uses the predictions as donated.
+import fs from 'fs/promises';
+import path from 'path';
+import { getPool, getFeedbackCorrections } from '../lib/database.js';
+import { getDonationStore, listDonations } from '../lib/donations/index.js';
+import { buildDataset, DEFAULT_VAL_PERCENT } from '../lib/donations/export.js';
+import { createZip } from '../lib/zip.js';
+
+const MAX_VAL_PERCENT = 50;
+
+// "--val 10" -> { val: '10' }; flags without a value (--zip) -> true
+function parseArgs(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    if (!args[i].startsWith('--')) throw new Error(`Unexpected argument "${args[i]}"`);
+    const name = args[i].slice(2);
+    if (args[i + 1] === undefined || args[i + 1].startsWith('--')) {
+      options[name] = true;
+    } else {
+      options[name] = args[i + 1];
+      i++;
+    }
+  }
+  return options;
+}
+
+function parseValPercent(value) {
+  if (value === undefined) return DEFAULT_VAL_PERCENT;
+  const percent = Number(value);
+  if (!Number.isInteger(percent) || percent < 0 || percent > MAX_VAL_PERCENT) {
+    throw new Error(`--val must be an integer between 0 and ${MAX_VAL_PERCENT}`);
+  }
+  return percent;
+}
+
+function parseSince(value) {
+  if (value === undefined) return null;
+  const since = new Date(value);
+  if (Number.isNaN(since.getTime())) throw new Error('--since must be a valid date');
+  return since;
+}
+
+async function main() {
+  let options;
+  let valPercent;
+  let since;
+  try {
+    options = parseArgs(process.argv.slice(2));
+    valPercent = parseValPercent(options.val);
+    since = parseSince(options.since);
+  } catch (error) {
+    console.error(error.message);
+    return 2;
+  }
+  
+  const store = getDonationStore();
+  if (!store) {
+    console.error('DONATION_STORE is not set');
+    return 2;
+  }
+  
+  const outDir = path.resolve(typeof options.out === 'string' ? options.out : `cali-dataset-${new Date().toISOString().slice(0, 10)}`);
+  const pool = getPool();
+  
+  try {
+    let donations = await listDonations(store);
+    if (since) donations = donations.filter(donation => new Date(donation.createdAt) >= since);
+    
+    const detectionIds = donations.map(donation => donation.detectionId).filter(Boolean);
+    const corrections = await getFeedbackCorrections(detectionIds);
+    
+    const written = [];
+    const writeFile = async (name, data) => {
+      const filePath = path.join(outDir, name);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, data);
+      written.push(name);
+    };
+    
+    const summary = await buildDataset(donations, {
+      readImage: key => store.get(key),
+      writeFile,
+      corrections,
+      valPercent
+    });
+    await writeFile('summary.json', JSON.stringify({ ...summary, corrections: Boolean(corrections) }, null, 2));
+    console.log(`✓ Exported ${summary.images} donated image(s), ${summary.boxes} box(es) to ${outDir}`);
+    if (summary.missingImages) console.log(`  ${summary.missingImages} donation(s) skipped: image missing from the store`);
+    
+    if (options.zip) {
+      const entries = await Promise.all(written.map(async name => ({ name, data: await fs.readFile(path.join(outDir, name)) })));
+      await fs.writeFile(`${outDir}.zip`, createZip(entries));
+      console.log(`✓ Packed ${outDir}.zip`);
+    }
+    return 0;
+  } catch (error) {
+    console.error('Dataset export error:', error.message);
+    return 1;
+  } finally {
+    await pool?.end();
+  }
+}
+
+process.exitCode = await main();
@@ -0,0 +1,67 @@
+// scripts/migrate.js - Apply or check database migrations
+// Usage (DATABASE_URL must be set):
+//   npm run migrate          apply pending migrations
+//   npm run migrate:status   list applied and pending migrations
+//   npm run migrate:check    exit with status 1 if anything is pending or was edited
+//                            after being applied (use before deploying)
+// Deploying: run `npm run migrate` against the production database along with every
+// release that adds a migration. The app never works around a missing table or
+// column - the endpoints that need it answer 503 until the migration is applied.
+import { getPool } from '../lib/database.js';
+import { loadMigrations, getMigrationStatus, runMigrations } from '../lib/migrations.js';
+
+const COMMANDS = ['up', 'status', 'check'];
+
+function printStatus(status) {
+  status.applied.forEach(row => {
+    console.log(`  applied  ${String(row.version).padStart(3, '0')}_${row.name} (${row.appliedAt.toISOString()})`);
+  });
+  status.pending.forEach(migration => console.log(`  pending  ${migration.file}`));
+  status.changed.forEach(migration => console.log(`  CHANGED  ${migration.file} was edited after it was applied`));
+  status.unknown.forEach(row => console.log(`  UNKNOWN  version ${row.version} (${row.name}) is applied but has no file`));
+}
+
+async function main() {
+  const command = process.argv[2] || 'up';
+  if (!COMMANDS.includes(command)) {
+    console.error(`Unknown command "${command}". Use one of: ${COMMANDS.join(', ')}`);
+    return 2;
+  }
+  
+  const pool = getPool();
+  if (!pool) {
+    console.error('DATABASE_URL is not set');
+    return 2;
+  }
+  
+  try {
+    const migrations = loadMigrations();
+    
+    if (command === 'up') {
+      const applied = await runMigrations(pool, { migrations });
+      console.log(applied.length ? `✓ ${applied.length} migration(s) applied` : '✓ Database is up to date');
+      
+      const { changed } = await getMigrationStatus(pool, migrations);
+      changed.forEach(migration => console.warn(`Warning: ${migration.file} was edited after it was applied`));
+      return 0;
+    }
+    
+    const status = await getMigrationStatus(pool, migrations);
+    printStatus(status);
+    
+    const outOfDate = status.pending.length > 0 || status.changed.length > 0;
+    if (command === 'check' && outOfDate) {
+      console.error(`Database schema is out of date (${status.pending.length} pending, ${status.changed.length} changed)`);
+      return 1;
+    }
+    if (!outOfDate) console.log('✓ Database is up to date');
+    return 0;
+  } catch (error) {
+    console.error(error.message);
+    return 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+process.exitCode = await main();
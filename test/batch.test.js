@@ -0,0 +1,101 @@
+// test/batch.test.js - Bounded-concurrency runner and its deadline race
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { mapWithConcurrency, summarizeBatch } from '../lib/batch.js';
+
+const timedOut = (item, index) => ({ index, status: 'timeout' });
+
+describe('mapWithConcurrency', () => {
+  it('keeps results in input order with at most `concurrency` workers in flight', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const results = await mapWithConcurrency([30, 5, 20, 1, 10], {
+      concurrency: 2,
+      worker: async (delay, index) => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await sleep(delay);
+        inFlight--;
+        return index;
+      }
+    });
+
+    assert.deepEqual(results, [0, 1, 2, 3, 4]);
+    assert.equal(maxInFlight, 2);
+  });
+
+  it('answers onTimeout for a worker still running at the deadline', async () => {
+    const started = Date.now();
+    const results = await mapWithConcurrency(['fast', 'slow'], {
+      concurrency: 2,
+      deadline: started + 200,
+      worker: async item => {
+        await sleep(item === 'fast' ? 1 : 2000);
+        return item;
+      },
+      onTimeout: timedOut
+    });
+
+    assert.deepEqual(results, ['fast', { index: 1, status: 'timeout' }]);
+    assert.ok(Date.now() - started < 1500, 'does not wait for the slow worker');
+  });
+
+  it('never starts items that are still queued when the deadline passes', async () => {
+    const started = [];
+    const results = await mapWithConcurrency([0, 1, 2], {
+      concurrency: 1,
+      deadline: Date.now() + 200,
+      worker: async item => {
+        started.push(item);
+        await sleep(500);
+        return item;
+      },
+      onTimeout: timedOut
+    });
+
+    assert.deepEqual(started, [0]);
+    assert.deepEqual(results.map(result => result.status), ['timeout', 'timeout', 'timeout']);
+  });
+
+  it('keeps the timeout answer when the worker finishes later', async () => {
+    let finished = false;
+    const results = await mapWithConcurrency(['slow'], {
+      concurrency: 1,
+      deadline: Date.now() + 20,
+      worker: async () => {
+        await sleep(60);
+        finished = true;
+        return 'late';
+      },
+      onTimeout: timedOut
+    });
+
+    await sleep(80);
+    assert.equal(finished, true);
+    assert.deepEqual(results, [{ index: 0, status: 'timeout' }]);
+  });
+});
+
+describe('summarizeBatch', () => {
+  it('counts errors by type and prevalence over the processed images', () => {
+    const ok = (...classes) => ({
+      status: 'ok',
+      result: { model2: { class: classes[0] }, allPredictions: classes.map(name => ({ class: name })) }
+    });
+    const summary = summarizeBatch([
+      ok('Scab', 'Canker'),
+      ok('Scab'),
+      { status: 'error', error: { type: 'timeout_error' } }
+    ]);
+
+    assert.equal(summary.total, 3);
+    assert.equal(summary.succeeded, 2);
+    assert.deepEqual(summary.errorsByType, { timeout_error: 1 });
+    assert.deepEqual(summary.prevalence, [
+      { disease: 'scab', images: 2, share: 1 },
+      { disease: 'canker', images: 1, share: 0.5 }
+    ]);
+    assert.deepEqual(summary.primaryDiagnoses, [{ disease: 'scab', images: 2, share: 1 }]);
+  });
+});
@@ -0,0 +1,133 @@
+// test/boxes.test.js - Weighted box fusion and flipped ensemble views
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { weightedBoxFusion } from '../lib/boxes.js';
+import { predictEnsemble, loadEnsembleConfig } from '../lib/ensemble.js';
+
+const box = (className, confidence, x, y, width = 20, height = 20) => ({ class: className, confidence, x, y, width, height });
+
+async function loadSharp() {
+  try {
+    return (await import('sharp')).default;
+  } catch {
+    return null;
+  }
+}
+
+const sharp = await loadSharp();
+
+describe('weightedBoxFusion', () => {
+  it('fuses boxes every run found into one with full agreement', () => {
+    const fused = weightedBoxFusion([
+      { predictions: [box('Scab', 0.9, 50, 50)], weight: 1 },
+      { predictions: [box('Scab', 0.7, 52, 50)], weight: 1 }
+    ]);
+
+    assert.equal(fused.length, 1);
+    assert.equal(fused[0].agreement, 1);
+    assert.equal(fused[0].votes, 2);
+    assert.ok(Math.abs(fused[0].confidence - 0.8) < 1e-9);
+    // Confidence-weighted: closer to the stronger box
+    assert.ok(fused[0].x > 50 && fused[0].x < 51);
+  });
+
+  it('down-weights a box only some of the runs found', () => {
+    const fused = weightedBoxFusion([
+      { predictions: [box('Scab', 0.9, 50, 50), box('Canker', 0.8, 150, 150)], weight: 1 },
+      { predictions: [box('Scab', 0.9, 50, 50)], weight: 1 }
+    ]);
+
+    const canker = fused.find(pred => pred.class === 'Canker');
+    assert.equal(canker.agreement, 0.5);
+    assert.equal(canker.votes, 1);
+    assert.ok(Math.abs(canker.confidence - 0.4) < 1e-9);
+  });
+
+  it('weights agreement by run weight', () => {
+    const fused = weightedBoxFusion([
+      { predictions: [box('Scab', 0.6, 50, 50)], weight: 3 },
+      { predictions: [], weight: 1 }
+    ]);
+    assert.equal(fused[0].agreement, 0.75);
+  });
+
+  it('keeps different classes and distant boxes apart', () => {
+    const fused = weightedBoxFusion([
+      { predictions: [box('Scab', 0.9, 50, 50), box('Scab', 0.8, 200, 200)], weight: 1 },
+      { predictions: [box('Canker', 0.9, 50, 50)], weight: 1 }
+    ]);
+    assert.equal(fused.length, 3);
+    assert.ok(fused.every(pred => pred.votes === 1));
+  });
+
+  it('counts a run once even when it put two boxes in one cluster', () => {
+    const fused = weightedBoxFusion([
+      { predictions: [box('Scab', 0.9, 50, 50), box('Scab', 0.5, 51, 50)], weight: 1 },
+      { predictions: [], weight: 1 }
+    ]);
+    assert.equal(fused.length, 1);
+    assert.equal(fused[0].votes, 1);
+    assert.equal(fused[0].agreement, 0.5);
+  });
+
+  it('drops boxes below skipConfidence before fusing', () => {
+    const fused = weightedBoxFusion([
+      { predictions: [box('Scab', 0.04, 50, 50)], weight: 1 }
+    ], { skipConfidence: 0.05 });
+    assert.deepEqual(fused, []);
+  });
+});
+
+describe('predictEnsemble', () => {
+  const WIDTH = 120;
+  const HEIGHT = 80;
+  // A white lesion in the top-left quarter of an otherwise black photo
+  const LESION = { left: 10, top: 15, width: 20, height: 10 };
+
+  // Stands in for a model: finds the white pixels in whatever view it is sent
+  const provider = {
+    name: 'test',
+    ensembleModels: ['disease'],
+    async predict(model, imageBuffer) {
+      const { data, info } = await sharp(imageBuffer).greyscale().raw().toBuffer({ resolveWithObject: true });
+      let [left, top, right, bottom] = [Infinity, Infinity, -Infinity, -Infinity];
+      for (let y = 0; y < info.height; y++) {
+        for (let x = 0; x < info.width; x++) {
+          if (data[y * info.width + x] < 128) continue;
+          left = Math.min(left, x);
+          top = Math.min(top, y);
+          right = Math.max(right, x + 1);
+          bottom = Math.max(bottom, y + 1);
+        }
+      }
+      return {
+        image: { width: info.width, height: info.height },
+        predictions: [box('Scab', 0.9, (left + right) / 2, (top + bottom) / 2, right - left, bottom - top)]
+      };
+    }
+  };
+
+  it('maps flipped views back onto the original photo before fusing', { skip: !sharp && 'needs sharp' }, async () => {
+    const image = await sharp({ create: { width: WIDTH, height: HEIGHT, channels: 3, background: '#000' } })
+      .composite([{
+        input: { create: { width: LESION.width, height: LESION.height, channels: 3, background: '#fff' } },
+        left: LESION.left,
+        top: LESION.top
+      }])
+      .png()
+      .toBuffer();
+    const config = loadEnsembleConfig({ ENSEMBLE_AUGMENTATIONS: 'none,hflip,vflip' });
+
+    const result = await predictEnsemble(provider, image, { width: WIDTH, height: HEIGHT }, config);
+
+    assert.deepEqual(result.ensemble.views, ['none', 'hflip', 'vflip']);
+    assert.equal(result.predictions.length, 1);
+    const [lesion] = result.predictions;
+    assert.equal(lesion.votes, 3);
+    assert.equal(lesion.agreement, 1);
+    // JPEG re-encoding of the flipped views may blur the edges by a pixel
+    assert.ok(Math.abs(lesion.x - (LESION.left + LESION.width / 2)) <= 1);
+    assert.ok(Math.abs(lesion.y - (LESION.top + LESION.height / 2)) <= 1);
+    assert.ok(Math.abs(lesion.width - LESION.width) <= 2);
+  });
+});
@@ -0,0 +1,121 @@
+// test/rateLimit.test.js - Sliding-window limiter: window edges, batch cost, refunds
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryStore } from '../lib/rateLimit/memoryStore.js';
+
+// The limiter reads its configuration once, on first use
+process.env.RATE_LIMIT_STORE = 'memory';
+process.env.RATE_LIMIT_MAX = '5';
+process.env.RATE_LIMIT_WINDOW_MS = '60000';
+delete process.env.RATE_LIMIT_CONFIG;
+delete process.env.DATABASE_URL;
+const { checkRateLimit, peekRateLimit, releaseRateLimit } = await import('../lib/rateLimit/index.js');
+
+const WINDOW_MS = 60 * 1000;
+const T0 = Date.UTC(2025, 0, 1);
+
+let nextClient = 1;
+// A request from an address no other test uses
+function newClient() {
+  return { headers: {}, socket: { remoteAddress: `198.51.100.${nextClient++}` } };
+}
+
+describe('memory store', () => {
+  it('counts a hit until exactly windowMs has passed', async () => {
+    const store = createMemoryStore();
+    await store.hit('k', { max: 1, windowMs: WINDOW_MS, now: T0 });
+
+    const justBefore = await store.hit('k', { max: 1, windowMs: WINDOW_MS, now: T0 + WINDOW_MS - 1 });
+    assert.equal(justBefore.allowed, false);
+    assert.equal(justBefore.oldest, T0);
+
+    const atEdge = await store.hit('k', { max: 1, windowMs: WINDOW_MS, now: T0 + WINDOW_MS });
+    assert.equal(atEdge.allowed, true);
+    assert.equal(atEdge.count, 1);
+  });
+
+  it('records a multi-slot hit entirely or not at all', async () => {
+    const store = createMemoryStore();
+    const options = { max: 5, windowMs: WINDOW_MS, now: T0 };
+
+    assert.equal((await store.hit('k', { ...options, cost: 3 })).allowed, true);
+    const tooMany = await store.hit('k', { ...options, cost: 3 });
+    assert.equal(tooMany.allowed, false);
+    assert.equal(tooMany.count, 3);
+    assert.equal((await store.hit('k', { ...options, cost: 2 })).count, 5);
+  });
+
+  it('releases only hits recorded at the given time', async () => {
+    const store = createMemoryStore();
+    await store.hit('k', { max: 10, windowMs: WINDOW_MS, now: T0, cost: 2 });
+    await store.hit('k', { max: 10, windowMs: WINDOW_MS, now: T0 + 1, cost: 3 });
+
+    await store.release('k', T0 + 1, 5);
+    assert.equal((await store.peek('k', { windowMs: WINDOW_MS, now: T0 + 2 })).count, 2);
+  });
+
+  it('peeks without recording a hit', async () => {
+    const store = createMemoryStore();
+    await store.peek('k', { windowMs: WINDOW_MS, now: T0 });
+    assert.equal((await store.peek('k', { windowMs: WINDOW_MS, now: T0 })).count, 0);
+  });
+});
+
+describe('checkRateLimit', () => {
+  it('blocks once the quota is used and reopens when the oldest hit expires', async () => {
+    const req = newClient();
+    for (let i = 0; i < 5; i++) {
+      assert.equal((await checkRateLimit(req, { now: T0 + i })).allowed, true);
+    }
+
+    const blocked = await checkRateLimit(req, { now: T0 + 10 });
+    assert.equal(blocked.allowed, false);
+    assert.equal(blocked.remaining, 0);
+    assert.equal(blocked.resetTime, T0 + WINDOW_MS);
+    assert.equal(blocked.retryAfter, 60);
+
+    const reopened = await checkRateLimit(req, { now: T0 + WINDOW_MS });
+    assert.equal(reopened.allowed, true);
+    assert.equal(reopened.remaining, 0);
+  });
+
+  it('charges a batch all of its slots or none', async () => {
+    const req = newClient();
+    const batch = await checkRateLimit(req, { now: T0, cost: 4 });
+    assert.equal(batch.allowed, true);
+    assert.equal(batch.hits, 4);
+    assert.equal(batch.remaining, 1);
+
+    const tooBig = await checkRateLimit(req, { now: T0 + 1, cost: 2 });
+    assert.equal(tooBig.allowed, false);
+    assert.equal(tooBig.hits, 0);
+    assert.equal(tooBig.hitAt, null);
+    assert.equal((await peekRateLimit(req, { now: T0 + 2 })).remaining, 1);
+  });
+
+  it('gives back part of a batch and then the rest', async () => {
+    const req = newClient();
+    const batch = await checkRateLimit(req, { now: T0, cost: 4 });
+
+    const partly = await releaseRateLimit(batch, 3);
+    assert.equal(partly.remaining, 4);
+    assert.equal(partly.hits, 1);
+    assert.equal((await peekRateLimit(req, { now: T0 + 1 })).remaining, 4);
+
+    // Never more than was charged
+    const fully = await releaseRateLimit(partly, 10);
+    assert.equal(fully.remaining, 5);
+    assert.equal(fully.hits, 0);
+    assert.equal(fully.hitAt, null);
+    assert.equal((await peekRateLimit(req, { now: T0 + 2 })).remaining, 5);
+  });
+
+  it('releases nothing for a request that was not allowed', async () => {
+    const req = newClient();
+    await checkRateLimit(req, { now: T0, cost: 5 });
+    const blocked = await checkRateLimit(req, { now: T0 + 1 });
+
+    assert.equal(await releaseRateLimit(blocked), blocked);
+    assert.equal((await peekRateLimit(req, { now: T0 + 2 })).remaining, 0);
+  });
+});
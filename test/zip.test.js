@@ -0,0 +1,76 @@
+// test/zip.test.js - ZIP reader limits for batch uploads (zip bombs, oversize entries)
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readZipEntries, createZip, ZipError } from '../lib/zip.js';
+
+const CENTRAL_SIGNATURE = Buffer.from([0x50, 0x4b, 0x01, 0x02]);
+
+// Overwrite the uncompressed size the central directory claims for every entry
+function withClaimedSize(archive, size) {
+  const copy = Buffer.from(archive);
+  let offset = copy.indexOf(CENTRAL_SIGNATURE);
+  while (offset !== -1) {
+    copy.writeUInt32LE(size, offset + 24);
+    offset = copy.indexOf(CENTRAL_SIGNATURE, offset + 4);
+  }
+  return copy;
+}
+
+describe('readZipEntries', () => {
+  it('reads back what createZip wrote, stored and deflated', () => {
+    const photo = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 1, 2, 3, 4]);
+    const text = 'leaf '.repeat(1000);
+    const entries = readZipEntries(createZip([
+      { name: 'leaf1.jpg', data: photo },
+      { name: 'notes/leaf2.txt', data: text }
+    ]));
+
+    assert.deepEqual(entries.map(entry => entry.name), ['leaf1.jpg', 'notes/leaf2.txt']);
+    assert.deepEqual(entries[0].data, photo);
+    assert.equal(entries[1].data.toString(), text);
+  });
+
+  it('skips directories, macOS resource forks and hidden files', () => {
+    const entries = readZipEntries(createZip([
+      { name: '__MACOSX/._leaf.jpg', data: 'fork' },
+      { name: 'photos/.DS_Store', data: 'hidden' },
+      { name: 'photos/leaf.jpg', data: 'image' }
+    ]));
+    assert.deepEqual(entries.map(entry => entry.name), ['photos/leaf.jpg']);
+  });
+
+  it('rejects an entry whose declared size is over the per-file limit', () => {
+    const archive = createZip([{ name: 'big.jpg', data: Buffer.alloc(2000) }]);
+    assert.throws(
+      () => readZipEntries(archive, { maxEntrySize: 1000 }),
+      error => error instanceof ZipError && /big\.jpg exceeds the per-file size limit/.test(error.message)
+    );
+  });
+
+  it('stops inflating a zip bomb that understates its size', () => {
+    // 1MB of zeros deflates to about 1KB; the header claims 10 bytes
+    const bomb = withClaimedSize(createZip([{ name: 'bomb.jpg', data: Buffer.alloc(1024 * 1024) }]), 10);
+    assert.ok(bomb.length < 10 * 1024);
+    assert.throws(
+      () => readZipEntries(bomb, { maxEntrySize: 64 * 1024 }),
+      error => error instanceof ZipError && /Could not decompress bomb\.jpg/.test(error.message)
+    );
+  });
+
+  it('rejects archives that are too large once extracted', () => {
+    const archive = createZip(Array.from({ length: 3 }, (_, i) => ({ name: `leaf${i}.jpg`, data: Buffer.alloc(400) })));
+    assert.throws(
+      () => readZipEntries(archive, { maxEntrySize: 1000, maxTotalSize: 1000 }),
+      error => error instanceof ZipError && /too large when extracted/.test(error.message)
+    );
+  });
+
+  it('rejects archives with too many files', () => {
+    const archive = createZip(Array.from({ length: 4 }, (_, i) => ({ name: `leaf${i}.jpg`, data: 'x' })));
+    assert.throws(() => readZipEntries(archive, { maxEntries: 3 }), /more than 3 files/);
+  });
+
+  it('rejects data that is not a ZIP archive', () => {
+    assert.throws(() => readZipEntries(Buffer.from('not a zip archive at all')), ZipError);
+  });
+});